@@ -1,3 +1,4 @@
+import 'dotenv/config';
 import DatabaseManager from './database.js';
 
 /**
@@ -0,0 +1,484 @@
+/**
+ * Budovy a výchozí šablony výstavby
+ *
+ * Šablona výstavby = pořadí kroků { building, level } (interní názvy budov jako ve hře,
+ * např. main, barracks, storage). BuildingModule staví první krok, který ve vesnici ještě
+ * není hotový. Šablony se ukládají do tabulky templates (typ building) a upravují v panelu.
+ */
+
+// Interní název budovy → anglický název (používá BuildingModule), maximální úroveň a herní data:
+// cost = cena 1. úrovně, factor = násobek ceny za každou další úroveň,
+// pop = populace 1. úrovně (popFactor = násobek), buildTime = čas 1. úrovně v sekundách (rychlost 1x)
+export const BUILDINGS = {
+  main: {
+    name: 'Headquarters', maxLevel: 30, cost: { wood: 90, stone: 80, iron: 70 }, factor: { wood: 1.26, stone: 1.275, iron: 1.26 },
+    pop: 5, popFactor: 1.17, buildTime: 900
+  },
+  barracks: {
+    name: 'Barracks', maxLevel: 25, cost: { wood: 200, stone: 170, iron: 90 }, factor: { wood: 1.26, stone: 1.28, iron: 1.26 },
+    pop: 7, popFactor: 1.17, buildTime: 1800
+  },
+  stable: {
+    name: 'Stable', maxLevel: 20, cost: { wood: 270, stone: 240, iron: 260 }, factor: { wood: 1.26, stone: 1.28, iron: 1.26 },
+    pop: 8, popFactor: 1.17, buildTime: 6000
+  },
+  garage: {
+    name: 'Workshop', maxLevel: 15, cost: { wood: 300, stone: 240, iron: 260 }, factor: { wood: 1.26, stone: 1.28, iron: 1.26 },
+    pop: 8, popFactor: 1.17, buildTime: 6000
+  },
+  snob: {
+    name: 'Academy', maxLevel: 3, cost: { wood: 15000, stone: 25000, iron: 10000 }, factor: { wood: 2, stone: 2, iron: 2 },
+    pop: 80, popFactor: 1.17, buildTime: 586800
+  },
+  smith: {
+    name: 'Smithy', maxLevel: 20, cost: { wood: 220, stone: 180, iron: 240 }, factor: { wood: 1.26, stone: 1.275, iron: 1.26 },
+    pop: 20, popFactor: 1.17, buildTime: 6000
+  },
+  place: {
+    name: 'Rally point', maxLevel: 1, cost: { wood: 10, stone: 40, iron: 30 }, factor: { wood: 1.26, stone: 1.275, iron: 1.26 },
+    pop: 0, popFactor: 1.17, buildTime: 10860
+  },
+  statue: {
+    name: 'Statue', maxLevel: 1, cost: { wood: 220, stone: 220, iron: 220 }, factor: { wood: 1.26, stone: 1.275, iron: 1.26 },
+    pop: 10, popFactor: 1.17, buildTime: 1500
+  },
+  market: {
+    name: 'Market', maxLevel: 25, cost: { wood: 100, stone: 100, iron: 100 }, factor: { wood: 1.26, stone: 1.275, iron: 1.26 },
+    pop: 20, popFactor: 1.17, buildTime: 2700
+  },
+  wood: {
+    name: 'Timber camp', maxLevel: 30, cost: { wood: 50, stone: 60, iron: 40 }, factor: { wood: 1.25, stone: 1.275, iron: 1.245 },
+    pop: 5, popFactor: 1.155, buildTime: 900
+  },
+  stone: {
+    name: 'Clay pit', maxLevel: 30, cost: { wood: 65, stone: 50, iron: 40 }, factor: { wood: 1.27, stone: 1.265, iron: 1.24 },
+    pop: 10, popFactor: 1.14, buildTime: 900
+  },
+  iron: {
+    name: 'Iron mine', maxLevel: 30, cost: { wood: 75, stone: 65, iron: 70 }, factor: { wood: 1.252, stone: 1.275, iron: 1.24 },
+    pop: 10, popFactor: 1.17, buildTime: 1080
+  },
+  farm: {
+    name: 'Farm', maxLevel: 30, cost: { wood: 45, stone: 40, iron: 30 }, factor: { wood: 1.3, stone: 1.32, iron: 1.29 },
+    pop: 0, popFactor: 1, buildTime: 1200
+  },
+  storage: {
+    name: 'Warehouse', maxLevel: 30, cost: { wood: 60, stone: 50, iron: 40 }, factor: { wood: 1.265, stone: 1.27, iron: 1.245 },
+    pop: 0, popFactor: 1.15, buildTime: 1020
+  },
+  hide: {
+    name: 'Hiding place', maxLevel: 10, cost: { wood: 50, stone: 60, iron: 50 }, factor: { wood: 1.25, stone: 1.25, iron: 1.25 },
+    pop: 2, popFactor: 1.17, buildTime: 1800
+  },
+  wall: {
+    name: 'Wall', maxLevel: 20, cost: { wood: 50, stone: 100, iron: 20 }, factor: { wood: 1.26, stone: 1.275, iron: 1.26 },
+    pop: 5, popFactor: 1.17, buildTime: 3600
+  }
+};
+
+// Násobek času výstavby za každou další úroveň budovy
+export const BUILD_TIME_FACTOR = 1.2;
+
+export const DEFAULT_BUILDING_TEMPLATES = [
+  {
+    id: 'FULL_VILLAGE',
+    name: 'FULL VILLAGE',
+    steps: [
+      { building: 'main', level: 1 },
+      { building: 'place', level: 1 },
+      { building: 'hide', level: 1 },
+      { building: 'storage', level: 1 },
+      { building: 'farm', level: 1 },
+      { building: 'iron', level: 1 },
+      { building: 'stone', level: 1 },
+      { building: 'storage', level: 2 },
+      { building: 'wood', level: 1 },
+      { building: 'farm', level: 2 },
+      { building: 'iron', level: 2 },
+      { building: 'stone', level: 2 },
+      { building: 'wood', level: 2 },
+      { building: 'hide', level: 2 },
+      { building: 'storage', level: 3 },
+      { building: 'farm', level: 3 },
+      { building: 'iron', level: 3 },
+      { building: 'stone', level: 3 },
+      { building: 'wood', level: 3 },
+      { building: 'iron', level: 4 },
+      { building: 'stone', level: 4 },
+      { building: 'wood', level: 4 },
+      { building: 'iron', level: 5 },
+      { building: 'stone', level: 5 },
+      { building: 'wood', level: 5 },
+      { building: 'hide', level: 3 },
+      { building: 'hide', level: 4 },
+      { building: 'main', level: 2 },
+      { building: 'main', level: 3 },
+      { building: 'barracks', level: 1 },
+      { building: 'hide', level: 5 },
+      { building: 'storage', level: 4 },
+      { building: 'storage', level: 5 },
+      { building: 'wall', level: 1 },
+      { building: 'wall', level: 2 },
+      { building: 'wall', level: 3 },
+      { building: 'market', level: 1 },
+      { building: 'market', level: 2 },
+      { building: 'statue', level: 1 },
+      { building: 'farm', level: 4 },
+      { building: 'farm', level: 5 },
+      { building: 'wood', level: 6 },
+      { building: 'stone', level: 6 },
+      { building: 'iron', level: 6 },
+      { building: 'wood', level: 7 },
+      { building: 'stone', level: 7 },
+      { building: 'iron', level: 7 },
+      { building: 'wood', level: 8 },
+      { building: 'stone', level: 8 },
+      { building: 'iron', level: 8 },
+      { building: 'wood', level: 9 },
+      { building: 'stone', level: 9 },
+      { building: 'iron', level: 9 },
+      { building: 'wood', level: 10 },
+      { building: 'stone', level: 10 },
+      { building: 'iron', level: 10 },
+      { building: 'wood', level: 11 },
+      { building: 'stone', level: 11 },
+      { building: 'wood', level: 12 },
+      { building: 'stone', level: 12 },
+      { building: 'iron', level: 11 },
+      { building: 'wood', level: 13 },
+      { building: 'stone', level: 13 },
+      { building: 'storage', level: 6 },
+      { building: 'wood', level: 14 },
+      { building: 'stone', level: 14 },
+      { building: 'iron', level: 12 },
+      { building: 'storage', level: 7 },
+      { building: 'wood', level: 15 },
+      { building: 'stone', level: 15 },
+      { building: 'iron', level: 13 },
+      { building: 'storage', level: 8 },
+      { building: 'wood', level: 16 },
+      { building: 'stone', level: 16 },
+      { building: 'iron', level: 14 },
+      { building: 'storage', level: 9 },
+      { building: 'wood', level: 17 },
+      { building: 'stone', level: 17 },
+      { building: 'iron', level: 15 },
+      { building: 'storage', level: 10 },
+      { building: 'farm', level: 6 },
+      { building: 'wood', level: 18 },
+      { building: 'stone', level: 18 },
+      { building: 'iron', level: 16 },
+      { building: 'storage', level: 11 },
+      { building: 'wood', level: 19 },
+      { building: 'stone', level: 19 },
+      { building: 'iron', level: 17 },
+      { building: 'storage', level: 12 },
+      { building: 'wood', level: 20 },
+      { building: 'stone', level: 20 },
+      { building: 'iron', level: 18 },
+      { building: 'barracks', level: 5 },
+      { building: 'main', level: 10 },
+      { building: 'market', level: 10 },
+      { building: 'storage', level: 13 },
+      { building: 'smith', level: 5 },
+      { building: 'farm', level: 10 },
+      { building: 'storage', level: 14 },
+      { building: 'stable', level: 1 },
+      { building: 'wall', level: 10 },
+      { building: 'wood', level: 21 },
+      { building: 'stone', level: 21 },
+      { building: 'storage', level: 15 },
+      { building: 'wood', level: 22 },
+      { building: 'stone', level: 22 },
+      { building: 'iron', level: 19 },
+      { building: 'wood', level: 23 },
+      { building: 'stone', level: 23 },
+      { building: 'storage', level: 16 },
+      { building: 'barracks', level: 17 },
+      { building: 'wood', level: 24 },
+      { building: 'stone', level: 24 },
+      { building: 'iron', level: 20 },
+      { building: 'storage', level: 17 },
+      { building: 'wood', level: 25 },
+      { building: 'stone', level: 25 },
+      { building: 'iron', level: 21 },
+      { building: 'storage', level: 18 },
+      { building: 'wood', level: 26 },
+      { building: 'stone', level: 26 },
+      { building: 'iron', level: 22 },
+      { building: 'storage', level: 19 },
+      { building: 'wood', level: 27 },
+      { building: 'stone', level: 27 },
+      { building: 'iron', level: 23 },
+      { building: 'main', level: 20 },
+      { building: 'storage', level: 20 },
+      { building: 'wood', level: 28 },
+      { building: 'stone', level: 28 },
+      { building: 'iron', level: 24 },
+      { building: 'storage', level: 21 },
+      { building: 'wood', level: 29 },
+      { building: 'stone', level: 29 },
+      { building: 'iron', level: 25 },
+      { building: 'storage', level: 22 },
+      { building: 'storage', level: 23 },
+      { building: 'wood', level: 30 },
+      { building: 'stone', level: 30 },
+      { building: 'iron', level: 26 },
+      { building: 'wall', level: 15 },
+      { building: 'smith', level: 15 },
+      { building: 'stable', level: 10 },
+      { building: 'barracks', level: 21 },
+      { building: 'iron', level: 30 },
+      { building: 'smith', level: 20 },
+      { building: 'snob', level: 1 },
+      { building: 'wall', level: 20 },
+      { building: 'market', level: 15 },
+      { building: 'main', level: 4 },
+      { building: 'main', level: 5 },
+      { building: 'main', level: 6 },
+      { building: 'main', level: 7 },
+      { building: 'main', level: 8 },
+      { building: 'main', level: 9 },
+      { building: 'main', level: 11 },
+      { building: 'main', level: 12 },
+      { building: 'main', level: 13 },
+      { building: 'main', level: 14 },
+      { building: 'main', level: 15 },
+      { building: 'main', level: 16 },
+      { building: 'main', level: 17 },
+      { building: 'main', level: 18 },
+      { building: 'main', level: 19 },
+      { building: 'barracks', level: 2 },
+      { building: 'barracks', level: 3 },
+      { building: 'barracks', level: 4 },
+      { building: 'barracks', level: 6 },
+      { building: 'barracks', level: 7 },
+      { building: 'barracks', level: 8 },
+      { building: 'barracks', level: 9 },
+      { building: 'barracks', level: 10 },
+      { building: 'barracks', level: 11 },
+      { building: 'barracks', level: 12 },
+      { building: 'barracks', level: 13 },
+      { building: 'barracks', level: 14 },
+      { building: 'barracks', level: 15 },
+      { building: 'barracks', level: 16 },
+      { building: 'barracks', level: 18 },
+      { building: 'barracks', level: 19 },
+      { building: 'barracks', level: 20 },
+      { building: 'barracks', level: 22 },
+      { building: 'barracks', level: 23 },
+      { building: 'barracks', level: 24 },
+      { building: 'barracks', level: 25 },
+      { building: 'smith', level: 1 },
+      { building: 'smith', level: 2 },
+      { building: 'smith', level: 3 },
+      { building: 'smith', level: 4 },
+      { building: 'smith', level: 6 },
+      { building: 'smith', level: 7 },
+      { building: 'smith', level: 8 },
+      { building: 'smith', level: 9 },
+      { building: 'smith', level: 10 },
+      { building: 'smith', level: 11 },
+      { building: 'smith', level: 12 },
+      { building: 'smith', level: 13 },
+      { building: 'smith', level: 14 },
+      { building: 'smith', level: 16 },
+      { building: 'smith', level: 17 },
+      { building: 'smith', level: 18 },
+      { building: 'smith', level: 19 },
+      { building: 'wall', level: 4 },
+      { building: 'wall', level: 5 },
+      { building: 'wall', level: 6 },
+      { building: 'wall', level: 7 },
+      { building: 'wall', level: 8 },
+      { building: 'wall', level: 9 },
+      { building: 'wall', level: 11 },
+      { building: 'wall', level: 12 },
+      { building: 'wall', level: 13 },
+      { building: 'wall', level: 14 },
+      { building: 'wall', level: 16 },
+      { building: 'wall', level: 17 },
+      { building: 'wall', level: 18 },
+      { building: 'wall', level: 19 },
+      { building: 'stable', level: 2 },
+      { building: 'stable', level: 3 },
+      { building: 'stable', level: 4 },
+      { building: 'stable', level: 5 },
+      { building: 'stable', level: 6 },
+      { building: 'stable', level: 7 },
+      { building: 'stable', level: 8 },
+      { building: 'stable', level: 9 },
+      { building: 'market', level: 3 },
+      { building: 'market', level: 4 },
+      { building: 'market', level: 5 },
+      { building: 'market', level: 6 },
+      { building: 'market', level: 7 },
+      { building: 'market', level: 8 },
+      { building: 'market', level: 9 },
+      { building: 'market', level: 11 },
+      { building: 'market', level: 12 },
+      { building: 'market', level: 13 },
+      { building: 'market', level: 14 },
+      { building: 'farm', level: 7 },
+      { building: 'farm', level: 8 },
+      { building: 'farm', level: 9 },
+      { building: 'storage', level: 24 },
+      { building: 'storage', level: 25 },
+      { building: 'storage', level: 26 },
+      { building: 'storage', level: 27 },
+      { building: 'storage', level: 28 },
+      { building: 'storage', level: 29 },
+      { building: 'storage', level: 30 },
+      { building: 'iron', level: 27 },
+      { building: 'iron', level: 28 },
+      { building: 'iron', level: 29 }
+    ]
+  },
+  {
+    id: 'WAREHOUSE',
+    name: 'WAREHOUSE',
+    steps: [
+      { building: 'storage', level: 1 },
+      { building: 'storage', level: 2 },
+      { building: 'storage', level: 3 },
+      { building: 'storage', level: 4 },
+      { building: 'storage', level: 5 },
+      { building: 'storage', level: 6 },
+      { building: 'storage', level: 7 },
+      { building: 'storage', level: 8 },
+      { building: 'storage', level: 9 },
+      { building: 'storage', level: 10 },
+      { building: 'storage', level: 11 },
+      { building: 'storage', level: 12 },
+      { building: 'storage', level: 13 },
+      { building: 'storage', level: 14 },
+      { building: 'storage', level: 15 },
+      { building: 'storage', level: 16 },
+      { building: 'storage', level: 17 },
+      { building: 'storage', level: 18 },
+      { building: 'storage', level: 19 },
+      { building: 'storage', level: 20 },
+      { building: 'storage', level: 21 },
+      { building: 'storage', level: 22 },
+      { building: 'storage', level: 23 },
+      { building: 'storage', level: 24 },
+      { building: 'storage', level: 25 },
+      { building: 'storage', level: 26 },
+      { building: 'storage', level: 27 },
+      { building: 'storage', level: 28 },
+      { building: 'storage', level: 29 },
+      { building: 'storage', level: 30 }
+    ]
+  },
+  {
+    id: 'RESOURCES',
+    name: 'RESOURCES',
+    steps: [
+      { building: 'wood', level: 1 },
+      { building: 'stone', level: 1 },
+      { building: 'iron', level: 1 },
+      { building: 'wood', level: 2 },
+      { building: 'stone', level: 2 },
+      { building: 'iron', level: 2 },
+      { building: 'wood', level: 3 },
+      { building: 'stone', level: 3 },
+      { building: 'iron', level: 3 },
+      { building: 'wood', level: 4 },
+      { building: 'stone', level: 4 },
+      { building: 'iron', level: 4 },
+      { building: 'wood', level: 5 },
+      { building: 'stone', level: 5 },
+      { building: 'iron', level: 5 },
+      { building: 'wood', level: 6 },
+      { building: 'stone', level: 6 },
+      { building: 'iron', level: 6 },
+      { building: 'wood', level: 7 },
+      { building: 'stone', level: 7 },
+      { building: 'iron', level: 7 },
+      { building: 'wood', level: 8 },
+      { building: 'stone', level: 8 },
+      { building: 'iron', level: 8 },
+      { building: 'wood', level: 9 },
+      { building: 'stone', level: 9 },
+      { building: 'iron', level: 9 },
+      { building: 'wood', level: 10 },
+      { building: 'stone', level: 10 },
+      { building: 'iron', level: 10 }
+    ]
+  },
+  {
+    id: 'NOBLE',
+    name: 'NOBLE',
+    steps: [
+      { building: 'main', level: 1 },
+      { building: 'main', level: 2 },
+      { building: 'main', level: 3 },
+      { building: 'main', level: 4 },
+      { building: 'main', level: 5 },
+      { building: 'main', level: 6 },
+      { building: 'main', level: 7 },
+      { building: 'main', level: 8 },
+      { building: 'main', level: 9 },
+      { building: 'main', level: 10 },
+      { building: 'main', level: 11 },
+      { building: 'main', level: 12 },
+      { building: 'main', level: 13 },
+      { building: 'main', level: 14 },
+      { building: 'main', level: 15 },
+      { building: 'main', level: 16 },
+      { building: 'main', level: 17 },
+      { building: 'main', level: 18 },
+      { building: 'main', level: 19 },
+      { building: 'main', level: 20 },
+      { building: 'smith', level: 1 },
+      { building: 'smith', level: 2 },
+      { building: 'smith', level: 3 },
+      { building: 'smith', level: 4 },
+      { building: 'smith', level: 5 },
+      { building: 'smith', level: 6 },
+      { building: 'smith', level: 7 },
+      { building: 'smith', level: 8 },
+      { building: 'smith', level: 9 },
+      { building: 'smith', level: 10 },
+      { building: 'smith', level: 11 },
+      { building: 'smith', level: 12 },
+      { building: 'smith', level: 13 },
+      { building: 'smith', level: 14 },
+      { building: 'smith', level: 15 },
+      { building: 'smith', level: 16 },
+      { building: 'smith', level: 17 },
+      { building: 'smith', level: 18 },
+      { building: 'smith', level: 19 },
+      { building: 'smith', level: 20 },
+      { building: 'snob', level: 1 }
+    ]
+  }
+];
+
+/**
+ * Převede starou šablonu (maximální úrovně budov) na pořadí kroků
+ * Staví se po úrovních - nejdřív všechny budovy na 1, pak na 2, ...
+ * @param {object} levels - { main: 20, wood: 30, ... }
+ * @returns {Array<{building: string, level: number}>}
+ */
+export function levelsToSteps(levels) {
+  const steps = [];
+  const maxLevel = Math.max(0, ...Object.values(levels).map(Number).filter(Number.isFinite));
+
+  for (let level = 1; level <= maxLevel; level++) {
+    for (const [building, target] of Object.entries(levels)) {
+      if (BUILDINGS[building] && level <= Math.min(Number(target), BUILDINGS[building].maxLevel)) {
+        steps.push({ building, level });
+      }
+    }
+  }
+
+  return steps;
+}
+
+export default {
+  BUILDINGS,
+  BUILD_TIME_FACTOR,
+  DEFAULT_BUILDING_TEMPLATES,
+  levelsToSteps
+};
@@ -1,3 +1,4 @@
+import 'dotenv/config';
 import express from 'express';
 import { chromium } from 'playwright';
 import { writeFileSync, existsSync, unlinkSync } from 'fs';
@@ -7,6 +8,12 @@ import BrowserManager from './browserManager.js';
 import SharedBrowserPool from './sharedBrowserPool.js';
 import { generateFingerprint, createStealthScript } from './utils/fingerprint.js';
 import { setupWebSocketInterceptor } from './utils/webSocketBehavior.js';
+import { maskProxy } from './utils/vault.js';
+import BalancModule from './modules/balanc.js';
+import { BUILDINGS } from './buildingTemplates.js';
+import { importWorldData } from './worldData.js';
+import { importWorldConfig } from './worldConfig.js';
+import { simulateBuildingPlan } from './utils/buildingPlanner.js';
 
 const app = express();
 const db = new DatabaseManager();
@@ -19,10 +26,23 @@ const visibleBrowsers = new Map();
 app.use(express.json());
 app.use(express.static('public'));
 
+/**
+ * Odstraní z účtu citlivé údaje před odesláním do API (heslo, cookies, přihlášení k proxy)
+ */
+function redactAccount(account) {
+  const { password, cookies, proxy, ...rest } = account;
+  return {
+    ...rest,
+    proxy: maskProxy(proxy),
+    has_password: !!password,
+    has_cookies: !!cookies && cookies !== 'null'
+  };
+}
+
 // ============ ZÁKLADNÍ ENDPOINTY ============
 app.get('/api/accounts', (req, res) => {
   try {
-    const accounts = db.getAllAccountsWithStats();
+    const accounts = db.getAllAccountsWithStats().map(redactAccount);
     res.json(accounts);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -194,7 +214,11 @@ app.put('/api/accounts/:id/building', async (req, res) => {
   try {
     const accountId = parseInt(req.params.id);
     const { enabled, template } = req.body;
-    
+
+    if (template !== undefined && !db.getTemplate('building', template)) {
+      return res.status(400).json({ error: `Šablona ${template} neexistuje` });
+    }
+
     db.updateBuildingSettings(accountId, {
       buildingEnabled: enabled,
       buildingTemplate: template
@@ -206,6 +230,64 @@ app.put('/api/accounts/:id/building', async (req, res) => {
   }
 });
 
+// 🆕 BUILDING - Plán výstavby: odhad dokončení kroků šablony (bez zásahu do hry)
+// ?village= (ID vesnice, výchozí první vesnice účtu), ?template= (jiná šablona než nastavená)
+app.get('/api/accounts/:id/building/plan', (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const account = db.getAccountWithStats(accountId);
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    let village = null;
+    if (req.query.village) {
+      village = db.getVillage(accountId, parseInt(req.query.village));
+      if (!village) {
+        return res.status(404).json({ error: 'Village not found' });
+      }
+    } else {
+      village = db.getVillages(accountId)[0] || null;
+    }
+
+    const villageId = village?.village_id ?? null;
+    const templateId = req.query.template || db.getBuildingSettings(accountId, villageId).template;
+    const template = db.getTemplate('building', templateId);
+
+    if (!template) {
+      return res.status(400).json({ error: `Šablona ${templateId} neexistuje` });
+    }
+
+    // Úrovně budov zná až BuildingModule - do té doby počítáme s novou vesnicí
+    const levels = village?.buildings || { main: 1, farm: 1, storage: 1 };
+    const source = village || account;
+    const worldSpeed = db.getWorldSettings(account.world).speed || 1;
+
+    const plan = simulateBuildingPlan({
+      steps: template.steps,
+      levels,
+      resources: { wood: source.wood || 0, stone: source.clay || 0, iron: source.iron || 0 },
+      population: source.population_current || null,
+      worldSpeed
+    });
+
+    res.json({
+      success: true,
+      accountId,
+      villageId,
+      template: { id: template.id, name: template.name, steps: template.steps.length },
+      worldSpeed,
+      levelsKnown: !!village?.buildings,
+      levelsUpdatedAt: village?.buildings_updated_at || null,
+      startLevels: levels,
+      ...plan
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // 🆕 RESEARCH - Aktualizovat nastavení výzkumu
 app.put('/api/accounts/:id/research', async (req, res) => {
   try {
@@ -224,13 +306,76 @@ app.put('/api/accounts/:id/research', async (req, res) => {
 });
 
 // 🆕 SCAVENGE - Aktualizovat nastavení sběru
+// Body: { enabled, config: { units, reserve, run_hours } }
 app.put('/api/accounts/:id/scavenge', async (req, res) => {
   try {
     const accountId = parseInt(req.params.id);
-    const { enabled } = req.body;
+    const { enabled, config } = req.body;
+
+    if (config !== undefined) {
+      const errors = db.validateScavengeConfig(config);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join('; '), errors });
+      }
+    }
 
     db.updateScavengeSettings(accountId, {
-      scavengeEnabled: enabled
+      scavengeEnabled: enabled,
+      scavengeConfig: config
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 SCAVENGE - Nastavení sběru účtu
+app.get('/api/accounts/:id/scavenge', (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const settings = db.getScavengeSettings(accountId);
+
+    if (!settings) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json({ success: true, ...settings });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 BALANCE - Aktualizovat nastavení balancování surovin (tržiště)
+app.put('/api/accounts/:id/balance', async (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const { enabled, template } = req.body;
+
+    if (template !== undefined && !db.getTemplate('balance', template)) {
+      return res.status(400).json({ error: `Šablona ${template} neexistuje` });
+    }
+
+    db.updateBalanceSettings(accountId, {
+      balanceEnabled: enabled,
+      balanceTemplate: template
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 TRANSPORT - Aktualizovat nastavení přesunu surovin mezi vesnicemi
+app.put('/api/accounts/:id/transport', async (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const { enabled, crossAccount } = req.body;
+
+    db.updateTransportSettings(accountId, {
+      transportEnabled: enabled,
+      transportCrossAccount: crossAccount
     });
 
     res.json({ success: true });
@@ -239,6 +384,75 @@ app.put('/api/accounts/:id/scavenge', async (req, res) => {
   }
 });
 
+// 🆕 TRANSPORT - Nastavení přesunu a vesnice, kterým chybí suroviny na výstavbu
+app.get('/api/accounts/:id/transport', (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const settings = db.getTransportSettings(accountId);
+
+    if (!settings) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const targets = db.getTransportTargets(accountId, settings.crossAccount).map(village => ({
+      accountId: village.account_id,
+      username: village.username,
+      villageId: village.village_id,
+      name: village.name,
+      x: village.coord_x,
+      y: village.coord_y,
+      needs: village.building_needs
+    }));
+
+    res.json({ success: true, ...settings, targets });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 BALANCE - Náhled plánu balancování (bez obchodování) z posledních známých surovin
+// ?village= (ID vesnice, výchozí statistiky účtu), ?template= (jiná šablona než nastavená)
+app.get('/api/accounts/:id/balance/preview', (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const account = db.getAccountWithStats(accountId);
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    let source = account;
+    const villageId = req.query.village ? parseInt(req.query.village) : null;
+    if (villageId) {
+      source = db.getVillage(accountId, villageId);
+      if (!source) {
+        return res.status(404).json({ error: 'Village not found' });
+      }
+    }
+
+    const balancModule = new BalancModule(null, db, accountId, villageId);
+
+    if (req.query.template) {
+      const template = db.getTemplate('balance', req.query.template);
+      if (!template) {
+        return res.status(400).json({ error: `Šablona ${req.query.template} neexistuje` });
+      }
+      balancModule.applyTemplate(db.normalizeTemplate('balance', template));
+    }
+
+    // Tržiště používá herní názvy surovin (hlína = stone)
+    const preview = balancModule.previewBalance({
+      wood: source.wood || 0,
+      stone: source.clay || 0,
+      iron: source.iron || 0
+    });
+
+    res.json({ success: true, accountId, villageId, ...preview });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.post('/api/accounts/:id/open-browser', async (req, res) => {
   try {
     const accountId = parseInt(req.params.id);
@@ -329,34 +543,38 @@ app.post('/api/accounts/:id/delete-attack', async (req, res) => {
       return res.status(400).json({ error: 'Missing timestamp' });
     }
 
-    const account = db.getAccount(accountId);
-    if (!account) {
-      return res.status(404).json({ error: 'Account not found' });
-    }
+    // Transakce - automatizace může útoky zapisovat současně (jiný proces)
+    const removed = db.transaction(() => {
+      const account = db.getAccount(accountId);
+      if (!account) return null;
 
-    // Načteme aktuální útoky
-    let attacks = [];
-    if (account.attacks_info) {
-      try {
-        attacks = JSON.parse(account.attacks_info);
-      } catch (e) {
-        attacks = [];
+      // Načteme aktuální útoky
+      let attacks = [];
+      if (account.attacks_info) {
+        try {
+          attacks = JSON.parse(account.attacks_info);
+        } catch (e) {
+          attacks = [];
+        }
       }
-    }
 
-    // Odfiltrujeme útok s daným timestampem
-    const filteredAttacks = attacks.filter(attack => attack.arrival_timestamp !== timestamp);
+      // Odfiltrujeme útok s daným timestampem
+      const filteredAttacks = attacks.filter(attack => attack.arrival_timestamp !== timestamp);
+
+      // Aktualizujeme databázi
+      db.updateAccountInfo(accountId, {
+        attacks_info: JSON.stringify(filteredAttacks),
+        last_attack_count: filteredAttacks.length
+      });
+
+      return attacks.length - filteredAttacks.length;
+    });
 
-    // Aktualizujeme databázi
-    const data = db._loadAccounts();
-    const acc = data.accounts.find(a => a.id === accountId);
-    if (acc) {
-      acc.attacks_info = JSON.stringify(filteredAttacks);
-      acc.last_attack_count = filteredAttacks.length;
-      db._saveAccounts(data);
+    if (removed === null) {
+      return res.status(404).json({ error: 'Account not found' });
     }
 
-    res.json({ success: true, removed: attacks.length - filteredAttacks.length });
+    res.json({ success: true, removed });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -384,6 +602,253 @@ app.post('/api/accounts/:id/reset-conquered', async (req, res) => {
   }
 });
 
+// 🆕 HISTORIE - Vývoj statistik účtu (body, suroviny, produkce)
+// ?from=&to= (ISO datum nebo ms timestamp), ?metric=points,wood_prod (výchozí všechny)
+app.get('/api/accounts/:id/history', (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const account = db.getAccount(accountId);
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const parseTime = (value, fallback) => {
+      if (value === undefined || value === '') return fallback;
+      const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+      return Number.isNaN(time) ? null : time;
+    };
+
+    const from = parseTime(req.query.from, 0);
+    const to = parseTime(req.query.to, Date.now());
+    if (from === null || to === null) {
+      return res.status(400).json({ error: 'Neplatný parametr from/to' });
+    }
+
+    const available = db.getStatsHistoryMetrics();
+    const metrics = req.query.metric ? String(req.query.metric).split(',').map(m => m.trim()) : available;
+    const unknown = metrics.filter(m => !available.includes(m));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Neznámá metrika: ${unknown.join(', ')}`,
+        available
+      });
+    }
+
+    const samples = db.getStatsHistory(accountId, { from, to, metrics });
+
+    res.json({
+      success: true,
+      accountId,
+      metrics,
+      samples
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 MULTI-VILLAGE - Vesnice účtu s nastavením modulů
+// *_enabled / *_template = null znamená nastavení podle účtu
+app.get('/api/accounts/:id/villages', (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const account = db.getAccount(accountId);
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json({
+      success: true,
+      accountId,
+      villages: db.getVillages(accountId)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 NOBLE - Aktualizovat nastavení šlechty (mince/balíčky a rekrut šlechticů)
+app.put('/api/accounts/:id/noble', async (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const { enabled } = req.body;
+
+    db.updateNobleSettings(accountId, { nobleEnabled: enabled });
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 NOBLE - Nastavení šlechty a stav vesnic (šlechtici, cíl, kolik jich jde zaplatit)
+app.get('/api/accounts/:id/noble', (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const settings = db.getNobleSettings(accountId);
+
+    if (!settings) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const account = db.getAccount(accountId);
+    const villages = db.getVillages(accountId).map(village => ({
+      villageId: village.village_id,
+      name: village.name,
+      ...db.getNobleSettings(accountId, village.village_id),
+      status: village.noble_status
+    }));
+
+    res.json({
+      success: true,
+      ...settings,
+      snobSystem: db.getWorldSettings(account.world).snobSystem,
+      villages
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 FARM - Aktualizovat nastavení farmení barbarek
+// Body: { enabled, config: { radius, max_points, template_a, template_b, max_attacks, interval_minutes, reserve, disable_on_losses } }
+app.put('/api/accounts/:id/farm', async (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const { enabled, config } = req.body;
+
+    if (!db.getAccount(accountId)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    if (config !== undefined) {
+      const errors = db.validateFarmConfig(config);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join('; '), errors });
+      }
+    }
+
+    db.updateFarmSettings(accountId, {
+      farmEnabled: enabled,
+      farmConfig: config
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 FARM - Nastavení, stav a cíle farmení (kořist a ztráty podle reportů)
+app.get('/api/accounts/:id/farm', (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const settings = db.getFarmSettings(accountId);
+
+    if (!settings) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json({ success: true, ...settings, targets: db.getFarmTargets(accountId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 FARM - Zapnout/vyřadit cíl farmení
+// Body: { enabled }
+app.put('/api/accounts/:id/farm/targets/:targetId', (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const targetId = parseInt(req.params.targetId);
+
+    if (!db.setFarmTargetEnabled(accountId, targetId, !!req.body.enabled)) {
+      return res.status(404).json({ error: 'Farm target not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 REPORTS - Zapnout/vypnout čtení reportů
+app.put('/api/accounts/:id/reports', async (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const { enabled } = req.body;
+
+    db.updateReportsSettings(accountId, { reportsEnabled: enabled });
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 REPORTS - Uložené reporty, nejnovější první
+// ?account= (ID účtu), ?type=attack|defense|scout|other, ?target=500|500 (souřadnice napadené vesnice),
+// ?limit= (výchozí 100, max 1000), ?offset=
+app.get('/api/reports', (req, res) => {
+  try {
+    const { account, type, target } = req.query;
+    const filters = {
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+      offset: parseInt(req.query.offset) || 0
+    };
+
+    if (account !== undefined) {
+      filters.accountId = parseInt(account);
+      if (!db.getAccount(filters.accountId)) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+    }
+
+    if (type !== undefined) {
+      if (!db.getReportTypes().includes(type)) {
+        return res.status(400).json({ error: `Neznámý typ reportu: ${type}`, types: db.getReportTypes() });
+      }
+      filters.type = type;
+    }
+
+    if (target !== undefined) {
+      const match = String(target).match(/^(\d+)\|(\d+)$/);
+      if (!match) {
+        return res.status(400).json({ error: 'Cíl musí být ve tvaru x|y' });
+      }
+      filters.targetX = parseInt(match[1]);
+      filters.targetY = parseInt(match[2]);
+    }
+
+    const reports = db.getReports(filters);
+
+    res.json({ success: true, count: reports.length, reports });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 MULTI-VILLAGE - Nastavení modulů pro vesnici
+// Body: { buildingEnabled, buildingTemplate, recruitEnabled, recruitTemplate, researchEnabled, researchTemplate, scavengeEnabled, balanceEnabled }
+app.put('/api/accounts/:id/villages/:villageId', (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const villageId = parseInt(req.params.villageId);
+
+    if (!db.getVillage(accountId, villageId)) {
+      return res.status(404).json({ error: 'Village not found' });
+    }
+
+    db.updateVillageSettings(accountId, villageId, req.body || {});
+
+    res.json({ success: true, village: db.getVillage(accountId, villageId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Endpoint pro získání účtů pod útokem
 app.get('/api/accounts/under-attack', (req, res) => {
   try {
@@ -393,7 +858,7 @@ app.get('/api/accounts/under-attack', (req, res) => {
     const accountsUnderAttack = allAccounts.filter(acc => {
       return acc.last_attack_count && acc.last_attack_count > 0;
     }).map(acc => ({
-      ...acc,
+      ...redactAccount(acc),
       attack_count: acc.last_attack_count
     }));
 
@@ -410,6 +875,62 @@ app.get('/api/accounts/under-attack', (req, res) => {
   }
 });
 
+// ============ PRŮZKUM VESNIC ============
+
+// 🆕 INTEL - Průzkum vesnic ze zvědů, nejčerstvější první
+// ?world= (svět), ?player= (část jména hráče), ?limit= (výchozí 1000)
+app.get('/api/intel', (req, res) => {
+  try {
+    const { world, player } = req.query;
+    const intel = db.getVillageIntelList({
+      world: world || null,
+      player: player || null,
+      limit: Math.min(parseInt(req.query.limit) || 1000, 5000)
+    });
+
+    res.json({ success: true, count: intel.length, intel });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 INTEL - Průzkum vesnice na souřadnicích (:coords = 500|500)
+app.get('/api/intel/:world/:coords', (req, res) => {
+  try {
+    const match = req.params.coords.match(/^(\d+)\|(\d+)$/);
+    if (!match) {
+      return res.status(400).json({ error: 'Souřadnice musí být ve tvaru x|y' });
+    }
+
+    const intel = db.getVillageIntel(req.params.world, parseInt(match[1]), parseInt(match[2]));
+    if (!intel) {
+      return res.status(404).json({ error: 'Intel not found' });
+    }
+
+    res.json({ success: true, intel });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 INTEL - Smazat průzkum vesnice
+app.delete('/api/intel/:world/:coords', (req, res) => {
+  try {
+    const match = req.params.coords.match(/^(\d+)\|(\d+)$/);
+    if (!match) {
+      return res.status(400).json({ error: 'Souřadnice musí být ve tvaru x|y' });
+    }
+
+    if (!db.deleteVillageIntel(req.params.world, parseInt(match[1]), parseInt(match[2]))) {
+      return res.status(404).json({ error: 'Intel not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============ NASTAVENÍ SVĚTŮ ============
 
 // Získat nastavení světa
@@ -437,7 +958,10 @@ app.get('/api/world-settings', (req, res) => {
 app.put('/api/world-settings/:world', (req, res) => {
   try {
     const world = req.params.world;
-    const { speed, unitSpeedModifier, dailyRewardsEnabled, scavengeEnabled } = req.body;
+    const {
+      speed, unitSpeedModifier, dailyRewardsEnabled, scavengeEnabled, snobSystem, techSystem, scavengeUnlock,
+      archers, paladin, church, unitSpeeds
+    } = req.body;
 
     if (!speed || speed <= 0) {
       return res.status(400).json({ error: 'Neplatná rychlost světa' });
@@ -447,11 +971,38 @@ app.put('/api/world-settings/:world', (req, res) => {
       return res.status(400).json({ error: 'Neplatný modifikátor rychlosti jednotek' });
     }
 
+    if (snobSystem !== undefined && !['coin', 'pack'].includes(snobSystem)) {
+      return res.status(400).json({ error: 'Neplatný systém šlechty (coin nebo pack)' });
+    }
+
+    if (techSystem !== undefined && !['auto', 'level', 'simple'].includes(techSystem)) {
+      return res.status(400).json({ error: 'Neplatný systém výzkumu (auto, level nebo simple)' });
+    }
+
+    if (scavengeUnlock !== undefined) {
+      const errors = db.validateScavengeUnlock(scavengeUnlock);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join('; '), errors });
+      }
+    }
+
+    if (unitSpeeds !== undefined && unitSpeeds !== null &&
+        (typeof unitSpeeds !== 'object' || Object.values(unitSpeeds).some(value => !(Number(value) > 0)))) {
+      return res.status(400).json({ error: 'Neplatné rychlosti jednotek (minuty/pole musí být kladné číslo)' });
+    }
+
     db.saveWorldSettings(world, {
       speed,
       unitSpeedModifier: unitSpeedModifier || 1,
       dailyRewardsEnabled: dailyRewardsEnabled || false,
-      scavengeEnabled: scavengeEnabled || false
+      scavengeEnabled: scavengeEnabled || false,
+      snobSystem,
+      techSystem,
+      scavengeUnlock,
+      archers,
+      paladin,
+      church,
+      unitSpeeds
     });
     res.json({ success: true });
   } catch (error) {
@@ -459,6 +1010,27 @@ app.put('/api/world-settings/:world', (req, res) => {
   }
 });
 
+// 🆕 Zjistit nastavení světa z konfigurace hry (get_config, get_unit_info, get_building_info)
+// body.source = URL světa nebo cesta k lokální složce s XML (prázdné = svět), body.xml = { config, unitInfo, buildingInfo }
+app.post('/api/world-settings/:world/import', async (req, res) => {
+  try {
+    const { xml } = req.body;
+    let source = typeof req.body.source === 'string' && req.body.source.trim() ? req.body.source.trim() : null;
+
+    if (xml !== undefined) {
+      if (!xml || typeof xml.config !== 'string' || !xml.config.trim()) {
+        return res.status(400).json({ error: 'Chybí XML konfigurace světa (get_config)' });
+      }
+      source = xml;
+    }
+
+    const detected = await importWorldConfig(db, req.params.world, source);
+    res.json({ success: true, detected, settings: db.getWorldSettings(req.params.world) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Smazat nastavení světa
 app.delete('/api/world-settings/:world', (req, res) => {
   try {
@@ -470,6 +1042,91 @@ app.delete('/api/world-settings/:world', (req, res) => {
   }
 });
 
+// ============ DATA SVĚTA ============
+
+// 🆕 DATA SVĚTA - Stav importu mapy všech světů
+app.get('/api/world-data', (req, res) => {
+  try {
+    res.json(db.getAllWorldDataStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 DATA SVĚTA - Import mapy světa (village.txt, player.txt, ally.txt)
+// body.source = URL složky se soubory nebo cesta k lokální složce (prázdné = mapa světa)
+app.post('/api/world-data/:world/import', async (req, res) => {
+  try {
+    const source = typeof req.body.source === 'string' && req.body.source.trim() ? req.body.source.trim() : null;
+    const counts = await importWorldData(db, req.params.world, source);
+    res.json({ success: true, ...counts, status: db.getWorldDataStatus(req.params.world) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 DATA SVĚTA - Vesnice na souřadnicích (:coords = 500|500)
+app.get('/api/world-data/:world/villages/:coords', (req, res) => {
+  try {
+    const match = req.params.coords.match(/^(\d+)\|(\d+)$/);
+    if (!match) {
+      return res.status(400).json({ error: 'Souřadnice musí být ve tvaru x|y' });
+    }
+
+    const village = db.getWorldVillage(req.params.world, parseInt(match[1]), parseInt(match[2]));
+    if (!village) {
+      return res.status(404).json({ error: 'Village not found' });
+    }
+
+    res.json({ success: true, village });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 DATA SVĚTA - Hráč podle ID nebo jména, s vesnicemi
+app.get('/api/world-data/:world/players/:player', (req, res) => {
+  try {
+    const player = db.getWorldPlayer(req.params.world, req.params.player);
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    const villages = db.getWorldVillages(req.params.world, { playerId: player.player_id });
+    res.json({ success: true, player, villages });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 DATA SVĚTA - Kmen podle ID nebo tagu, se členy
+app.get('/api/world-data/:world/allies/:ally', (req, res) => {
+  try {
+    const ally = db.getWorldAlly(req.params.world, req.params.ally);
+    if (!ally) {
+      return res.status(404).json({ error: 'Ally not found' });
+    }
+
+    const players = db.getWorldAllyPlayers(req.params.world, ally.ally_id);
+    res.json({ success: true, ally, players });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🆕 DATA SVĚTA - Smazat data světa
+app.delete('/api/world-data/:world', (req, res) => {
+  try {
+    if (!db.deleteWorldData(req.params.world)) {
+      return res.status(404).json({ error: 'World data not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============ PODPORA ============
 
 // Otevřít ruční odeslání podpory (vyplní formulář v browseru)
@@ -906,6 +1563,11 @@ app.post('/api/units/refresh', async (req, res) => {
 
 // ============ ŠABLONY ============
 
+// 🆕 Budovy pro editor šablon výstavby (interní název → název a maximální úroveň)
+app.get('/api/buildings', (req, res) => {
+  res.json(BUILDINGS);
+});
+
 // Získat všechny šablony pro daný typ
 app.get('/api/templates/:type', (req, res) => {
   try {
@@ -924,6 +1586,11 @@ app.put('/api/templates/:type/:id', (req, res) => {
     const id = req.params.id;
     const template = { id, ...req.body };
 
+    const errors = db.validateTemplate(type, template);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; '), errors });
+    }
+
     db.saveTemplate(type, template);
     res.json({ success: true });
   } catch (error) {
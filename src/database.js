@@ -1,18 +1,823 @@
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import Database from 'better-sqlite3';
+import { KEY_CHECK_VALUE, generateSalt, deriveKey, isEncrypted, encrypt, decrypt } from './utils/vault.js';
+import { BUILDINGS, DEFAULT_BUILDING_TEMPLATES, levelsToSteps } from './buildingTemplates.js';
+import { readFileSync, existsSync, mkdirSync, renameSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// ============ DEKLARACE POLÍ ============
+// Každé pole má typ (integer, text, boolean, json) a výchozí hodnotu.
+// secret: true = hodnota se při nastaveném VAULT_KEY ukládá zašifrovaná (utils/vault.js).
+// Nové pole = přidat deklaraci + migraci, která ho doplní do tabulky (_syncDeclaredColumns).
+
+const ACCOUNT_FIELDS = {
+  id: { type: 'integer', default: null },
+  username: { type: 'text', default: null },
+  password: { type: 'text', default: null, secret: true },
+  world: { type: 'text', default: null },
+  proxy: { type: 'text', default: null, secret: true },
+  cookies: { type: 'json', default: null, secret: true },
+  premium: { type: 'integer', default: 0 },
+  units_info: { type: 'json', default: null },
+  wall_level: { type: 'integer', default: null },
+  // 🆕 COORDINATES - Souřadnice vesnice
+  village_id: { type: 'integer', default: null },
+  village_name: { type: 'text', default: null },
+  coord_x: { type: 'integer', default: null },
+  coord_y: { type: 'integer', default: null },
+  continent: { type: 'text', default: null },
+  // 🆕 TRIBE - Informace o kmeni
+  tribe_name: { type: 'text', default: null },
+  // 🆕 PREMIUM - Premium informace
+  premium_active: { type: 'boolean', default: false },
+  premium_points: { type: 'integer', default: 0 },
+  recruit_enabled: { type: 'integer', default: 0 },
+  recruit_template: { type: 'text', default: 'FARM' },
+  building_enabled: { type: 'integer', default: 0 },
+  building_template: { type: 'text', default: 'FULL_VILLAGE' },
+  // 🆕 RESEARCH - Výzkum
+  research_enabled: { type: 'integer', default: 0 },
+  research_template: { type: 'text', default: 'FARM' },
+  research_status: { type: 'json', default: null },
+  // 🆕 RESEARCH - Proč se výzkum nespustil, podle vesnice { [villageId|'main']: { blocked: [...], updated_at } }
+  research_blocked: { type: 'json', default: null },
+  // 🆕 SCAVENGE - Sběr
+  scavenge_enabled: { type: 'integer', default: 0 },
+  // 🆕 SCAVENGE - Jednotky, rezerva a cílová doba sběru (viz DEFAULT_SCAVENGE_CONFIG)
+  scavenge_config: { type: 'json', default: null },
+  // 🆕 BALANCE - Balancování surovin na trhu
+  balance_enabled: { type: 'integer', default: 1 },
+  balance_template: { type: 'text', default: 'DEFAULT' },
+  // 🆕 TRANSPORT - Přesun surovin mezi vlastními vesnicemi (cross_account = i mezi vlastními účty)
+  transport_enabled: { type: 'integer', default: 0 },
+  transport_cross_account: { type: 'integer', default: 0 },
+  // 🆕 NOBLE - Ražba mincí / ukládání balíčků a rekrut šlechticů (cíl = snob v šabloně rekrutu)
+  noble_enabled: { type: 'integer', default: 0 },
+  // 🆕 FARM - Farmení barbarských vesnic z hlavní vesnice (viz DEFAULT_FARM_CONFIG, cíle v tabulce farm_targets)
+  farm_enabled: { type: 'integer', default: 0 },
+  farm_config: { type: 'json', default: null },
+  // 🆕 FARM - Stav farmení { list_updated_at, last_report_id, last_run_at, sent, targets, error }
+  farm_status: { type: 'json', default: null },
+  // 🆕 REPORTS - Čtení reportů do tabulky reports
+  reports_enabled: { type: 'integer', default: 0 },
+  // 🆕 PAUSE - Pozastavení účtu
+  paused: { type: 'integer', default: 0 },
+  pause_note: { type: 'text', default: null },
+  fingerprint: { type: 'json', default: null },
+  // Útoky a notifikace (NotificationsModule)
+  attacks_info: { type: 'json', default: null },
+  last_attack_count: { type: 'integer', default: 0 },
+  last_notification_captcha: { type: 'integer', default: null },
+  last_notification_attack: { type: 'integer', default: null },
+  last_notification_conquered: { type: 'integer', default: null },
+  village_conquered: { type: 'boolean', default: false },
+  village_conquered_at: { type: 'text', default: null },
+  // Paladin (PaladinModule)
+  paladin_state: { type: 'text', default: null },
+  paladin_updated: { type: 'text', default: null },
+  last_login: { type: 'text', default: null },
+  active: { type: 'integer', default: 1 },
+  created_at: { type: 'text', default: null }
+};
+
+const STATS_FIELDS = {
+  account_id: { type: 'integer', default: null },
+  wood: { type: 'integer', default: 0 },
+  clay: { type: 'integer', default: 0 },
+  iron: { type: 'integer', default: 0 },
+  population_current: { type: 'integer', default: 0 },
+  population_max: { type: 'integer', default: 0 },
+  points: { type: 'integer', default: 0 },
+  updated_at: { type: 'text', default: null }
+};
+
+// 🆕 MULTI-VILLAGE - Vesnice účtu (zjišťuje AccountInfoModule z přehledu vesnic)
+// Nastavení modulů s hodnotou NULL = převzít nastavení účtu
+const VILLAGE_FIELDS = {
+  account_id: { type: 'integer', default: null },
+  village_id: { type: 'integer', default: null },
+  name: { type: 'text', default: null },
+  coord_x: { type: 'integer', default: null },
+  coord_y: { type: 'integer', default: null },
+  continent: { type: 'text', default: null },
+  points: { type: 'integer', default: 0 },
+  wood: { type: 'integer', default: 0 },
+  clay: { type: 'integer', default: 0 },
+  iron: { type: 'integer', default: 0 },
+  storage_max: { type: 'integer', default: 0 },
+  population_current: { type: 'integer', default: 0 },
+  population_max: { type: 'integer', default: 0 },
+  recruit_enabled: { type: 'integer', default: null },
+  recruit_template: { type: 'text', default: null },
+  building_enabled: { type: 'integer', default: null },
+  building_template: { type: 'text', default: null },
+  research_enabled: { type: 'integer', default: null },
+  research_template: { type: 'text', default: null },
+  scavenge_enabled: { type: 'integer', default: null },
+  updated_at: { type: 'text', default: null },
+  balance_enabled: { type: 'integer', default: null },
+  balance_template: { type: 'text', default: null },
+  transport_enabled: { type: 'integer', default: null },
+  // Suroviny chybějící na další krok šablony výstavby (zapisuje BuildingModule, čte TransportModule)
+  building_needs: { type: 'json', default: null },
+  // Úrovně budov včetně fronty { main: 10, wood: 15, ... } (zapisuje BuildingModule, čte plánovač výstavby)
+  buildings: { type: 'json', default: null },
+  buildings_updated_at: { type: 'text', default: null },
+  noble_enabled: { type: 'integer', default: null },
+  // Stav šlechty { system, nobles, target, affordable, ... } (zapisuje NobleModule)
+  noble_status: { type: 'json', default: null }
+};
+
+// Moduly, které lze nastavit per vesnice (<modul>_enabled, případně <modul>_template)
+const VILLAGE_SETTING_MODULES = ['recruit', 'building', 'research', 'scavenge', 'balance', 'transport', 'noble'];
+
+// Pole šablon podle typu (šablony jsou uložené jako JSON v tabulce templates)
+const TEMPLATE_FIELDS = {
+  // 🆕 queues = fronta v hodinách pro každou budovu (target = cíl, refill_below = doplňuje se až pod touto hodnotou),
+  // reserve = suroviny, které rekrut nechá ve vesnici, min/max_batch = velikost jedné dávky (max 0 = bez limitu)
+  recruit: {
+    name: { type: 'text', default: null },
+    units: { type: 'object', default: {} },
+    queues: {
+      type: 'object',
+      default: {
+        barracks: { target: 8, refill_below: 7 },
+        stable: { target: 8, refill_below: 7 },
+        workshop: { target: 8, refill_below: 7 }
+      }
+    },
+    reserve: { type: 'object', default: { wood: 1000, stone: 1000, iron: 1000 } },
+    min_batch: { type: 'number', default: 1 },
+    max_batch: { type: 'number', default: 0 }
+  },
+  // 🆕 mode = 'level' (úrovně v kovárně 0-3) nebo 'simple' (jednoduchý výzkum - 1 = vyzkoumat, 0 = ne)
+  // order = pořadí výzkumu (jednotky mimo seznam až po nich ve výchozím pořadí), min_resources = výzkum
+  // nesmí snížit žádnou surovinu pod tuto hodnotu, protect_building = nevzít suroviny na další krok výstavby
+  research: {
+    name: { type: 'text', default: null },
+    levels: { type: 'object', default: {} },
+    mode: { type: 'text', default: 'level' },
+    order: { type: 'array', default: [] },
+    min_resources: { type: 'number', default: 0 },
+    protect_building: { type: 'boolean', default: true }
+  },
+  // 🆕 Šablona výstavby = pořadí kroků [{ building, level }] (viz buildingTemplates.js)
+  // skip_ahead_minutes = krok čekající na suroviny déle se přeskočí levnějším krokem (0 = nikdy)
+  building: {
+    name: { type: 'text', default: null },
+    steps: { type: 'array', default: [] },
+    skip_ahead_minutes: { type: 'number', default: 0 }
+  },
+  // 🆕 BALANCE - ratios = cílový poměr surovin v %, max_exchange_ratio = kolik max. dáme za 1 získanou surovinu
+  balance: {
+    name: { type: 'text', default: null },
+    ratios: { type: 'object', default: { wood: 35, stone: 35, iron: 30 } },
+    min_threshold: { type: 'number', default: 3000 },
+    offer_size: { type: 'number', default: 1000 },
+    max_exchange_ratio: { type: 'number', default: 1 },
+    never_sell: { type: 'array', default: [] }
+  }
+};
+
+// Suroviny na tržišti (názvy podle hry - hlína = stone)
+const MARKET_RESOURCES = ['wood', 'stone', 'iron'];
+
+// 🆕 Systém výzkumu: úrovně (level) nebo jednoduchý výzkum (simple), max. úroveň v šabloně
+const RESEARCH_MODES = { level: 3, simple: 1 };
+
+// 🆕 Jednotky z kovárny (pořadí výzkumu v šabloně)
+const RESEARCH_UNITS = ['spear', 'sword', 'axe', 'archer', 'spy', 'light', 'marcher', 'heavy', 'ram', 'catapult'];
+
+// 🆕 Jednotky, které lze poslat na sběr
+const SCAVENGE_UNITS = ['spear', 'sword', 'axe', 'archer', 'light', 'heavy'];
+
+// 🆕 Výchozí nastavení sběru účtu - units = posílané jednotky, reserve = kolik jich zůstane doma,
+// run_mode = 'hours' (sběr na run_hours hodin) nebo 'return_at' (návrat nejpozději v return_at, HH:MM)
+// unlock = pravidla odemykání možností (null = podle nastavení světa, jinak přebíjí jednotlivé hodnoty)
+const DEFAULT_SCAVENGE_CONFIG = { units: ['spear'], reserve: {}, run_mode: 'hours', run_hours: 2, return_at: null, unlock: null };
+
+// 🆕 Výchozí pravidla odemykání možností sběru (nastavení světa scavengeUnlock)
+// after_step = odemykat až po dokončení N kroků šablony výstavby (0 = hned), min_resources = po zaplacení
+// odemčení musí zůstat aspoň tolik od každé suroviny, max_option = nejvyšší odemykaná možnost (3 = nikdy 4.)
+const DEFAULT_SCAVENGE_UNLOCK = { after_step: 0, min_resources: 0, max_option: 4 };
+
+// 🆕 Nastavení světa, která umí zjistit import konfigurace světa (worldConfig.js)
+// Hodnota uložená ručně, která se liší od zjištěné, patří do overrides a import ji nepřepíše
+const DETECTED_WORLD_FIELDS = [
+  'speed', 'unitSpeedModifier', 'scavengeEnabled', 'snobSystem', 'techSystem', 'archers', 'paladin', 'church', 'unitSpeeds'
+];
+
+// 🆕 Jednotky, které lze poslat na farmu
+const FARM_UNITS = ['spear', 'sword', 'axe', 'archer', 'spy', 'light', 'marcher', 'heavy', 'knight'];
+
+// 🆕 Výchozí nastavení farmení účtu - radius = max. vzdálenost cíle od hlavní vesnice (políčka),
+// max_points = max. body barbarky, template_a / template_b = jednotky na útok (B po plné kořisti),
+// max_attacks = max. útoků za jeden běh, interval_minutes = min. odstup útoků na stejný cíl,
+// reserve = jednotky, které zůstanou doma, disable_on_losses = vyřadit cíl po útoku se ztrátami,
+// 🆕 podle průzkumu (village_intel): max_wall = vynechat cíle s vyšší hradbou (null = bez limitu),
+// skip_defended = vynechat cíle, kde zvědové viděli obránce
+const DEFAULT_FARM_CONFIG = {
+  radius: 15,
+  max_points: 3000,
+  template_a: { light: 5 },
+  template_b: { light: 10 },
+  max_attacks: 20,
+  interval_minutes: 60,
+  reserve: {},
+  disable_on_losses: true,
+  max_wall: null,
+  skip_defended: true
+};
+
+// 🆕 Typy reportů v tabulce reports (scout = útok se zvědy, kde je vidět vesnice)
+const REPORT_TYPES = ['attack', 'defense', 'scout', 'other'];
+
+// 🆕 Budovy s rekrutem (fronty v šabloně rekrutu)
+const RECRUIT_BUILDINGS = ['barracks', 'stable', 'workshop'];
+
+// Metriky ukládané do historie statistik (account_stats_history)
+// *_prod = produkce surovin za hodinu
+const HISTORY_METRICS = [
+  'wood', 'clay', 'iron', 'population_current', 'population_max', 'points',
+  'wood_prod', 'clay_prod', 'iron_prod'
+];
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Retence historie: starší vzorky se zprůměrují do hrubšího rozlišení
+// raw → hodinové průměry po 2 dnech, hodinové → denní po 30 dnech, denní se mažou po roce
+const HISTORY_DOWNSAMPLING = [
+  { from: 'raw', to: 'hour', olderThan: 2 * DAY, bucket: HOUR },
+  { from: 'hour', to: 'day', olderThan: 30 * DAY, bucket: DAY }
+];
+const HISTORY_MAX_AGE = 365 * DAY;
+
+const TABLE_FIELDS = {
+  accounts: ACCOUNT_FIELDS,
+  account_stats: STATS_FIELDS,
+  villages: VILLAGE_FIELDS
+};
+
+const SQL_TYPES = {
+  integer: 'INTEGER',
+  boolean: 'INTEGER',
+  text: 'TEXT',
+  json: 'TEXT'
+};
+
+// Sloupce, které lze zapsat přes updateAccountInfo()
+const ACCOUNT_INFO_COLUMNS = [
+  'world', 'premium', 'units_info', 'wall_level', 'research_status',
+  'village_id', 'village_name', 'coord_x', 'coord_y', 'continent',
+  'tribe_name', 'premium_active', 'premium_points',
+  'village_conquered', 'village_conquered_at',
+  'paladin_state', 'paladin_updated',
+  'attacks_info', 'last_attack_count'
+];
+
+// Typy notifikací s vlastním sloupcem last_notification_<typ>
+const NOTIFICATION_TYPES = ['captcha', 'attack', 'conquered'];
+
+// Schéma verze 1 - neměnit, změny patří do dalších migrací
+const SCHEMA_V1 = `
+  CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE,
+    password TEXT,
+    world TEXT,
+    proxy TEXT,
+    cookies TEXT,
+    premium INTEGER NOT NULL DEFAULT 0,
+    units_info TEXT,
+    wall_level INTEGER,
+    village_id INTEGER,
+    village_name TEXT,
+    coord_x INTEGER,
+    coord_y INTEGER,
+    continent TEXT,
+    tribe_name TEXT,
+    premium_active INTEGER NOT NULL DEFAULT 0,
+    premium_points INTEGER NOT NULL DEFAULT 0,
+    recruit_enabled INTEGER NOT NULL DEFAULT 0,
+    recruit_template TEXT DEFAULT 'FARM',
+    building_enabled INTEGER NOT NULL DEFAULT 0,
+    building_template TEXT DEFAULT 'FULL_VILLAGE',
+    research_enabled INTEGER NOT NULL DEFAULT 0,
+    research_template TEXT DEFAULT 'FARM',
+    research_status TEXT,
+    scavenge_enabled INTEGER NOT NULL DEFAULT 0,
+    balance_enabled INTEGER NOT NULL DEFAULT 1,
+    paused INTEGER NOT NULL DEFAULT 0,
+    pause_note TEXT,
+    fingerprint TEXT,
+    attacks_info TEXT,
+    last_attack_count INTEGER NOT NULL DEFAULT 0,
+    last_notification_captcha INTEGER,
+    last_notification_attack INTEGER,
+    last_notification_conquered INTEGER,
+    village_conquered INTEGER NOT NULL DEFAULT 0,
+    village_conquered_at TEXT,
+    paladin_state TEXT,
+    paladin_updated TEXT,
+    last_login TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_accounts_active ON accounts (active, paused);
+  CREATE INDEX IF NOT EXISTS idx_accounts_world ON accounts (world);
+
+  CREATE TABLE IF NOT EXISTS account_stats (
+    account_id INTEGER PRIMARY KEY REFERENCES accounts (id) ON DELETE CASCADE,
+    wood INTEGER NOT NULL DEFAULT 0,
+    clay INTEGER NOT NULL DEFAULT 0,
+    iron INTEGER NOT NULL DEFAULT 0,
+    population_current INTEGER NOT NULL DEFAULT 0,
+    population_max INTEGER NOT NULL DEFAULT 0,
+    points INTEGER NOT NULL DEFAULT 0,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS templates (
+    type TEXT NOT NULL,
+    id TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL,
+    PRIMARY KEY (type, id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_templates_type ON templates (type, position);
+
+  CREATE TABLE IF NOT EXISTS world_settings (
+    world TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+`;
+
+const DEFAULT_TEMPLATES = {
+  recruit: [
+    { id: 'FARM', name: 'FARM', units: { spear: 0, sword: 0, axe: 300, light: 0, marcher: 0, heavy: 0 } },
+    { id: 'DEF', name: 'DEF', units: { spear: 300, sword: 300, archer: 100, heavy: 50 } },
+    { id: 'OFF', name: 'OFF', units: { axe: 0, light: 500, marcher: 0, ram: 50, catapult: 20 } }
+  ],
+  research: [
+    {
+      id: 'FARM',
+      name: 'FARM',
+      levels: {
+        spear: 0, sword: 0, axe: 3, archer: 0, spy: 0,
+        light: 0, marcher: 0, heavy: 0, ram: 0, catapult: 0, knight: 0, snob: 0
+      }
+    },
+    {
+      id: 'DEF',
+      name: 'DEF',
+      levels: {
+        spear: 3, sword: 3, archer: 3, spy: 2,
+        light: 0, marcher: 0, heavy: 3, ram: 0, catapult: 0, knight: 0, snob: 0
+      }
+    },
+    {
+      id: 'OFF',
+      name: 'OFF',
+      levels: {
+        spear: 0, sword: 0, axe: 3, spy: 2,
+        light: 3, marcher: 3, heavy: 0, ram: 3, catapult: 3, knight: 0, snob: 0
+      }
+    }
+  ],
+  building: DEFAULT_BUILDING_TEMPLATES,
+  balance: [
+    {
+      id: 'DEFAULT', name: 'DEFAULT', ratios: { wood: 35, stone: 35, iron: 30 },
+      min_threshold: 3000, offer_size: 1000, max_exchange_ratio: 1, never_sell: []
+    },
+    {
+      id: 'OFF', name: 'OFF', ratios: { wood: 30, stone: 25, iron: 45 },
+      min_threshold: 3000, offer_size: 1000, max_exchange_ratio: 1.2, never_sell: ['iron']
+    },
+    {
+      id: 'GROWTH', name: 'GROWTH', ratios: { wood: 40, stone: 40, iron: 20 },
+      min_threshold: 3000, offer_size: 1000, max_exchange_ratio: 1, never_sell: []
+    }
+  ]
+};
+
+// ============ MIGRACE ============
+// Migrace se spouští v initDatabase() postupně podle verze v tabulce schema_version.
+// Každá migrace běží ve vlastní transakci; před upgradem existující databáze se vytvoří záloha.
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Základní schéma + import accounts.json, stats.json, templates.json',
+    up(manager) {
+      manager.sqlite.exec(SCHEMA_V1);
+      manager._importJsonFiles();
+    }
+  },
+  {
+    version: 2,
+    description: 'Deklarovaná pole účtů, statistik a šablon - doplnění výchozích hodnot',
+    up(manager) {
+      manager._syncDeclaredColumns('accounts');
+      manager._syncDeclaredColumns('account_stats');
+      manager._backfillDefaults('accounts');
+      manager._backfillDefaults('account_stats');
+      manager._normalizeStoredTemplates();
+    }
+  },
+  {
+    version: 3,
+    description: 'Tabulka vault pro šifrování hesel, proxy a cookies',
+    up(manager) {
+      manager.sqlite.exec(`
+        CREATE TABLE IF NOT EXISTS vault (
+          name TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        )
+      `);
+    }
+  },
+  {
+    version: 4,
+    description: 'Historie statistik účtů (account_stats_history)',
+    up(manager) {
+      manager.sqlite.exec(`
+        CREATE TABLE IF NOT EXISTS account_stats_history (
+          account_id INTEGER NOT NULL REFERENCES accounts (id) ON DELETE CASCADE,
+          sampled_at INTEGER NOT NULL,
+          resolution TEXT NOT NULL DEFAULT 'raw',
+          wood INTEGER,
+          clay INTEGER,
+          iron INTEGER,
+          population_current INTEGER,
+          population_max INTEGER,
+          points INTEGER,
+          wood_prod INTEGER,
+          clay_prod INTEGER,
+          iron_prod INTEGER,
+          PRIMARY KEY (account_id, resolution, sampled_at)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_stats_history_time ON account_stats_history (account_id, sampled_at);
+      `);
+    }
+  },
+  {
+    version: 5,
+    description: 'Vesnice účtů (villages) s nastavením modulů per vesnice',
+    up(manager) {
+      manager.sqlite.exec(`
+        CREATE TABLE IF NOT EXISTS villages (
+          account_id INTEGER NOT NULL REFERENCES accounts (id) ON DELETE CASCADE,
+          village_id INTEGER NOT NULL,
+          PRIMARY KEY (account_id, village_id)
+        )
+      `);
+      manager._syncDeclaredColumns('villages');
+
+      // Dosud známá (jediná) vesnice účtu
+      manager.sqlite.exec(`
+        INSERT OR IGNORE INTO villages (account_id, village_id, name, coord_x, coord_y, continent, updated_at)
+        SELECT id, village_id, village_name, coord_x, coord_y, continent, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        FROM accounts
+        WHERE village_id IS NOT NULL
+      `);
+    }
+  },
+  {
+    version: 6,
+    description: 'Balancování surovin per vesnice (villages.balance_enabled)',
+    up(manager) {
+      manager._syncDeclaredColumns('villages');
+    }
+  },
+  {
+    version: 7,
+    description: 'Šablony balancování surovin (templates typ balance, accounts/villages.balance_template)',
+    up(manager) {
+      manager._syncDeclaredColumns('accounts');
+      manager._syncDeclaredColumns('villages');
+
+      const hasBalanceTemplates = manager.sqlite
+        .prepare("SELECT 1 FROM templates WHERE type = 'balance' LIMIT 1")
+        .get();
+      if (!hasBalanceTemplates) {
+        DEFAULT_TEMPLATES.balance.forEach(template => manager._writeTemplate('balance', template));
+      }
+    }
+  },
+  {
+    version: 8,
+    description: 'Přesun surovin mezi vesnicemi (transport_*, villages.building_needs)',
+    up(manager) {
+      manager._syncDeclaredColumns('accounts');
+      manager._syncDeclaredColumns('villages');
+    }
+  },
+  {
+    version: 9,
+    description: 'Šablony výstavby jako pořadí kroků (templates typ building: levels → steps)',
+    up(manager) {
+      const rows = manager.sqlite.prepare("SELECT id, data FROM templates WHERE type = 'building'").all();
+
+      for (const row of rows) {
+        const { levels, ...template } = JSON.parse(row.data);
+        const defaults = DEFAULT_BUILDING_TEMPLATES.find(t => t.id === row.id);
+
+        // Výchozí šablony dostanou původní pořadí z BuildingModule, vlastní se převedou z úrovní
+        if (!Array.isArray(template.steps) || template.steps.length === 0) {
+          template.steps = defaults ? structuredClone(defaults.steps) : levelsToSteps(levels || {});
+        }
+        manager._writeTemplate('building', template);
+      }
+
+      // Šablony, které byly jen v kódu (např. NOBLE)
+      for (const template of DEFAULT_BUILDING_TEMPLATES) {
+        if (!rows.some(row => row.id === template.id)) {
+          manager._writeTemplate('building', template);
+        }
+      }
+    }
+  },
+  {
+    version: 10,
+    description: 'Úrovně budov vesnic pro plánovač výstavby (villages.buildings)',
+    up(manager) {
+      manager._syncDeclaredColumns('villages');
+    }
+  },
+  {
+    version: 11,
+    description: 'Fronty budov, rezerva a dávky v šablonách rekrutu (templates typ recruit)',
+    up(manager) {
+      manager._normalizeStoredTemplates();
+    }
+  },
+  {
+    version: 12,
+    description: 'Šlechta - ražba mincí / balíčky a rekrut šlechticů (noble_enabled, villages.noble_status)',
+    up(manager) {
+      manager._syncDeclaredColumns('accounts');
+      manager._syncDeclaredColumns('villages');
+    }
+  },
+  {
+    version: 13,
+    description: 'Jednoduchý výzkum - režim šablon výzkumu (templates typ research: mode)',
+    up(manager) {
+      manager._normalizeStoredTemplates();
+    }
+  },
+  {
+    version: 14,
+    description: 'Pořadí a pravidla výzkumu (templates typ research: order, min_resources, protect_building), research_blocked',
+    up(manager) {
+      manager._syncDeclaredColumns('accounts');
+      manager._normalizeStoredTemplates();
+    }
+  },
+  {
+    version: 15,
+    description: 'Nastavení sběru - jednotky, rezerva a cílová doba (scavenge_config)',
+    up(manager) {
+      manager._syncDeclaredColumns('accounts');
+    }
+  },
+  {
+    version: 16,
+    description: 'Farmení barbarských vesnic (farm_*, farm_targets)',
+    up(manager) {
+      manager._syncDeclaredColumns('accounts');
+      manager.sqlite.exec(`
+        CREATE TABLE IF NOT EXISTS farm_targets (
+          account_id INTEGER NOT NULL REFERENCES accounts (id) ON DELETE CASCADE,
+          target_id INTEGER NOT NULL,
+          name TEXT,
+          x INTEGER NOT NULL,
+          y INTEGER NOT NULL,
+          points INTEGER NOT NULL DEFAULT 0,
+          distance REAL NOT NULL DEFAULT 0,
+          enabled INTEGER NOT NULL DEFAULT 1,
+          attacks INTEGER NOT NULL DEFAULT 0,
+          last_attack_at TEXT,
+          loot_wood INTEGER NOT NULL DEFAULT 0,
+          loot_stone INTEGER NOT NULL DEFAULT 0,
+          loot_iron INTEGER NOT NULL DEFAULT 0,
+          last_loot INTEGER,
+          last_full INTEGER NOT NULL DEFAULT 0,
+          losses INTEGER NOT NULL DEFAULT 0,
+          last_result TEXT,
+          last_report_id INTEGER,
+          last_report_at TEXT,
+          updated_at TEXT,
+          PRIMARY KEY (account_id, target_id)
+        )
+      `);
+    }
+  },
+  {
+    version: 17,
+    description: 'Reporty účtů (reports_enabled, reports)',
+    up(manager) {
+      manager._syncDeclaredColumns('accounts');
+      manager.sqlite.exec(`
+        CREATE TABLE IF NOT EXISTS reports (
+          account_id INTEGER NOT NULL REFERENCES accounts (id) ON DELETE CASCADE,
+          report_id INTEGER NOT NULL,
+          type TEXT NOT NULL,
+          result TEXT,
+          battle_time TEXT,
+          attacker_village_id INTEGER,
+          attacker_x INTEGER,
+          attacker_y INTEGER,
+          defender_village_id INTEGER,
+          target_x INTEGER,
+          target_y INTEGER,
+          data TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          PRIMARY KEY (account_id, report_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_reports_type ON reports (account_id, type, report_id);
+        CREATE INDEX IF NOT EXISTS idx_reports_target ON reports (target_x, target_y);
+      `);
+    }
+  },
+  {
+    version: 18,
+    description: 'Průzkum vesnic ze zvědů (village_intel) a pravidla farmení podle průzkumu',
+    up(manager) {
+      manager.sqlite.exec(`
+        CREATE TABLE IF NOT EXISTS village_intel (
+          world TEXT NOT NULL,
+          x INTEGER NOT NULL,
+          y INTEGER NOT NULL,
+          village_id INTEGER,
+          player TEXT,
+          player_id INTEGER,
+          wall INTEGER,
+          buildings TEXT,
+          units_home TEXT,
+          units_away TEXT,
+          resources TEXT,
+          account_id INTEGER,
+          report_id INTEGER,
+          scouted_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (world, x, y)
+        )
+      `);
+
+      // Už uložené reporty zvědů - jen SQL (svět přímo z accounts, nic se nedešifruje, vault ještě není připravený)
+      const rows = manager.sqlite.prepare(`
+        SELECT r.account_id, r.report_id, r.battle_time, r.data, a.world
+        FROM reports r
+        JOIN accounts a ON a.id = r.account_id
+        WHERE r.type = 'scout' AND a.world IS NOT NULL
+        ORDER BY r.report_id
+      `).all();
+
+      const upsert = manager.sqlite.prepare(`
+        INSERT INTO village_intel (world, x, y, village_id, player, player_id, wall, buildings, units_home, units_away,
+          resources, account_id, report_id, scouted_at, updated_at)
+        VALUES (@world, @x, @y, @village_id, @player, @player_id, @wall, @buildings, @units_home, @units_away,
+          @resources, @account_id, @report_id, @scouted_at, @updated_at)
+        ON CONFLICT (world, x, y) DO UPDATE SET
+          village_id = COALESCE(excluded.village_id, village_id),
+          player = excluded.player,
+          player_id = excluded.player_id,
+          wall = COALESCE(excluded.wall, wall),
+          buildings = COALESCE(excluded.buildings, buildings),
+          units_home = COALESCE(excluded.units_home, units_home),
+          units_away = COALESCE(excluded.units_away, units_away),
+          resources = COALESCE(excluded.resources, resources),
+          account_id = excluded.account_id,
+          report_id = excluded.report_id,
+          scouted_at = excluded.scouted_at,
+          updated_at = excluded.updated_at
+        WHERE excluded.scouted_at >= village_intel.scouted_at
+      `);
+      const json = (value) => value ? JSON.stringify(value) : null;
+
+      for (const row of rows) {
+        const { defender, spy } = JSON.parse(row.data || '{}');
+        if (!defender || defender.x === null || defender.y === null) continue;
+
+        const units = defender.units || {};
+        const unitsHome = Object.keys(units).length > 0
+          ? Object.fromEntries(Object.entries(units).map(([unit, count]) => [unit, Math.max(0, count - (defender.losses?.[unit] || 0))]))
+          : null;
+        const buildings = spy?.buildings || null;
+
+        upsert.run({
+          world: row.world,
+          x: defender.x,
+          y: defender.y,
+          village_id: defender.villageId ?? null,
+          player: defender.player ?? null,
+          player_id: defender.playerId ?? null,
+          wall: buildings ? (buildings.wall ?? 0) : null,
+          buildings: json(buildings),
+          units_home: json(unitsHome),
+          units_away: json(spy?.away),
+          resources: json(spy?.resources),
+          account_id: row.account_id,
+          report_id: row.report_id,
+          scouted_at: manager._reportTime(row.battle_time),
+          updated_at: new Date().toISOString()
+        });
+      }
+    }
+  },
+  {
+    version: 19,
+    description: 'Data světa z mapových souborů (village.txt, player.txt, ally.txt)',
+    up(manager) {
+      manager.sqlite.exec(`
+        CREATE TABLE IF NOT EXISTS world_villages (
+          world TEXT NOT NULL,
+          village_id INTEGER NOT NULL,
+          name TEXT,
+          x INTEGER NOT NULL,
+          y INTEGER NOT NULL,
+          player_id INTEGER NOT NULL DEFAULT 0,
+          points INTEGER NOT NULL DEFAULT 0,
+          bonus INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (world, village_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_world_villages_coords ON world_villages (world, x, y);
+        CREATE INDEX IF NOT EXISTS idx_world_villages_player ON world_villages (world, player_id);
+
+        CREATE TABLE IF NOT EXISTS world_players (
+          world TEXT NOT NULL,
+          player_id INTEGER NOT NULL,
+          name TEXT,
+          ally_id INTEGER NOT NULL DEFAULT 0,
+          villages INTEGER NOT NULL DEFAULT 0,
+          points INTEGER NOT NULL DEFAULT 0,
+          rank INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (world, player_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_world_players_name ON world_players (world, name COLLATE NOCASE);
+        CREATE INDEX IF NOT EXISTS idx_world_players_ally ON world_players (world, ally_id);
+
+        CREATE TABLE IF NOT EXISTS world_allies (
+          world TEXT NOT NULL,
+          ally_id INTEGER NOT NULL,
+          name TEXT,
+          tag TEXT,
+          members INTEGER NOT NULL DEFAULT 0,
+          villages INTEGER NOT NULL DEFAULT 0,
+          points INTEGER NOT NULL DEFAULT 0,
+          all_points INTEGER NOT NULL DEFAULT 0,
+          rank INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (world, ally_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_world_allies_tag ON world_allies (world, tag COLLATE NOCASE);
+
+        CREATE TABLE IF NOT EXISTS world_data (
+          world TEXT PRIMARY KEY,
+          source TEXT,
+          villages INTEGER NOT NULL DEFAULT 0,
+          players INTEGER NOT NULL DEFAULT 0,
+          allies INTEGER NOT NULL DEFAULT 0,
+          imported_at TEXT,
+          error TEXT,
+          updated_at TEXT NOT NULL
+        );
+      `);
+    }
+  }
+];
+
+// Pole účtu, která se šifrují
+const SECRET_FIELDS = Object.keys(ACCOUNT_FIELDS).filter(name => ACCOUNT_FIELDS[name].secret);
+
+// Nejvyšší verze schématu, kterou tato verze aplikace zná
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
 class DatabaseManager {
   constructor(dataPath = join(__dirname, '../data')) {
     this.dataPath = dataPath;
+    this.dbFile = join(dataPath, 'accounts.db');
+    // Staré JSON soubory - importují se jednorázově při prvním spuštění
     this.accountsFile = join(dataPath, 'accounts.json');
     this.statsFile = join(dataPath, 'stats.json');
     this.templatesFile = join(dataPath, 'templates.json');
     // In-memory cache pro templates (CPU optimalizace)
+    // Invaliduje se i při zápisu z jiného procesu (PRAGMA data_version)
     this._templatesCache = null;
+    this._templatesCacheVersion = null;
+    // Čas poslední údržby historie statistik (downsampling běží max 1x za hodinu)
+    this._lastHistoryMaintenance = 0;
+    // Klíč pro šifrování citlivých údajů (null = VAULT_KEY není nastaven)
+    this._vaultKey = null;
     this.initDatabase();
   }
 
@@ -22,174 +827,481 @@ class DatabaseManager {
       mkdirSync(this.dataPath, { recursive: true });
     }
 
-    // Vytvoř accounts.json, pokud neexistuje
-    if (!existsSync(this.accountsFile)) {
-      writeFileSync(this.accountsFile, JSON.stringify({ accounts: [], nextId: 1 }, null, 2));
-    }
-
-    // Vytvoř stats.json, pokud neexistuje
-    if (!existsSync(this.statsFile)) {
-      writeFileSync(this.statsFile, JSON.stringify({ stats: [] }, null, 2));
-    }
-
-    // Vytvoř templates.json, pokud neexistuje
-    if (!existsSync(this.templatesFile)) {
-      const defaultTemplates = {
-        recruit: [
-          { id: 'FARM', name: 'FARM', units: { spear: 0, sword: 0, axe: 300, light: 0, marcher: 0, heavy: 0 } },
-          { id: 'DEF', name: 'DEF', units: { spear: 300, sword: 300, archer: 100, heavy: 50 } },
-          { id: 'OFF', name: 'OFF', units: { axe: 0, light: 500, marcher: 0, ram: 50, catapult: 20 } }
-        ],
-        research: [
-          {
-            id: 'FARM',
-            name: 'FARM',
-            levels: {
-              spear: 0, sword: 0, axe: 3, archer: 0, spy: 0,
-              light: 0, marcher: 0, heavy: 0, ram: 0, catapult: 0, knight: 0, snob: 0
-            }
-          },
-          {
-            id: 'DEF',
-            name: 'DEF',
-            levels: {
-              spear: 3, sword: 3, archer: 3, spy: 2,
-              light: 0, marcher: 0, heavy: 3, ram: 0, catapult: 0, knight: 0, snob: 0
-            }
-          },
-          {
-            id: 'OFF',
-            name: 'OFF',
-            levels: {
-              spear: 0, sword: 0, axe: 3, spy: 2,
-              light: 3, marcher: 3, heavy: 0, ram: 3, catapult: 3, knight: 0, snob: 0
-            }
-          }
-        ],
-        building: [
-          {
-            id: 'FULL_VILLAGE',
-            name: 'FULL VILLAGE',
-            levels: {
-              main: 30, barracks: 25, stable: 20, garage: 15, smith: 20,
-              place: 1, market: 25, wood: 30, stone: 30, iron: 30,
-              farm: 30, storage: 30, hide: 10, wall: 20
-            }
-          },
-          {
-            id: 'WAREHOUSE',
-            name: 'WAREHOUSE',
-            levels: {
-              main: 20, barracks: 1, stable: 1, garage: 1, smith: 1,
-              market: 20, wood: 30, stone: 30, iron: 30,
-              farm: 30, storage: 30, hide: 10, wall: 1
-            }
-          },
-          {
-            id: 'RESOURCES',
-            name: 'RESOURCES',
-            levels: {
-              main: 15, wood: 30, stone: 30, iron: 30,
-              farm: 30, storage: 30, hide: 5, wall: 5
-            }
+    this.sqlite = new Database(this.dbFile);
+
+    // WAL umožní souběžné čtení z panelu i automatizace, busy_timeout řeší zámky mezi procesy
+    this.sqlite.pragma('journal_mode = WAL');
+    this.sqlite.pragma('busy_timeout = 5000');
+    this.sqlite.pragma('foreign_keys = ON');
+
+    this.sqlite.exec(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    this.runMigrations();
+    this._initVault(process.env.VAULT_KEY);
+
+    console.log('✅ Databáze inicializována');
+  }
+
+  // Aktuální verze schématu uložená v databázi (0 = prázdná databáze)
+  getSchemaVersion() {
+    const row = this.sqlite.prepare('SELECT MAX(version) AS version FROM schema_version').get();
+    return row.version || 0;
+  }
+
+  /**
+   * Spustí všechny čekající migrace
+   * Odmítne start, pokud je databáze novější, než tato verze aplikace zná
+   */
+  runMigrations() {
+    const currentVersion = this.getSchemaVersion();
+
+    if (currentVersion > SCHEMA_VERSION) {
+      this.close();
+      throw new Error(
+        `Databáze má schéma verze ${currentVersion}, tato verze aplikace zná nejvýše ${SCHEMA_VERSION} - aktualizuj aplikaci`
+      );
+    }
+
+    const pending = MIGRATIONS.filter(m => m.version > currentVersion);
+    if (pending.length === 0) return;
+
+    // Záloha před upgradem existující databáze (prázdnou není potřeba zálohovat)
+    if (currentVersion > 0) {
+      this._backupDatabase(`v${currentVersion}`);
+    }
+
+    for (const migration of pending) {
+      const applied = this.transaction(() => {
+        // Znovu zkontroluj uvnitř zámku - druhý proces mohl migraci mezitím dokončit
+        if (this.getSchemaVersion() >= migration.version) return false;
+
+        migration.up(this);
+        this.sqlite.prepare('INSERT INTO schema_version (version, applied_at) VALUES (?, ?)')
+          .run(migration.version, new Date().toISOString());
+        return true;
+      });
+
+      if (applied) {
+        console.log(`🔄 Migrace databáze v${migration.version}: ${migration.description}`);
+      }
+
+      if (applied && migration.version === 1) {
+        this._archiveJsonFiles();
+      }
+    }
+  }
+
+  /**
+   * Záloha databáze (data/accounts.db.<označení>-<čas>.bak)
+   * @param {string} label - Označení zálohy (např. v2 = verze schématu před migrací)
+   */
+  _backupDatabase(label) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupFile = `${this.dbFile}.${label}-${stamp}.bak`;
+    this.sqlite.prepare('VACUUM INTO ?').run(backupFile);
+    console.log(`💾 Záloha databáze: ${backupFile}`);
+  }
+
+  /**
+   * Doplní do tabulky sloupce, které jsou deklarované, ale v tabulce chybí
+   */
+  _syncDeclaredColumns(table) {
+    const existing = this._getColumns(table);
+
+    for (const [name, field] of Object.entries(TABLE_FIELDS[table])) {
+      if (existing.includes(name)) continue;
+
+      const sqlDefault = field.default === null ? '' : ` DEFAULT ${this._sqlLiteral(field.default)}`;
+      this.sqlite.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${SQL_TYPES[field.type]}${sqlDefault}`);
+    }
+  }
+
+  /**
+   * Nahradí NULL výchozí hodnotou deklarovaného pole a opraví neplatné JSON hodnoty
+   */
+  _backfillDefaults(table) {
+    for (const [name, field] of Object.entries(TABLE_FIELDS[table])) {
+      if (field.default !== null) {
+        this.sqlite
+          .prepare(`UPDATE ${table} SET ${name} = ? WHERE ${name} IS NULL`)
+          .run(this._toSqlValue(field.default));
+      }
+
+      // Šifrované hodnoty nejsou validní JSON - ty nekontrolujeme
+      if (field.type === 'json' && !field.secret) {
+        this.sqlite
+          .prepare(`UPDATE ${table} SET ${name} = ? WHERE ${name} IS NOT NULL AND json_valid(${name}) = 0`)
+          .run(this._toSqlValue(field.default));
+      }
+    }
+  }
+
+  /**
+   * Doplní chybějící pole ve všech uložených šablonách
+   */
+  _normalizeStoredTemplates() {
+    const rows = this.sqlite.prepare('SELECT type, id, data FROM templates').all();
+    const update = this.sqlite.prepare('UPDATE templates SET data = ? WHERE type = ? AND id = ?');
+
+    for (const row of rows) {
+      const normalized = this.normalizeTemplate(row.type, JSON.parse(row.data));
+      update.run(JSON.stringify(normalized), row.type, row.id);
+    }
+  }
+
+  /**
+   * Doplní deklarovaná pole šablony (chybějící nebo špatného typu → výchozí hodnota)
+   * Používají ji i moduly pro šablony, které nejdou přes saveTemplate (např. výchozí šablona balancování)
+   */
+  normalizeTemplate(type, template) {
+    const fields = TEMPLATE_FIELDS[type];
+    if (!fields) return template;
+
+    const normalized = { ...template };
+    for (const [name, field] of Object.entries(fields)) {
+      const value = normalized[name];
+      let valid = value !== undefined && value !== null;
+      if (field.type === 'object') valid = valid && typeof value === 'object' && !Array.isArray(value);
+      if (field.type === 'array') valid = Array.isArray(value);
+      if (field.type === 'number') valid = valid && value !== '' && Number.isFinite(Number(value));
+
+      if (!valid) {
+        // Název šablony bez vlastní hodnoty = její ID
+        normalized[name] = name === 'name' ? template.id : structuredClone(field.default);
+      } else if (field.type === 'number') {
+        normalized[name] = Number(value);
+      }
+    }
+    return normalized;
+  }
+
+  // Převést výchozí hodnotu na SQL literál (pro ALTER TABLE ... DEFAULT)
+  _sqlLiteral(value) {
+    const sqlValue = this._toSqlValue(value);
+    if (typeof sqlValue === 'number') return String(sqlValue);
+    return `'${String(sqlValue).replace(/'/g, "''")}'`;
+  }
+
+  // ============ VAULT (šifrování) ============
+
+  // Hodnota z tabulky vault
+  _getVaultValue(name) {
+    return this.sqlite.prepare('SELECT value FROM vault WHERE name = ?').get(name)?.value ?? null;
+  }
+
+  // Uložit hodnotu do tabulky vault
+  _setVaultValue(name, value) {
+    this.sqlite.prepare('INSERT OR REPLACE INTO vault (name, value) VALUES (?, ?)').run(name, value);
+  }
+
+  /**
+   * Připraví šifrovací klíč z hlavního hesla a zašifruje dosud nešifrované údaje
+   * Bez hesla zůstanou údaje nešifrované; šifrovaná databáze bez hesla se odmítne otevřít
+   * @param {string|undefined} passphrase - Hlavní heslo (VAULT_KEY)
+   */
+  _initVault(passphrase) {
+    const salt = this._getVaultValue('salt');
+    const check = this._getVaultValue('check');
+
+    if (!passphrase) {
+      if (check) {
+        this.close();
+        throw new Error('Databáze obsahuje šifrované údaje - nastav VAULT_KEY v .env');
+      }
+      console.log('⚠️  VAULT_KEY není nastaven - hesla, proxy a cookies jsou uložené nešifrovaně');
+      return;
+    }
+
+    if (!salt) {
+      // První spuštění s VAULT_KEY - vytvoř sůl a kontrolní hodnotu
+      this.transaction(() => {
+        // Druhý proces mohl vault mezitím vytvořit
+        if (this._getVaultValue('salt')) return;
+
+        const newSalt = generateSalt();
+        const key = deriveKey(passphrase, newSalt);
+        this._setVaultValue('salt', newSalt);
+        this._setVaultValue('check', encrypt(KEY_CHECK_VALUE, key));
+      });
+      return this._initVault(passphrase);
+    }
+
+    const key = deriveKey(passphrase, salt);
+    let valid = false;
+    try {
+      valid = decrypt(check, key) === KEY_CHECK_VALUE;
+    } catch (error) {
+      valid = false;
+    }
+
+    if (!valid) {
+      this.close();
+      throw new Error('Neplatný VAULT_KEY - nelze dešifrovat uložené údaje');
+    }
+
+    this._vaultKey = key;
+
+    const encrypted = this.transaction(() => this._reencryptSecrets(null, key, { onlyPlain: true }));
+    if (encrypted > 0) {
+      console.log(`🔐 Zašifrováno ${encrypted} nešifrovaných údajů (hesla, proxy, cookies)`);
+    }
+  }
+
+  /**
+   * Přešifruje citlivé údaje všech účtů
+   * @param {Buffer|null} oldKey - Současný klíč (null = údaje nejsou šifrované)
+   * @param {Buffer|null} newKey - Nový klíč (null = uložit nešifrovaně)
+   * @param {object} options - onlyPlain: zašifrovat jen dosud nešifrované hodnoty
+   * @returns {number} Počet změněných hodnot
+   */
+  _reencryptSecrets(oldKey, newKey, { onlyPlain = false } = {}) {
+    const rows = this.sqlite.prepare(`SELECT id, ${SECRET_FIELDS.join(', ')} FROM accounts`).all();
+    let changed = 0;
+
+    for (const row of rows) {
+      const fields = {};
+      for (const name of SECRET_FIELDS) {
+        const value = row[name];
+        if (value === null || value === undefined) continue;
+        if (onlyPlain && isEncrypted(value)) continue;
+
+        const plain = isEncrypted(value) ? decrypt(value, oldKey) : value;
+        fields[name] = newKey ? encrypt(plain, newKey) : plain;
+      }
+
+      const columns = Object.keys(fields);
+      if (columns.length === 0) continue;
+
+      const assignments = columns.map(c => `${c} = @${c}`).join(', ');
+      this.sqlite.prepare(`UPDATE accounts SET ${assignments} WHERE id = @__id`).run({ ...fields, __id: row.id });
+      changed += columns.length;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Změní hlavní heslo - přešifruje všechny údaje novým klíčem (nová sůl)
+   * @param {string|null} newPassphrase - Nové heslo (null/prázdné = vypnout šifrování)
+   * @returns {number} Počet přešifrovaných hodnot
+   */
+  rotateVaultKey(newPassphrase) {
+    this._backupDatabase('vault');
+
+    return this.transaction(() => {
+      const oldKey = this._vaultKey;
+
+      if (!newPassphrase) {
+        const changed = this._reencryptSecrets(oldKey, null);
+        this.sqlite.prepare('DELETE FROM vault').run();
+        this._vaultKey = null;
+        return changed;
+      }
+
+      const salt = generateSalt();
+      const newKey = deriveKey(newPassphrase, salt);
+      const changed = this._reencryptSecrets(oldKey, newKey);
+
+      this._setVaultValue('salt', salt);
+      this._setVaultValue('check', encrypt(KEY_CHECK_VALUE, newKey));
+      this._vaultKey = newKey;
+      return changed;
+    });
+  }
+
+  // Zašifrovat hodnotu citlivého pole (pokud je nastaven klíč)
+  _sealSecret(value) {
+    if (value === null || value === undefined || !this._vaultKey) return value;
+    return encrypt(value, this._vaultKey);
+  }
+
+  // Dešifrovat hodnotu citlivého pole
+  _openSecret(value) {
+    if (!isEncrypted(value)) return value;
+    return decrypt(value, this._vaultKey);
+  }
+
+  /**
+   * Spustí funkci v transakci (BEGIN IMMEDIATE - zamkne zápis i pro ostatní procesy)
+   * @param {Function} fn - Funkce provádějící čtení/zápisy
+   * @returns {*} Návratová hodnota funkce
+   */
+  transaction(fn) {
+    return this.sqlite.transaction(fn).immediate();
+  }
+
+  /**
+   * Jednorázový import dat ze starých JSON souborů (accounts.json, stats.json, templates.json)
+   * Pokud soubory neexistují, vloží výchozí šablony
+   */
+  _importJsonFiles() {
+    const accountColumns = this._getColumns('accounts');
+
+    if (existsSync(this.accountsFile)) {
+      const data = JSON.parse(readFileSync(this.accountsFile, 'utf-8'));
+      for (const account of data.accounts || []) {
+        const row = {};
+        for (const [key, value] of Object.entries(account)) {
+          // null necháme na výchozí hodnotě sloupce (NOT NULL sloupce by jinak selhaly)
+          if (accountColumns.includes(key) && value !== null && value !== undefined) {
+            row[key] = this._toSqlValue(value);
           }
-        ],
-        worlds: {}
-      };
-      writeFileSync(this.templatesFile, JSON.stringify(defaultTemplates, null, 2));
+        }
+        if (!row.created_at) row.created_at = new Date().toISOString();
+        this._insertRow('accounts', row);
+      }
+      console.log(`📦 Importováno ${data.accounts?.length || 0} účtů z accounts.json`);
     }
 
-    console.log('✅ Databáze inicializována');
+    if (existsSync(this.statsFile)) {
+      const data = JSON.parse(readFileSync(this.statsFile, 'utf-8'));
+      const exists = this.sqlite.prepare('SELECT 1 FROM accounts WHERE id = ?');
+      for (const stats of data.stats || []) {
+        // Statistiky smazaných účtů nemají kam patřit (cizí klíč)
+        if (!exists.get(stats.account_id)) continue;
+        this._upsertStats(stats.account_id, stats);
+      }
+    }
+
+    let templates = DEFAULT_TEMPLATES;
+    let worlds = {};
+    if (existsSync(this.templatesFile)) {
+      const data = JSON.parse(readFileSync(this.templatesFile, 'utf-8'));
+      const { worlds: savedWorlds, ...savedTemplates } = data;
+      templates = savedTemplates;
+      worlds = savedWorlds || {};
+    }
+
+    for (const [type, list] of Object.entries(templates)) {
+      if (!Array.isArray(list)) continue;
+      list.forEach(template => this._writeTemplate(type, template));
+    }
+
+    const insertWorld = this.sqlite.prepare('INSERT OR REPLACE INTO world_settings (world, data) VALUES (?, ?)');
+    for (const [world, settings] of Object.entries(worlds)) {
+      insertWorld.run(world, JSON.stringify(settings));
+    }
+  }
+
+  /**
+   * Přejmenuje importované JSON soubory na *.migrated, aby se neimportovaly znovu
+   */
+  _archiveJsonFiles() {
+    for (const file of [this.accountsFile, this.statsFile, this.templatesFile]) {
+      if (existsSync(file)) {
+        try {
+          renameSync(file, `${file}.migrated`);
+        } catch (error) {
+          console.error(`⚠️  Nepodařilo se archivovat ${file}:`, error.message);
+        }
+      }
+    }
+  }
+
+  // Získat seznam sloupců tabulky
+  _getColumns(table) {
+    return this.sqlite.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
   }
 
-  // Načíst účty ze souboru
-  _loadAccounts() {
-    const data = readFileSync(this.accountsFile, 'utf-8');
-    return JSON.parse(data);
+  // Převést JS hodnotu na hodnotu pro SQLite (boolean → 0/1, objekt → JSON)
+  _toSqlValue(value) {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return value;
   }
 
-  // Uložit účty do souboru
-  _saveAccounts(data) {
-    writeFileSync(this.accountsFile, JSON.stringify(data, null, 2));
+  // Vložit řádek do tabulky
+  _insertRow(table, row) {
+    const columns = Object.keys(row);
+    const placeholders = columns.map(c => `@${c}`).join(', ');
+    return this.sqlite
+      .prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`)
+      .run(row);
   }
 
-  // Načíst statistiky ze souboru
-  _loadStats() {
-    const data = readFileSync(this.statsFile, 'utf-8');
-    return JSON.parse(data);
+  // Aktualizovat sloupce účtu
+  _updateAccountColumns(accountId, fields) {
+    const columns = Object.keys(fields);
+    if (columns.length === 0) return;
+
+    const values = {};
+    for (const column of columns) {
+      values[column] = this._toSqlValue(fields[column]);
+      if (ACCOUNT_FIELDS[column]?.secret) {
+        values[column] = this._sealSecret(values[column]);
+      }
+    }
+
+    const assignments = columns.map(c => `${c} = @${c}`).join(', ');
+    this.sqlite
+      .prepare(`UPDATE accounts SET ${assignments} WHERE id = @__id`)
+      .run({ ...values, __id: accountId });
   }
 
-  // Uložit statistiky do souboru
-  _saveStats(data) {
-    writeFileSync(this.statsFile, JSON.stringify(data, null, 2));
+  // Převést řádek z tabulky accounts na objekt účtu (podle deklarovaných typů)
+  _rowToAccount(row) {
+    if (!row) return undefined;
+    for (const [name, field] of Object.entries(ACCOUNT_FIELDS)) {
+      if (field.type === 'boolean') row[name] = row[name] === 1;
+      if (field.secret && name in row) row[name] = this._openSecret(row[name]);
+    }
+    return row;
+  }
+
+  // Vložit/aktualizovat statistiky účtu
+  _upsertStats(accountId, stats) {
+    this.sqlite.prepare(`
+      INSERT INTO account_stats (account_id, wood, clay, iron, population_current, population_max, points, updated_at)
+      VALUES (@account_id, @wood, @clay, @iron, @population_current, @population_max, @points, @updated_at)
+      ON CONFLICT (account_id) DO UPDATE SET
+        wood = excluded.wood,
+        clay = excluded.clay,
+        iron = excluded.iron,
+        population_current = excluded.population_current,
+        population_max = excluded.population_max,
+        points = excluded.points,
+        updated_at = excluded.updated_at
+    `).run({
+      account_id: accountId,
+      wood: stats.wood || 0,
+      clay: stats.clay || 0,
+      iron: stats.iron || 0,
+      population_current: stats.population_current || 0,
+      population_max: stats.population_max || 0,
+      points: stats.points || 0,
+      updated_at: stats.updated_at || new Date().toISOString()
+    });
   }
 
   // Přidat nový účet
   addAccount(username, password, proxy = null, world = null) {
     try {
-      const data = this._loadAccounts();
-
       // Kontrola, jestli účet už existuje
-      const exists = data.accounts.find(a => a.username === username);
+      const exists = this.getAccountByUsername(username);
       if (exists) {
         console.error(`❌ Účet ${username} již existuje`);
         return null;
       }
 
-      // Bezpečné určení ID - najdi max ID + 1 (ochrana proti corrupted nextId)
-      const maxId = data.accounts.length > 0
-        ? Math.max(...data.accounts.map(a => a.id))
-        : 0;
-      const newId = Math.max(maxId + 1, data.nextId);
-
-      const newAccount = {
-        id: newId,
+      // Ostatní sloupce (nastavení modulů, pause, premium...) mají výchozí hodnoty ve schématu
+      const result = this._insertRow('accounts', {
         username,
-        password,
+        password: this._sealSecret(password),
         world,
-        proxy,
-        cookies: null,
-        premium: 0,
-        units_info: null,
-        wall_level: null,
-        // 🆕 COORDINATES - Souřadnice vesnice
-        village_id: null,
-        village_name: null,
-        coord_x: null,
-        coord_y: null,
-        continent: null,
-        // 🆕 TRIBE - Informace o kmeni
-        tribe_name: null,
-        // 🆕 PREMIUM - Premium informace
-        premium_active: false,
-        premium_points: 0,
-        recruit_enabled: 0,
-        recruit_template: 'FARM',
-        building_enabled: 0,
-        building_template: 'FULL_VILLAGE',
-        // 🆕 RESEARCH - Nové pole pro výzkum
-        research_enabled: 0,
-        research_template: 'FARM',
-        research_status: null,
-        // 🆕 SCAVENGE - Nové pole pro sběr
-        scavenge_enabled: 0,
-        // 🆕 BALANCE - Nové pole pro balancování surovin na trhu
-        balance_enabled: 1,
-        // 🆕 PAUSE - Pozastavení účtu
-        paused: 0,
-        pause_note: null, // 🆕 Poznámka k pausnutému účtu
-        last_login: null,
-        active: 1,
+        proxy: this._sealSecret(proxy),
         created_at: new Date().toISOString()
-      };
-
-      data.accounts.push(newAccount);
-      data.nextId = newId + 1; // Nastav nextId na další volné číslo
-      this._saveAccounts(data);
+      });
+      const newId = Number(result.lastInsertRowid);
 
       const server = this.getServerFromWorld(world);
-      console.log(`✅ Účet ${username} přidán (ID: ${newAccount.id}, Server: ${server})`);
-      return newAccount.id;
+      console.log(`✅ Účet ${username} přidán (ID: ${newId}, Server: ${server})`);
+      return newId;
     } catch (error) {
       console.error(`❌ Chyba při přidávání účtu ${username}:`, error.message);
       return null;
@@ -202,345 +1314,1158 @@ class DatabaseManager {
     return world.toLowerCase().startsWith('sk') ? 'SK' : 'CS';
   }
 
-  // Získat doménu pro účet
-  getDomainForAccount(account) {
-    const server = this.getServerFromWorld(account.world);
-    return server === 'SK' ? 'divoke-kmene.sk' : 'divokekmeny.cz';
-  }
+  // Získat doménu pro účet
+  getDomainForAccount(account) {
+    const server = this.getServerFromWorld(account.world);
+    return server === 'SK' ? 'divoke-kmene.sk' : 'divokekmeny.cz';
+  }
+
+  // Získat účet podle ID
+  getAccount(id) {
+    const row = this.sqlite.prepare('SELECT * FROM accounts WHERE id = ?').get(id);
+    return this._rowToAccount(row);
+  }
+
+  // Získat účet podle jména
+  getAccountByUsername(username) {
+    const row = this.sqlite.prepare('SELECT * FROM accounts WHERE username = ?').get(username);
+    return this._rowToAccount(row);
+  }
+
+  // Získat všechny aktivní účty
+  getAllActiveAccounts() {
+    return this.sqlite
+      .prepare('SELECT * FROM accounts WHERE active = 1 AND paused = 0 ORDER BY id')
+      .all()
+      .map(row => this._rowToAccount(row));
+  }
+
+  // Aktualizovat cookies pro účet
+  updateCookies(accountId, cookies) {
+    this._updateAccountColumns(accountId, {
+      cookies: JSON.stringify(cookies),
+      last_login: new Date().toISOString()
+    });
+    // Cookies se ukládají potichu (po každé operaci)
+  }
+
+  // Aktualizovat informace o účtu
+  updateAccountInfo(accountId, info) {
+    const fields = {};
+    for (const column of ACCOUNT_INFO_COLUMNS) {
+      if (info[column] !== undefined) fields[column] = info[column];
+    }
+    this._updateAccountColumns(accountId, fields);
+  }
+
+  // 🆕 NOTIFIKACE - Uložit čas poslední notifikace daného typu
+  updateLastNotification(accountId, type, timestamp) {
+    if (!NOTIFICATION_TYPES.includes(type)) return;
+    this._updateAccountColumns(accountId, { [`last_notification_${type}`]: timestamp });
+  }
+
+  // Aktualizovat statistiky účtu
+  updateAccountStats(accountId, stats) {
+    this._upsertStats(accountId, {
+      wood: stats.wood,
+      clay: stats.clay,
+      iron: stats.iron,
+      population_current: stats.populationCurrent,
+      population_max: stats.populationMax,
+      points: stats.points
+    });
+  }
+
+  // ============ HISTORIE STATISTIK ============
+
+  /**
+   * Přidá vzorek do historie statistik (append-only)
+   * @param {number} accountId - ID účtu
+   * @param {object} sample - Hodnoty metrik (HISTORY_METRICS), chybějící = null
+   */
+  addStatsHistorySample(accountId, sample) {
+    const row = { account_id: accountId, sampled_at: Date.now() };
+    for (const metric of HISTORY_METRICS) {
+      row[metric] = sample[metric] ?? null;
+    }
+
+    this.sqlite.prepare(`
+      INSERT OR REPLACE INTO account_stats_history (account_id, sampled_at, resolution, ${HISTORY_METRICS.join(', ')})
+      VALUES (@account_id, @sampled_at, 'raw', ${HISTORY_METRICS.map(m => `@${m}`).join(', ')})
+    `).run(row);
+
+    if (Date.now() - this._lastHistoryMaintenance > HOUR) {
+      this.downsampleStatsHistory();
+    }
+  }
+
+  /**
+   * Zprůměruje staré vzorky do hodinových/denních a smaže vzorky starší než rok
+   */
+  downsampleStatsHistory() {
+    const now = Date.now();
+    this._lastHistoryMaintenance = now;
+
+    const averages = HISTORY_METRICS.map(m => `CAST(ROUND(AVG(${m})) AS INTEGER)`).join(', ');
+
+    this.transaction(() => {
+      for (const step of HISTORY_DOWNSAMPLING) {
+        // Hranice zarovnaná na celé intervaly - interval se vždy zprůměruje celý najednou
+        const cutoff = Math.floor((now - step.olderThan) / step.bucket) * step.bucket;
+        const params = { from: step.from, to: step.to, bucket: step.bucket, cutoff };
+
+        this.sqlite.prepare(`
+          INSERT OR REPLACE INTO account_stats_history (account_id, sampled_at, resolution, ${HISTORY_METRICS.join(', ')})
+          SELECT account_id, (sampled_at / CAST(@bucket AS INTEGER)) * @bucket, @to, ${averages}
+          FROM account_stats_history
+          WHERE resolution = @from AND sampled_at < @cutoff
+          GROUP BY account_id, sampled_at / CAST(@bucket AS INTEGER)
+        `).run(params);
+
+        this.sqlite
+          .prepare('DELETE FROM account_stats_history WHERE resolution = @from AND sampled_at < @cutoff')
+          .run(params);
+      }
+
+      this.sqlite.prepare('DELETE FROM account_stats_history WHERE sampled_at < ?').run(now - HISTORY_MAX_AGE);
+    });
+  }
+
+  /**
+   * Získá historii statistik účtu
+   * @param {number} accountId - ID účtu
+   * @param {object} options - from/to (ms timestamp), metrics (pole z HISTORY_METRICS, výchozí všechny)
+   * @returns {Array<object>} Vzorky seřazené podle času { sampled_at, resolution, ...metriky }
+   */
+  getStatsHistory(accountId, { from = 0, to = Date.now(), metrics = HISTORY_METRICS } = {}) {
+    const columns = metrics.filter(m => HISTORY_METRICS.includes(m));
+
+    return this.sqlite.prepare(`
+      SELECT sampled_at, resolution${columns.map(c => `, ${c}`).join('')}
+      FROM account_stats_history
+      WHERE account_id = ? AND sampled_at BETWEEN ? AND ?
+      ORDER BY sampled_at
+    `).all(accountId, from, to);
+  }
+
+  // Seznam metrik dostupných v historii
+  getStatsHistoryMetrics() {
+    return [...HISTORY_METRICS];
+  }
+
+  // Pozastavit/obnovit účet
+  updateAccountPause(accountId, paused) {
+    const fields = { paused: paused ? 1 : 0 };
+    // 🆕 Smaž poznámku při unpause
+    if (!paused) {
+      fields.pause_note = null;
+    }
+
+    this._updateAccountColumns(accountId, fields);
+    console.log(`✅ Účet ${paused ? 'POZASTAVEN' : 'OBNOVEN'} ID: ${accountId}`);
+  }
+
+  // 🆕 Aktualizovat poznámku k pausnutému účtu
+  updatePauseNote(accountId, note) {
+    this._updateAccountColumns(accountId, { pause_note: note || null });
+  }
+
+  // Aktualizovat informace o rekrutování
+  updateRecruitSettings(accountId, settings) {
+    const fields = {};
+    if (settings.recruitEnabled !== undefined) fields.recruit_enabled = settings.recruitEnabled ? 1 : 0;
+    if (settings.recruitTemplate !== undefined) fields.recruit_template = settings.recruitTemplate;
+    this._updateAccountColumns(accountId, fields);
+    console.log(`✅ Nastavení rekrutování aktualizováno pro účet ID: ${accountId}`);
+  }
+
+  // Získat nastavení rekrutování (s villageId včetně nastavení vesnice)
+  getRecruitSettings(accountId, villageId = null) {
+    const account = this.getAccount(accountId);
+    if (!account) return null;
+
+    return this._applyVillageSettings('recruit', accountId, villageId, {
+      enabled: account.recruit_enabled === 1,
+      template: account.recruit_template || 'FARM'
+    });
+  }
+
+  // Aktualizovat informace o výstavbě
+  updateBuildingSettings(accountId, settings) {
+    const fields = {};
+    if (settings.buildingEnabled !== undefined) fields.building_enabled = settings.buildingEnabled ? 1 : 0;
+    if (settings.buildingTemplate !== undefined) fields.building_template = settings.buildingTemplate;
+    this._updateAccountColumns(accountId, fields);
+    console.log(`✅ Nastavení výstavby aktualizováno pro účet ID: ${accountId}`);
+  }
+
+  // Získat nastavení výstavby (s villageId včetně nastavení vesnice)
+  getBuildingSettings(accountId, villageId = null) {
+    const account = this.getAccount(accountId);
+    if (!account) return null;
+
+    return this._applyVillageSettings('building', accountId, villageId, {
+      enabled: account.building_enabled === 1,
+      template: account.building_template || 'FULL_VILLAGE'
+    });
+  }
+
+  // 🆕 RESEARCH - Aktualizovat informace o výzkumu
+  updateResearchSettings(accountId, settings) {
+    const fields = {};
+    if (settings.researchEnabled !== undefined) fields.research_enabled = settings.researchEnabled ? 1 : 0;
+    if (settings.researchTemplate !== undefined) fields.research_template = settings.researchTemplate;
+    if (settings.researchStatus !== undefined) fields.research_status = settings.researchStatus;
+    this._updateAccountColumns(accountId, fields);
+    console.log(`✅ Nastavení výzkumu aktualizováno pro účet ID: ${accountId}`);
+  }
+
+  // 🆕 RESEARCH - Získat nastavení výzkumu (s villageId včetně nastavení vesnice)
+  getResearchSettings(accountId, villageId = null) {
+    const account = this.getAccount(accountId);
+    if (!account) return null;
+
+    return this._applyVillageSettings('research', accountId, villageId, {
+      enabled: account.research_enabled === 1,
+      template: account.research_template || 'FARM',
+      status: account.research_status ? JSON.parse(account.research_status) : null
+    });
+  }
+
+  /**
+   * 🆕 RESEARCH - Uloží, co výzkum vesnice blokuje a proč (pro řádek účtu v control panelu)
+   * @param {object} report - { researching: [...], blocked: [{ unit, level, reason, ... }] }
+   */
+  updateResearchBlocked(accountId, villageId, report) {
+    const account = this.getAccount(accountId);
+    if (!account) return;
+
+    const current = account.research_blocked ? JSON.parse(account.research_blocked) : {};
+    current[villageId || 'main'] = { ...report, updated_at: new Date().toISOString() };
+    this._updateAccountColumns(accountId, { research_blocked: JSON.stringify(current) });
+  }
+
+  // 🆕 SCAVENGE - Aktualizovat informace o sběru
+  updateScavengeSettings(accountId, settings) {
+    const fields = {};
+    if (settings.scavengeEnabled !== undefined) fields.scavenge_enabled = settings.scavengeEnabled ? 1 : 0;
+    if (settings.scavengeConfig !== undefined) {
+      // Neuvedené hodnoty zůstávají podle uloženého nastavení
+      const config = { ...this._scavengeConfig(this.getAccount(accountId)), ...settings.scavengeConfig };
+      const errors = this.validateScavengeConfig(config);
+      if (errors.length > 0) throw new Error(`Neplatné nastavení sběru: ${errors.join('; ')}`);
+      fields.scavenge_config = JSON.stringify(config);
+    }
+    this._updateAccountColumns(accountId, fields);
+    console.log(`✅ Nastavení sběru aktualizováno pro účet ID: ${accountId}`);
+  }
+
+  // 🆕 SCAVENGE - Získat nastavení sběru (s villageId včetně nastavení vesnice)
+  getScavengeSettings(accountId, villageId = null) {
+    const account = this.getAccount(accountId);
+    if (!account) return null;
+
+    return this._applyVillageSettings('scavenge', accountId, villageId, {
+      enabled: account.scavenge_enabled === 1,
+      config: this._scavengeConfig(account)
+    });
+  }
+
+  // 🆕 SCAVENGE - Nastavení sběru účtu doplněné o výchozí hodnoty
+  _scavengeConfig(account) {
+    const stored = account.scavenge_config ? JSON.parse(account.scavenge_config) : {};
+    return { ...structuredClone(DEFAULT_SCAVENGE_CONFIG), ...stored };
+  }
+
+  /**
+   * 🆕 SCAVENGE - Zkontroluje nastavení sběru (po doplnění výchozích hodnot)
+   * @returns {Array<string>} Seznam chyb (prázdný = nastavení je v pořádku)
+   */
+  validateScavengeConfig(config) {
+    const errors = [];
+    const normalized = { ...DEFAULT_SCAVENGE_CONFIG, ...config };
+
+    if (!Array.isArray(normalized.units) || normalized.units.length === 0) {
+      errors.push('Vyber alespoň jednu jednotku pro sběr');
+    } else {
+      const unknown = normalized.units.filter(unit => !SCAVENGE_UNITS.includes(unit));
+      if (unknown.length > 0) errors.push(`Jednotku nelze poslat na sběr: ${unknown.join(', ')}`);
+    }
+
+    const reserve = normalized.reserve;
+    if (!reserve || typeof reserve !== 'object' || Array.isArray(reserve)) {
+      errors.push('Rezerva jednotek musí být objekt { jednotka: počet }');
+    } else {
+      for (const [unit, value] of Object.entries(reserve)) {
+        if (!SCAVENGE_UNITS.includes(unit)) errors.push(`Neznámá jednotka v rezervě: ${unit}`);
+        else if (!Number.isInteger(Number(value)) || Number(value) < 0) errors.push(`Rezerva ${unit} musí být celé nezáporné číslo`);
+      }
+    }
+
+    const runHours = Number(normalized.run_hours);
+    if (!Number.isFinite(runHours) || runHours < 0.5 || runHours > 24) {
+      errors.push('Doba sběru musí být 0.5-24 hodin');
+    }
+
+    if (normalized.unlock !== null) {
+      errors.push(...this.validateScavengeUnlock(normalized.unlock));
+    }
+
+    if (!['hours', 'return_at'].includes(normalized.run_mode)) {
+      errors.push('Režim sběru musí být hours nebo return_at');
+    } else if (normalized.run_mode === 'return_at' && !/^([01]\d|2[0-3]):[0-5]\d$/.test(normalized.return_at || '')) {
+      errors.push('Čas návratu ze sběru musí být ve tvaru HH:MM');
+    }
+
+    return errors;
+  }
+
+  /**
+   * 🆕 SCAVENGE - Zkontroluje pravidla odemykání možností sběru (chybějící hodnoty jsou v pořádku)
+   * @returns {Array<string>} Seznam chyb
+   */
+  validateScavengeUnlock(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      return ['Pravidla odemykání sběru musí být objekt'];
+    }
+
+    const errors = [];
+    const unknown = Object.keys(policy).filter(key => !(key in DEFAULT_SCAVENGE_UNLOCK));
+    if (unknown.length > 0) errors.push(`Neznámé pravidlo odemykání sběru: ${unknown.join(', ')}`);
+
+    const afterStep = Number(policy.after_step ?? 0);
+    if (!Number.isInteger(afterStep) || afterStep < 0) errors.push('Krok výstavby pro odemykání musí být celé číslo 0 nebo víc');
+
+    const minResources = Number(policy.min_resources ?? 0);
+    if (!Number.isFinite(minResources) || minResources < 0) errors.push('Rezerva surovin pro odemykání musí být nezáporné číslo');
+
+    const maxOption = Number(policy.max_option ?? 4);
+    if (!Number.isInteger(maxOption) || maxOption < 1 || maxOption > 4) errors.push('Nejvyšší odemykaná možnost musí být 1-4');
+
+    return errors;
+  }
+
+  // 🆕 BALANCE - Aktualizovat informace o balancování surovin
+  updateBalanceSettings(accountId, settings) {
+    const fields = {};
+    if (settings.balanceEnabled !== undefined) fields.balance_enabled = settings.balanceEnabled ? 1 : 0;
+    if (settings.balanceTemplate !== undefined) fields.balance_template = settings.balanceTemplate;
+    this._updateAccountColumns(accountId, fields);
+    console.log(`✅ Nastavení balancování surovin aktualizováno pro účet ID: ${accountId}`);
+  }
+
+  // 🆕 BALANCE - Získat nastavení balancování surovin (s villageId včetně nastavení vesnice)
+  getBalanceSettings(accountId, villageId = null) {
+    const account = this.getAccount(accountId);
+    if (!account) return null;
+
+    return this._applyVillageSettings('balance', accountId, villageId, {
+      enabled: account.balance_enabled === 1,
+      template: account.balance_template || 'DEFAULT'
+    });
+  }
+
+  // 🆕 TRANSPORT - Aktualizovat nastavení přesunu surovin
+  updateTransportSettings(accountId, settings) {
+    const fields = {};
+    if (settings.transportEnabled !== undefined) fields.transport_enabled = settings.transportEnabled ? 1 : 0;
+    if (settings.transportCrossAccount !== undefined) fields.transport_cross_account = settings.transportCrossAccount ? 1 : 0;
+    this._updateAccountColumns(accountId, fields);
+    console.log(`✅ Nastavení přesunu surovin aktualizováno pro účet ID: ${accountId}`);
+  }
+
+  // 🆕 TRANSPORT - Získat nastavení přesunu surovin (s villageId včetně nastavení vesnice)
+  getTransportSettings(accountId, villageId = null) {
+    const account = this.getAccount(accountId);
+    if (!account) return null;
+
+    return this._applyVillageSettings('transport', accountId, villageId, {
+      enabled: account.transport_enabled === 1,
+      crossAccount: account.transport_cross_account === 1
+    });
+  }
+
+  // 🆕 NOBLE - Aktualizovat nastavení šlechty
+  updateNobleSettings(accountId, settings) {
+    const fields = {};
+    if (settings.nobleEnabled !== undefined) fields.noble_enabled = settings.nobleEnabled ? 1 : 0;
+    this._updateAccountColumns(accountId, fields);
+    console.log(`✅ Nastavení šlechty aktualizováno pro účet ID: ${accountId}`);
+  }
+
+  // 🆕 NOBLE - Získat nastavení šlechty (template = šablona rekrutu, cíl šlechticů je její snob)
+  getNobleSettings(accountId, villageId = null) {
+    const account = this.getAccount(accountId);
+    if (!account) return null;
+
+    return this._applyVillageSettings('noble', accountId, villageId, {
+      enabled: account.noble_enabled === 1,
+      template: this.getRecruitSettings(accountId, villageId).template
+    });
+  }
+
+  // 🆕 FARM - Aktualizovat nastavení farmení
+  updateFarmSettings(accountId, settings) {
+    const fields = {};
+    if (settings.farmEnabled !== undefined) fields.farm_enabled = settings.farmEnabled ? 1 : 0;
+    if (settings.farmConfig !== undefined) {
+      // Neuvedené hodnoty zůstávají podle uloženého nastavení
+      const config = { ...this._farmConfig(this.getAccount(accountId)), ...settings.farmConfig };
+      const errors = this.validateFarmConfig(config);
+      if (errors.length > 0) throw new Error(`Neplatné nastavení farmení: ${errors.join('; ')}`);
+      fields.farm_config = JSON.stringify(config);
+    }
+    this._updateAccountColumns(accountId, fields);
+    console.log(`✅ Nastavení farmení aktualizováno pro účet ID: ${accountId}`);
+  }
+
+  // 🆕 FARM - Získat nastavení a stav farmení (farmí se jen z hlavní vesnice účtu)
+  getFarmSettings(accountId) {
+    const account = this.getAccount(accountId);
+    if (!account) return null;
+
+    return {
+      enabled: account.farm_enabled === 1,
+      config: this._farmConfig(account),
+      status: account.farm_status ? JSON.parse(account.farm_status) : {}
+    };
+  }
+
+  // 🆕 FARM - Nastavení farmení účtu doplněné o výchozí hodnoty
+  _farmConfig(account) {
+    const stored = account.farm_config ? JSON.parse(account.farm_config) : {};
+    return { ...structuredClone(DEFAULT_FARM_CONFIG), ...stored };
+  }
+
+  /**
+   * 🆕 FARM - Zkontroluje nastavení farmení (po doplnění výchozích hodnot)
+   * @returns {Array<string>} Seznam chyb (prázdný = nastavení je v pořádku)
+   */
+  validateFarmConfig(config) {
+    const errors = [];
+    const normalized = { ...DEFAULT_FARM_CONFIG, ...config };
+
+    const radius = Number(normalized.radius);
+    if (!Number.isFinite(radius) || radius < 1 || radius > 100) errors.push('Radius farmení musí být 1-100 políček');
+
+    const maxPoints = Number(normalized.max_points);
+    if (!Number.isInteger(maxPoints) || maxPoints < 0) errors.push('Max. body cíle musí být celé nezáporné číslo');
+
+    const maxAttacks = Number(normalized.max_attacks);
+    if (!Number.isInteger(maxAttacks) || maxAttacks < 1) errors.push('Max. útoků za běh musí být celé číslo 1 nebo víc');
+
+    const interval = Number(normalized.interval_minutes);
+    if (!Number.isFinite(interval) || interval < 1) errors.push('Odstup útoků na cíl musí být alespoň 1 minuta');
+
+    for (const [name, label] of [['template_a', 'Šablona A'], ['template_b', 'Šablona B'], ['reserve', 'Rezerva jednotek']]) {
+      const units = normalized[name];
+      if (!units || typeof units !== 'object' || Array.isArray(units)) {
+        errors.push(`${label} musí být objekt { jednotka: počet }`);
+        continue;
+      }
+      for (const [unit, value] of Object.entries(units)) {
+        if (!FARM_UNITS.includes(unit)) errors.push(`${label}: jednotku nelze poslat na farmu: ${unit}`);
+        else if (!Number.isInteger(Number(value)) || Number(value) < 0) errors.push(`${label}: ${unit} musí být celé nezáporné číslo`);
+      }
+      if (name !== 'reserve' && !Object.values(units).some(value => Number(value) > 0)) {
+        errors.push(`${label} musí obsahovat alespoň jednu jednotku`);
+      }
+    }
+
+    if (typeof normalized.disable_on_losses !== 'boolean') errors.push('disable_on_losses musí být true/false');
+    if (typeof normalized.skip_defended !== 'boolean') errors.push('skip_defended musí být true/false');
+
+    if (normalized.max_wall !== null) {
+      const maxWall = Number(normalized.max_wall);
+      if (!Number.isInteger(maxWall) || maxWall < 0 || maxWall > 20) errors.push('Max. hradba cíle musí být 0-20 (nebo null)');
+    }
+
+    return errors;
+  }
+
+  // 🆕 FARM - Uložit stav farmení (sloučí se s uloženým stavem)
+  updateFarmStatus(accountId, status) {
+    const current = this.getFarmSettings(accountId)?.status || {};
+    this._updateAccountColumns(accountId, { farm_status: JSON.stringify({ ...current, ...status }) });
+  }
+
+  /**
+   * 🆕 FARM - Uloží seznam barbarských vesnic v okolí (z village.txt)
+   * Nové cíle přidá, známým aktualizuje body a vzdálenost (statistiky a vyřazení zůstávají),
+   * cíle, které už nejsou barbarské nebo v okolí, smaže
+   * @param {Array<object>} targets - { id, name, x, y, points, distance }
+   */
+  syncFarmTargets(accountId, targets) {
+    const upsert = this.sqlite.prepare(`
+      INSERT INTO farm_targets (account_id, target_id, name, x, y, points, distance, updated_at)
+      VALUES (@account_id, @target_id, @name, @x, @y, @points, @distance, @updated_at)
+      ON CONFLICT (account_id, target_id) DO UPDATE SET
+        name = excluded.name,
+        x = excluded.x,
+        y = excluded.y,
+        points = excluded.points,
+        distance = excluded.distance,
+        updated_at = excluded.updated_at
+    `);
+
+    this.transaction(() => {
+      const updatedAt = new Date().toISOString();
+
+      for (const target of targets) {
+        upsert.run({
+          account_id: accountId,
+          target_id: target.id,
+          name: target.name ?? null,
+          x: target.x,
+          y: target.y,
+          points: target.points || 0,
+          distance: target.distance,
+          updated_at: updatedAt
+        });
+      }
+
+      const ids = targets.map(target => target.id);
+      const keep = ids.length > 0 ? `AND target_id NOT IN (${ids.map(() => '?').join(', ')})` : '';
+      this.sqlite
+        .prepare(`DELETE FROM farm_targets WHERE account_id = ? ${keep}`)
+        .run(accountId, ...ids);
+    });
+  }
+
+  // 🆕 FARM - Cíle farmení účtu seřazené podle vzdálenosti, s hradbou a obránci z průzkumu (intel_*)
+  getFarmTargets(accountId, { enabledOnly = false } = {}) {
+    return this.sqlite.prepare(`
+      SELECT farm_targets.*, village_intel.wall AS intel_wall, village_intel.units_home AS intel_units_home,
+        village_intel.scouted_at AS intel_scouted_at
+      FROM farm_targets
+      JOIN accounts ON accounts.id = farm_targets.account_id
+      LEFT JOIN village_intel ON village_intel.world = accounts.world
+        AND village_intel.x = farm_targets.x AND village_intel.y = farm_targets.y
+      WHERE farm_targets.account_id = ? ${enabledOnly ? 'AND farm_targets.enabled = 1' : ''}
+      ORDER BY farm_targets.distance, farm_targets.target_id
+    `).all(accountId).map(row => ({
+      ...row,
+      enabled: row.enabled === 1,
+      last_full: row.last_full === 1,
+      intel_units_home: row.intel_units_home ? JSON.parse(row.intel_units_home) : null
+    }));
+  }
+
+  // 🆕 FARM - Zapnout/vyřadit cíl farmení
+  setFarmTargetEnabled(accountId, targetId, enabled) {
+    const result = this.sqlite
+      .prepare('UPDATE farm_targets SET enabled = ? WHERE account_id = ? AND target_id = ?')
+      .run(enabled ? 1 : 0, accountId, targetId);
+    return result.changes > 0;
+  }
+
+  // 🆕 FARM - Zapsat odeslaný útok na cíl
+  markFarmAttack(accountId, targetId) {
+    this.sqlite
+      .prepare('UPDATE farm_targets SET attacks = attacks + 1, last_attack_at = ? WHERE account_id = ? AND target_id = ?')
+      .run(new Date().toISOString(), accountId, targetId);
+  }
+
+  /**
+   * 🆕 FARM - Zapíše výsledek útoku z reportu ke cíli (kořist, ztráty, barva výsledku)
+   * Report se započítá jen jednou (last_report_id), s disableOnLosses se cíl se ztrátami vyřadí
+   * @param {object} report - { id, targetId, result, loot: { wood, stone, iron }, full, losses }
+   * @returns {boolean} Zda report patřil k cíli farmení
+   */
+  recordFarmReport(accountId, report, disableOnLosses = false) {
+    const loot = report.loot || {};
+    const result = this.sqlite.prepare(`
+      UPDATE farm_targets SET
+        loot_wood = loot_wood + @wood,
+        loot_stone = loot_stone + @stone,
+        loot_iron = loot_iron + @iron,
+        last_loot = @total,
+        last_full = @full,
+        losses = losses + @losses,
+        last_result = @result,
+        last_report_id = @report_id,
+        last_report_at = @report_at,
+        enabled = CASE WHEN @disable = 1 AND @losses > 0 THEN 0 ELSE enabled END
+      WHERE account_id = @account_id AND target_id = @target_id
+        AND (last_report_id IS NULL OR last_report_id < @report_id)
+    `).run({
+      account_id: accountId,
+      target_id: report.targetId,
+      wood: loot.wood || 0,
+      stone: loot.stone || 0,
+      iron: loot.iron || 0,
+      total: (loot.wood || 0) + (loot.stone || 0) + (loot.iron || 0),
+      full: report.full ? 1 : 0,
+      losses: report.losses || 0,
+      result: report.result ?? null,
+      report_id: report.id,
+      report_at: new Date().toISOString(),
+      disable: disableOnLosses ? 1 : 0
+    });
+    return result.changes > 0;
+  }
+
+  // 🆕 REPORTS - Aktualizovat nastavení čtení reportů
+  updateReportsSettings(accountId, settings) {
+    const fields = {};
+    if (settings.reportsEnabled !== undefined) fields.reports_enabled = settings.reportsEnabled ? 1 : 0;
+    this._updateAccountColumns(accountId, fields);
+    console.log(`✅ Nastavení reportů aktualizováno pro účet ID: ${accountId}`);
+  }
+
+  // 🆕 REPORTS - Získat nastavení čtení reportů
+  getReportsSettings(accountId) {
+    const account = this.getAccount(accountId);
+    if (!account) return null;
+
+    return { enabled: account.reports_enabled === 1 };
+  }
+
+  // Převést řádek se statistikami na pole účtu
+  _statsFields(stats) {
+    return {
+      wood: stats?.wood || null,
+      clay: stats?.clay || null,
+      iron: stats?.iron || null,
+      population_current: stats?.population_current || null,
+      population_max: stats?.population_max || null,
+      points: stats?.points || null,
+      stats_updated_at: stats?.updated_at || null
+    };
+  }
+
+  // Získat kompletní informace o účtu včetně statistik
+  getAccountWithStats(accountId) {
+    const account = this.getAccount(accountId);
+    if (!account) return null;
+
+    const stats = this.sqlite.prepare('SELECT * FROM account_stats WHERE account_id = ?').get(accountId);
+
+    return {
+      ...account,
+      ...this._statsFields(stats)
+    };
+  }
+
+  // Získat všechny účty s jejich statistikami
+  getAllAccountsWithStats() {
+    const accounts = this.sqlite
+      .prepare('SELECT * FROM accounts WHERE active = 1 ORDER BY id')
+      .all()
+      .map(row => this._rowToAccount(row));
+
+    const statsByAccount = new Map(
+      this.sqlite.prepare('SELECT * FROM account_stats').all().map(s => [s.account_id, s])
+    );
+
+    return accounts.map(account => {
+      const stats = statsByAccount.get(account.id);
+
+      // Vypočítat jednotky mimo vesnici z units_info
+      let units_away = 0;
+      if (account.units_info) {
+        try {
+          const unitsInfo = JSON.parse(account.units_info);
+          for (const unitType in unitsInfo) {
+            const unit = unitsInfo[unitType];
+            // units_away = totalOwn - inVillages (= traveling + supporting)
+            const away = (unit.totalOwn || 0) - (unit.inVillages || 0);
+            units_away += away;
+          }
+        } catch (e) {
+          // Ignorovat chybu parsování JSON
+          units_away = 0;
+        }
+      }
 
-  // Získat účet podle ID
-  getAccount(id) {
-    const data = this._loadAccounts();
-    return data.accounts.find(a => a.id === id);
+      return {
+        ...account,
+        ...this._statsFields(stats),
+        // 🆕 UNITS AWAY - Vypočítáno z units_info
+        units_away: units_away
+      };
+    });
   }
 
-  // Získat účet podle jména
-  getAccountByUsername(username) {
-    const data = this._loadAccounts();
-    return data.accounts.find(a => a.username === username);
+  // Deaktivovat účet
+  deactivateAccount(accountId) {
+    this._updateAccountColumns(accountId, { active: 0 });
+    console.log(`✅ Účet ID ${accountId} deaktivován`);
   }
 
-  // Získat všechny aktivní účty
-  getAllActiveAccounts() {
-    const data = this._loadAccounts();
-    return data.accounts.filter(a => a.active === 1 && !a.paused);
+  // Zavřít databázi
+  close() {
+    if (this.sqlite?.open) {
+      this.sqlite.close();
+    }
   }
 
-  // Aktualizovat cookies pro účet
-  updateCookies(accountId, cookies) {
-    const data = this._loadAccounts();
-    const account = data.accounts.find(a => a.id === accountId);
+  // ============ VESNICE ============
 
-    if (account) {
-      account.cookies = JSON.stringify(cookies);
-      account.last_login = new Date().toISOString();
-      this._saveAccounts(data);
-      // Cookies se ukládají potichu (po každé operaci)
+  // Převést řádek z tabulky villages na objekt vesnice
+  _rowToVillage(row) {
+    if (!row) return undefined;
+    for (const module of VILLAGE_SETTING_MODULES) {
+      const column = `${module}_enabled`;
+      if (row[column] !== null) row[column] = row[column] === 1;
     }
+    row.building_needs = row.building_needs ? JSON.parse(row.building_needs) : null;
+    row.buildings = row.buildings ? JSON.parse(row.buildings) : null;
+    row.noble_status = row.noble_status ? JSON.parse(row.noble_status) : null;
+    return row;
   }
 
-  // Aktualizovat informace o účtu
-  updateAccountInfo(accountId, info) {
-    const data = this._loadAccounts();
-    const account = data.accounts.find(a => a.id === accountId);
-
-    if (account) {
-      if (info.world !== undefined) account.world = info.world;
-      if (info.premium !== undefined) account.premium = info.premium;
-      if (info.units_info !== undefined) account.units_info = info.units_info;
-      if (info.wall_level !== undefined) account.wall_level = info.wall_level;
-      // 🆕 RESEARCH - Ukládání research_status
-      if (info.research_status !== undefined) account.research_status = info.research_status;
-      // 🆕 COORDINATES - Ukládání souřadnic
-      if (info.village_id !== undefined) account.village_id = info.village_id;
-      if (info.village_name !== undefined) account.village_name = info.village_name;
-      if (info.coord_x !== undefined) account.coord_x = info.coord_x;
-      if (info.coord_y !== undefined) account.coord_y = info.coord_y;
-      if (info.continent !== undefined) account.continent = info.continent;
-      // 🆕 TRIBE - Ukládání tribe_name
-      if (info.tribe_name !== undefined) account.tribe_name = info.tribe_name;
-      // 🆕 PREMIUM - Ukládání premium informací
-      if (info.premium_active !== undefined) account.premium_active = info.premium_active;
-      if (info.premium_points !== undefined) account.premium_points = info.premium_points;
-      this._saveAccounts(data);
-    }
+  /**
+   * Uloží seznam vesnic účtu zjištěný z přehledu vesnic
+   * Nové vesnice přidá, známým aktualizuje údaje (nastavení modulů zůstává), ztracené smaže
+   * @param {number} accountId - ID účtu
+   * @param {Array<object>} villages - { id, name, x, y, continent, points, wood, clay, iron, storage_max, population_current, population_max }
+   */
+  syncVillages(accountId, villages) {
+    if (!villages || villages.length === 0) return;
+
+    const upsert = this.sqlite.prepare(`
+      INSERT INTO villages (account_id, village_id, name, coord_x, coord_y, continent, points,
+        wood, clay, iron, storage_max, population_current, population_max, updated_at)
+      VALUES (@account_id, @village_id, @name, @coord_x, @coord_y, @continent, COALESCE(@points, 0),
+        COALESCE(@wood, 0), COALESCE(@clay, 0), COALESCE(@iron, 0), COALESCE(@storage_max, 0),
+        COALESCE(@population_current, 0), COALESCE(@population_max, 0), @updated_at)
+      ON CONFLICT (account_id, village_id) DO UPDATE SET
+        name = excluded.name,
+        coord_x = excluded.coord_x,
+        coord_y = excluded.coord_y,
+        continent = excluded.continent,
+        points = COALESCE(@points, points),
+        wood = COALESCE(@wood, wood),
+        clay = COALESCE(@clay, clay),
+        iron = COALESCE(@iron, iron),
+        storage_max = COALESCE(@storage_max, storage_max),
+        population_current = COALESCE(@population_current, population_current),
+        population_max = COALESCE(@population_max, population_max),
+        updated_at = excluded.updated_at
+    `);
+
+    this.transaction(() => {
+      const updatedAt = new Date().toISOString();
+
+      for (const village of villages) {
+        upsert.run({
+          account_id: accountId,
+          village_id: parseInt(village.id),
+          name: village.name ?? null,
+          coord_x: village.x ?? null,
+          coord_y: village.y ?? null,
+          continent: village.continent ?? null,
+          points: village.points ?? null,
+          wood: village.wood ?? null,
+          clay: village.clay ?? null,
+          iron: village.iron ?? null,
+          storage_max: village.storage_max ?? null,
+          population_current: village.population_current ?? null,
+          population_max: village.population_max ?? null,
+          updated_at: updatedAt
+        });
+      }
+
+      const ids = villages.map(v => parseInt(v.id));
+      this.sqlite
+        .prepare(`DELETE FROM villages WHERE account_id = ? AND village_id NOT IN (${ids.map(() => '?').join(', ')})`)
+        .run(accountId, ...ids);
+    });
   }
 
-  // Aktualizovat statistiky účtu
-  updateAccountStats(accountId, stats) {
-    const data = this._loadStats();
-    const existingIndex = data.stats.findIndex(s => s.account_id === accountId);
+  // Získat vesnice účtu
+  getVillages(accountId) {
+    return this.sqlite
+      .prepare('SELECT * FROM villages WHERE account_id = ? ORDER BY village_id')
+      .all(accountId)
+      .map(row => this._rowToVillage(row));
+  }
 
-    const newStats = {
-      account_id: accountId,
-      wood: stats.wood || 0,
-      clay: stats.clay || 0,
-      iron: stats.iron || 0,
-      population_current: stats.populationCurrent || 0,
-      population_max: stats.populationMax || 0,
-      points: stats.points || 0,
-      updated_at: new Date().toISOString()
-    };
+  // Získat vesnici účtu podle ID vesnice
+  getVillage(accountId, villageId) {
+    const row = this.sqlite
+      .prepare('SELECT * FROM villages WHERE account_id = ? AND village_id = ?')
+      .get(accountId, villageId);
+    return this._rowToVillage(row);
+  }
 
-    if (existingIndex >= 0) {
-      data.stats[existingIndex] = newStats;
-    } else {
-      data.stats.push(newStats);
+  /**
+   * Aktualizuje nastavení modulů pro vesnici
+   * @param {object} settings - { buildingEnabled, buildingTemplate, recruitEnabled, balanceEnabled, ... } - null = podle účtu
+   */
+  updateVillageSettings(accountId, villageId, settings) {
+    const fields = {};
+    for (const module of VILLAGE_SETTING_MODULES) {
+      const enabled = settings[`${module}Enabled`];
+      const template = settings[`${module}Template`];
+      if (enabled !== undefined) fields[`${module}_enabled`] = enabled === null ? null : (enabled ? 1 : 0);
+      if (template !== undefined && `${module}_template` in VILLAGE_FIELDS) fields[`${module}_template`] = template || null;
     }
 
-    this._saveStats(data);
-  }
-
-  // Pozastavit/obnovit účet
-  updateAccountPause(accountId, paused) {
-    const data = this._loadAccounts();
-    const account = data.accounts.find(a => a.id === accountId);
+    const columns = Object.keys(fields);
+    if (columns.length === 0) return;
 
-    if (account) {
-      account.paused = paused ? 1 : 0;
-      // 🆕 Smaž poznámku při unpause
-      if (!paused) {
-        account.pause_note = null;
-      }
-      this._saveAccounts(data);
-      console.log(`✅ Účet ${paused ? 'POZASTAVEN' : 'OBNOVEN'} ID: ${accountId}`);
-    }
+    const assignments = columns.map(c => `${c} = @${c}`).join(', ');
+    this.sqlite
+      .prepare(`UPDATE villages SET ${assignments} WHERE account_id = @__account AND village_id = @__village`)
+      .run({ ...fields, __account: accountId, __village: villageId });
+    console.log(`✅ Nastavení vesnice ${villageId} aktualizováno pro účet ID: ${accountId}`);
   }
 
-  // 🆕 Aktualizovat poznámku k pausnutému účtu
-  updatePauseNote(accountId, note) {
-    const data = this._loadAccounts();
-    const account = data.accounts.find(a => a.id === accountId);
-
-    if (account) {
-      account.pause_note = note || null;
-      this._saveAccounts(data);
+  /**
+   * 🆕 TRANSPORT - Uloží suroviny chybějící na další krok šablony výstavby
+   * Odeslané suroviny (sent) zůstávají, dokud se nezmění budova nebo úroveň
+   * @param {object|null} needs - { building, level, wood, stone, iron } nebo null = nic nechybí
+   */
+  setVillageBuildingNeeds(accountId, villageId, needs) {
+    let value = null;
+
+    if (needs) {
+      const current = this.getVillage(accountId, villageId)?.building_needs;
+      const sameStep = current && current.building === needs.building && current.level === needs.level;
+
+      value = JSON.stringify({
+        building: needs.building,
+        level: needs.level,
+        wood: needs.wood || 0,
+        stone: needs.stone || 0,
+        iron: needs.iron || 0,
+        sent: sameStep ? current.sent : null,
+        sent_at: sameStep ? current.sent_at : null,
+        updated_at: new Date().toISOString()
+      });
     }
-  }
 
-  // Aktualizovat informace o rekrutování
-  updateRecruitSettings(accountId, settings) {
-    const data = this._loadAccounts();
-    const account = data.accounts.find(a => a.id === accountId);
+    this.sqlite
+      .prepare('UPDATE villages SET building_needs = ? WHERE account_id = ? AND village_id = ?')
+      .run(value, accountId, villageId);
+  }
 
-    if (account) {
-      if (settings.recruitEnabled !== undefined) account.recruit_enabled = settings.recruitEnabled ? 1 : 0;
-      if (settings.recruitTemplate !== undefined) account.recruit_template = settings.recruitTemplate;
-      this._saveAccounts(data);
-      console.log(`✅ Nastavení rekrutování aktualizováno pro účet ID: ${accountId}`);
-    }
+  /**
+   * Uloží aktuální úrovně budov vesnice (včetně budov ve frontě)
+   * @param {object} buildings - { main: 10, wood: 15, ... }
+   */
+  updateVillageBuildings(accountId, villageId, buildings) {
+    this.sqlite
+      .prepare('UPDATE villages SET buildings = ?, buildings_updated_at = ? WHERE account_id = ? AND village_id = ?')
+      .run(JSON.stringify(buildings), new Date().toISOString(), accountId, villageId);
   }
 
-  // Získat nastavení rekrutování
-  getRecruitSettings(accountId) {
-    const account = this.getAccount(accountId);
-    if (!account) return null;
-    
-    return {
-      enabled: account.recruit_enabled === 1,
-      template: account.recruit_template || 'FARM'
-    };
+  /**
+   * 🆕 NOBLE - Uloží stav šlechty vesnice (mince/balíčky, počet šlechticů, kolik jich jde zaplatit)
+   */
+  updateVillageNobleStatus(accountId, villageId, status) {
+    this.sqlite
+      .prepare('UPDATE villages SET noble_status = ? WHERE account_id = ? AND village_id = ?')
+      .run(JSON.stringify({ ...status, updated_at: new Date().toISOString() }), accountId, villageId);
   }
 
-  // Aktualizovat informace o výstavbě
-  updateBuildingSettings(accountId, settings) {
-    const data = this._loadAccounts();
-    const account = data.accounts.find(a => a.id === accountId);
-    
-    if (account) {
-      if (settings.buildingEnabled !== undefined) account.building_enabled = settings.buildingEnabled ? 1 : 0;
-      if (settings.buildingTemplate !== undefined) account.building_template = settings.buildingTemplate;
-      this._saveAccounts(data);
-      console.log(`✅ Nastavení výstavby aktualizováno pro účet ID: ${accountId}`);
+  /**
+   * 🆕 TRANSPORT - Zapíše suroviny odeslané vesnici na její chybějící krok výstavby
+   * @param {object} sent - { wood, stone, iron }
+   */
+  recordVillageTransport(accountId, villageId, sent) {
+    const needs = this.getVillage(accountId, villageId)?.building_needs;
+    if (!needs) return;
+
+    const total = { ...(needs.sent || {}) };
+    for (const res of MARKET_RESOURCES) {
+      total[res] = (total[res] || 0) + (sent[res] || 0);
     }
+
+    this.sqlite
+      .prepare('UPDATE villages SET building_needs = ? WHERE account_id = ? AND village_id = ?')
+      .run(JSON.stringify({ ...needs, sent: total, sent_at: new Date().toISOString() }), accountId, villageId);
   }
 
-  // Získat nastavení výstavby
-  getBuildingSettings(accountId) {
+  /**
+   * 🆕 TRANSPORT - Vesnice, kterým chybí suroviny na výstavbu
+   * Vesnice stejného účtu, s crossAccount i vesnice ostatních účtů na stejném světě,
+   * které mají přesun mezi účty také povolený
+   * @returns {Array<object>} Vesnice s account_id, username a building_needs
+   */
+  getTransportTargets(accountId, crossAccount = false) {
     const account = this.getAccount(accountId);
-    if (!account) return null;
-    
-    return {
-      enabled: account.building_enabled === 1,
-      template: account.building_template || 'FULL_VILLAGE'
-    };
+    if (!account) return [];
+
+    const rows = this.sqlite.prepare(`
+      SELECT villages.*, accounts.username
+      FROM villages
+      JOIN accounts ON accounts.id = villages.account_id
+      WHERE villages.building_needs IS NOT NULL
+        AND villages.coord_x IS NOT NULL
+        AND accounts.active = 1
+        AND (
+          villages.account_id = @accountId
+          OR (@crossAccount = 1 AND accounts.world = @world AND accounts.transport_cross_account = 1)
+        )
+      ORDER BY villages.account_id = @accountId DESC, villages.account_id, villages.village_id
+    `).all({ accountId, crossAccount: crossAccount ? 1 : 0, world: account.world });
+
+    return rows.map(row => this._rowToVillage(row));
   }
 
-  // 🆕 RESEARCH - Aktualizovat informace o výzkumu
-  updateResearchSettings(accountId, settings) {
-    const data = this._loadAccounts();
-    const account = data.accounts.find(a => a.id === accountId);
-    
-    if (account) {
-      if (settings.researchEnabled !== undefined) account.research_enabled = settings.researchEnabled ? 1 : 0;
-      if (settings.researchTemplate !== undefined) account.research_template = settings.researchTemplate;
-      if (settings.researchStatus !== undefined) account.research_status = settings.researchStatus;
-      this._saveAccounts(data);
-      console.log(`✅ Nastavení výzkumu aktualizováno pro účet ID: ${accountId}`);
-    }
-  }
+  // Přepsat nastavení modulu účtu nastavením vesnice (NULL ve vesnici = podle účtu)
+  _applyVillageSettings(module, accountId, villageId, settings) {
+    if (!villageId) return settings;
 
-  // 🆕 RESEARCH - Získat nastavení výzkumu
-  getResearchSettings(accountId) {
-    const account = this.getAccount(accountId);
-    if (!account) return null;
+    const village = this.getVillage(accountId, villageId);
+    if (!village) return settings;
+
+    const enabled = village[`${module}_enabled`];
+    const template = village[`${module}_template`];
 
     return {
-      enabled: account.research_enabled === 1,
-      template: account.research_template || 'FARM',
-      status: account.research_status ? JSON.parse(account.research_status) : null
+      ...settings,
+      ...(enabled !== null ? { enabled } : {}),
+      ...(template ? { template } : {})
     };
   }
 
-  // 🆕 SCAVENGE - Aktualizovat informace o sběru
-  updateScavengeSettings(accountId, settings) {
-    const data = this._loadAccounts();
-    const account = data.accounts.find(a => a.id === accountId);
+  // ============ REPORTY ============
+
+  // Převést řádek z tabulky reports na report
+  _rowToReport(row) {
+    if (!row) return undefined;
+    const { data, ...report } = row;
+    return { ...report, ...JSON.parse(data) };
+  }
 
-    if (account) {
-      if (settings.scavengeEnabled !== undefined) account.scavenge_enabled = settings.scavengeEnabled ? 1 : 0;
-      this._saveAccounts(data);
-      console.log(`✅ Nastavení sběru aktualizováno pro účet ID: ${accountId}`);
+  /**
+   * 🆕 REPORTS - Uloží přečtený report (report se stejným ID se znovu neukládá)
+   * @param {object} report - Rozparsovaný report z ReportsModule ({ id, type, result, battleTime, attacker, defender, ... })
+   * @returns {boolean} Zda byl report nový
+   */
+  saveReport(accountId, report) {
+    const { id, type, result, battleTime, ...data } = report;
+    const row = this.sqlite.prepare(`
+      INSERT OR IGNORE INTO reports (account_id, report_id, type, result, battle_time,
+        attacker_village_id, attacker_x, attacker_y, defender_village_id, target_x, target_y, data, created_at)
+      VALUES (@account_id, @report_id, @type, @result, @battle_time,
+        @attacker_village_id, @attacker_x, @attacker_y, @defender_village_id, @target_x, @target_y, @data, @created_at)
+    `).run({
+      account_id: accountId,
+      report_id: id,
+      type: REPORT_TYPES.includes(type) ? type : 'other',
+      result: result ?? null,
+      battle_time: battleTime ?? null,
+      attacker_village_id: data.attacker?.villageId ?? null,
+      attacker_x: data.attacker?.x ?? null,
+      attacker_y: data.attacker?.y ?? null,
+      defender_village_id: data.defender?.villageId ?? null,
+      target_x: data.defender?.x ?? null,
+      target_y: data.defender?.y ?? null,
+      data: JSON.stringify(data),
+      created_at: new Date().toISOString()
+    });
+
+    // 🆕 INTEL - Zvědové aktualizují průzkum napadené vesnice
+    if (row.changes > 0 && type === 'scout') {
+      this.updateVillageIntel(accountId, { report_id: id, battle_time: battleTime ?? null, ...data });
     }
+    return row.changes > 0;
   }
 
-  // 🆕 SCAVENGE - Získat nastavení sběru
-  getScavengeSettings(accountId) {
-    const account = this.getAccount(accountId);
-    if (!account) return null;
+  // 🆕 REPORTS - Která z ID reportů už jsou uložená
+  getKnownReportIds(accountId, reportIds) {
+    if (reportIds.length === 0) return new Set();
 
-    return {
-      enabled: account.scavenge_enabled === 1
-    };
+    const rows = this.sqlite
+      .prepare(`SELECT report_id FROM reports WHERE account_id = ? AND report_id IN (${reportIds.map(() => '?').join(', ')})`)
+      .all(accountId, ...reportIds);
+    return new Set(rows.map(row => row.report_id));
   }
 
-  // 🆕 BALANCE - Aktualizovat informace o balancování surovin
-  updateBalanceSettings(accountId, settings) {
-    const data = this._loadAccounts();
-    const account = data.accounts.find(a => a.id === accountId);
+  /**
+   * 🆕 REPORTS - Reporty podle filtrů, nejnovější první
+   * @param {object} filters - { accountId, type, targetX, targetY, afterId, limit, offset }
+   */
+  getReports({ accountId = null, type = null, targetX = null, targetY = null, afterId = null, limit = 100, offset = 0 } = {}) {
+    const conditions = [];
+    const params = { limit, offset };
 
-    if (account) {
-      if (settings.balanceEnabled !== undefined) account.balance_enabled = settings.balanceEnabled ? 1 : 0;
-      this._saveAccounts(data);
-      console.log(`✅ Nastavení balancování surovin aktualizováno pro účet ID: ${accountId}`);
+    if (accountId !== null) {
+      conditions.push('account_id = @accountId');
+      params.accountId = accountId;
+    }
+    if (type !== null) {
+      conditions.push('type = @type');
+      params.type = type;
+    }
+    if (targetX !== null && targetY !== null) {
+      conditions.push('target_x = @targetX AND target_y = @targetY');
+      Object.assign(params, { targetX, targetY });
+    }
+    if (afterId !== null) {
+      conditions.push('report_id > @afterId');
+      params.afterId = afterId;
     }
-  }
 
-  // 🆕 BALANCE - Získat nastavení balancování surovin
-  getBalanceSettings(accountId) {
-    const account = this.getAccount(accountId);
-    if (!account) return null;
+    return this.sqlite.prepare(`
+      SELECT * FROM reports
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY report_id DESC
+      LIMIT @limit OFFSET @offset
+    `).all(params).map(row => this._rowToReport(row));
+  }
 
-    return {
-      enabled: account.balance_enabled === 1 || account.balance_enabled === undefined
-    };
+  // Typy reportů
+  getReportTypes() {
+    return [...REPORT_TYPES];
   }
 
-  // Získat kompletní informace o účtu včetně statistik
-  getAccountWithStats(accountId) {
-    const account = this.getAccount(accountId);
-    if (!account) return null;
+  // ============ PRŮZKUM VESNIC ============
 
-    const statsData = this._loadStats();
-    const stats = statsData.stats.find(s => s.account_id === accountId);
+  // Čas bitvy z reportu (DD.MM.YY HH:MM:SS) jako ISO, neznámý = teď
+  _reportTime(battleTime) {
+    const match = String(battleTime || '').match(/(\d{1,2})\.(\d{1,2})\.(\d{2,4})\s+(\d{1,2}):(\d{2}):(\d{2})/);
+    if (!match) return new Date().toISOString();
 
-    return {
-      ...account,
-      wood: stats?.wood || null,
-      clay: stats?.clay || null,
-      iron: stats?.iron || null,
-      population_current: stats?.population_current || null,
-      population_max: stats?.population_max || null,
-      points: stats?.points || null,
-      stats_updated_at: stats?.updated_at || null
-    };
+    const [, day, month, year, hour, minute, second] = match.map(Number);
+    const fullYear = year < 100 ? 2000 + year : year;
+    return new Date(fullYear, month - 1, day, hour, minute, second).toISOString();
   }
 
-  // Získat všechny účty s jejich statistikami
-  getAllAccountsWithStats() {
-    const data = this._loadAccounts();
-    const statsData = this._loadStats();
-
-    return data.accounts
-      .filter(a => a.active === 1)
-      .map(account => {
-        const stats = statsData.stats.find(s => s.account_id === account.id);
-
-        // Vypočítat jednotky mimo vesnici z units_info
-        let units_away = 0;
-        if (account.units_info) {
-          try {
-            const unitsInfo = JSON.parse(account.units_info);
-            for (const unitType in unitsInfo) {
-              const unit = unitsInfo[unitType];
-              // units_away = totalOwn - inVillages (= traveling + supporting)
-              const away = (unit.totalOwn || 0) - (unit.inVillages || 0);
-              units_away += away;
-            }
-          } catch (e) {
-            // Ignorovat chybu parsování JSON
-            units_away = 0;
-          }
-        }
+  // Převést řádek z tabulky village_intel na průzkum vesnice
+  _rowToIntel(row) {
+    if (!row) return undefined;
+    for (const column of ['buildings', 'units_home', 'units_away', 'resources']) {
+      row[column] = row[column] ? JSON.parse(row[column]) : null;
+    }
+    return row;
+  }
 
-        return {
-          ...account,
-          wood: stats?.wood || null,
-          clay: stats?.clay || null,
-          iron: stats?.iron || null,
-          population_current: stats?.population_current || null,
-          population_max: stats?.population_max || null,
-          points: stats?.points || null,
-          stats_updated_at: stats?.updated_at || null,
-          // 🆕 RESEARCH - Přidáno do response
-          research_enabled: account.research_enabled,
-          research_template: account.research_template,
-          // 🆕 SCAVENGE - Přidáno do response
-          scavenge_enabled: account.scavenge_enabled,
-          // 🆕 BALANCE - Přidáno do response
-          balance_enabled: account.balance_enabled,
-          // 🆕 UNITS AWAY - Vypočítáno z units_info
-          units_away: units_away
-        };
-      });
+  /**
+   * 🆕 INTEL - Zapíše report zvědů do průzkumu napadené vesnice (klíč svět + souřadnice)
+   * Starší report než uložený průzkum se ignoruje; co zvědové tentokrát neviděli (budovy, suroviny),
+   * zůstává z minula. Obránci doma = jednotky obránce bez ztrát.
+   * @param {object} report - Report ve tvaru z getReports() (report_id, battle_time, defender, spy)
+   */
+  updateVillageIntel(accountId, report) {
+    const account = this.getAccount(accountId);
+    const defender = report.defender;
+    if (!account?.world || !defender || defender.x === null || defender.y === null) return false;
+
+    const units = defender.units || {};
+    const unitsHome = Object.keys(units).length > 0
+      ? Object.fromEntries(Object.entries(units).map(([unit, count]) => [unit, Math.max(0, count - (defender.losses?.[unit] || 0))]))
+      : null;
+    const buildings = report.spy?.buildings || null;
+    const json = (value) => value ? JSON.stringify(value) : null;
+
+    const result = this.sqlite.prepare(`
+      INSERT INTO village_intel (world, x, y, village_id, player, player_id, wall, buildings, units_home, units_away,
+        resources, account_id, report_id, scouted_at, updated_at)
+      VALUES (@world, @x, @y, @village_id, @player, @player_id, @wall, @buildings, @units_home, @units_away,
+        @resources, @account_id, @report_id, @scouted_at, @updated_at)
+      ON CONFLICT (world, x, y) DO UPDATE SET
+        village_id = COALESCE(excluded.village_id, village_id),
+        player = excluded.player,
+        player_id = excluded.player_id,
+        wall = COALESCE(excluded.wall, wall),
+        buildings = COALESCE(excluded.buildings, buildings),
+        units_home = COALESCE(excluded.units_home, units_home),
+        units_away = COALESCE(excluded.units_away, units_away),
+        resources = COALESCE(excluded.resources, resources),
+        account_id = excluded.account_id,
+        report_id = excluded.report_id,
+        scouted_at = excluded.scouted_at,
+        updated_at = excluded.updated_at
+      WHERE excluded.scouted_at >= village_intel.scouted_at
+    `).run({
+      world: account.world,
+      x: defender.x,
+      y: defender.y,
+      village_id: defender.villageId ?? null,
+      player: defender.player ?? null,
+      player_id: defender.playerId ?? null,
+      wall: buildings ? (buildings.wall ?? 0) : null,
+      buildings: json(buildings),
+      units_home: json(unitsHome),
+      units_away: json(report.spy?.away),
+      resources: json(report.spy?.resources),
+      account_id: accountId,
+      report_id: report.report_id,
+      scouted_at: this._reportTime(report.battle_time),
+      updated_at: new Date().toISOString()
+    });
+    return result.changes > 0;
   }
 
-  // Deaktivovat účet
-  deactivateAccount(accountId) {
-    const data = this._loadAccounts();
-    const account = data.accounts.find(a => a.id === accountId);
-    
-    if (account) {
-      account.active = 0;
-      this._saveAccounts(data);
-      console.log(`✅ Účet ID ${accountId} deaktivován`);
+  // 🆕 INTEL - Průzkum vesnice na souřadnicích
+  getVillageIntel(world, x, y) {
+    const row = this.sqlite
+      .prepare('SELECT * FROM village_intel WHERE world = ? AND x = ? AND y = ?')
+      .get(world, x, y);
+    return this._rowToIntel(row);
+  }
+
+  /**
+   * 🆕 INTEL - Průzkum vesnic podle filtrů, nejčerstvější první
+   * @param {object} filters - { world, player (část jména), limit }
+   */
+  getVillageIntelList({ world = null, player = null, limit = 1000 } = {}) {
+    const conditions = [];
+    const params = { limit };
+
+    if (world !== null) {
+      conditions.push('world = @world');
+      params.world = world;
     }
+    if (player !== null) {
+      conditions.push('player LIKE @player');
+      params.player = `%${player}%`;
+    }
+
+    return this.sqlite.prepare(`
+      SELECT * FROM village_intel
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY scouted_at DESC
+      LIMIT @limit
+    `).all(params).map(row => this._rowToIntel(row));
   }
 
-  // Zavřít databázi (pro kompatibilitu s SQLite verzí)
-  close() {
-    // JSON soubory nepotřebují zavírat
+  // 🆕 INTEL - Smazat průzkum vesnice
+  deleteVillageIntel(world, x, y) {
+    const result = this.sqlite
+      .prepare('DELETE FROM village_intel WHERE world = ? AND x = ? AND y = ?')
+      .run(world, x, y);
+    return result.changes > 0;
   }
 
   // ============ ŠABLONY ============
 
-  // Načíst šablony ze souboru (s in-memory cache)
+  // Načíst šablony z databáze (s in-memory cache)
   _loadTemplates() {
-    if (this._templatesCache !== null) {
+    // data_version se změní pouze při commitu z jiného spojení (jiného procesu)
+    const version = this.sqlite.pragma('data_version', { simple: true });
+    if (this._templatesCache !== null && this._templatesCacheVersion === version) {
       return this._templatesCache;
     }
-    const data = readFileSync(this.templatesFile, 'utf-8');
-    this._templatesCache = JSON.parse(data);
+
+    const templates = {};
+    const rows = this.sqlite.prepare('SELECT type, data FROM templates ORDER BY type, position').all();
+    for (const row of rows) {
+      if (!templates[row.type]) templates[row.type] = [];
+      templates[row.type].push(JSON.parse(row.data));
+    }
+
+    this._templatesCache = templates;
+    this._templatesCacheVersion = version;
     return this._templatesCache;
   }
 
-  // Uložit šablony do souboru (invaliduje cache)
-  _saveTemplates(data) {
-    this._templatesCache = null; // Invalidate cache
-    writeFileSync(this.templatesFile, JSON.stringify(data, null, 2));
+  // Zapsat šablonu (nová se zařadí na konec)
+  _writeTemplate(type, template) {
+    this.sqlite.prepare(`
+      INSERT INTO templates (type, id, position, data)
+      VALUES (@type, @id, (SELECT COALESCE(MAX(position), -1) + 1 FROM templates WHERE type = @type), @data)
+      ON CONFLICT (type, id) DO UPDATE SET data = excluded.data
+    `).run({ type, id: template.id, data: JSON.stringify(template) });
   }
 
-  // Získat všechny šablony pro daný typ (recruit, research, building)
+  // Získat všechny šablony pro daný typ (recruit, research, building, balance)
   getTemplates(type) {
     const templates = this._loadTemplates();
     return templates[type] || [];
@@ -552,71 +2477,392 @@ class DatabaseManager {
     return templates[type]?.find(t => t.id === id);
   }
 
+  /**
+   * Zkontroluje hodnoty šablony (po doplnění výchozích hodnot)
+   * @returns {Array<string>} Seznam chyb (prázdný = šablona je v pořádku)
+   */
+  validateTemplate(type, template) {
+    const errors = [];
+
+    // Balancování: zadaná pole musí mít deklarovaný typ (normalizace by je jinak potichu nahradila výchozí hodnotou)
+    if (type === 'balance') {
+      for (const [name, field] of Object.entries(TEMPLATE_FIELDS.balance)) {
+        const value = template?.[name];
+        if (value === undefined || value === null) continue;
+
+        if (field.type === 'number' && !Number.isFinite(value)) errors.push(`Pole ${name} musí být číslo`);
+        if (field.type === 'array' && !Array.isArray(value)) errors.push(`Pole ${name} musí být seznam`);
+        if (field.type === 'object' && (typeof value !== 'object' || Array.isArray(value))) errors.push(`Pole ${name} musí být objekt`);
+      }
+      if (errors.length > 0) return errors;
+    }
+
+    const normalized = this.normalizeTemplate(type, template);
+
+    if (type === 'research') {
+      const maxLevel = RESEARCH_MODES[normalized.mode];
+      if (maxLevel === undefined) {
+        errors.push('Režim výzkumu musí být level nebo simple');
+      } else {
+        for (const [unit, value] of Object.entries(normalized.levels)) {
+          const level = Number(value);
+          if (!Number.isInteger(level) || level < 0 || level > maxLevel) {
+            errors.push(`Výzkum ${unit}: úroveň musí být 0-${maxLevel}`);
+          }
+        }
+      }
+
+      const unknown = normalized.order.filter(unit => !RESEARCH_UNITS.includes(unit));
+      if (unknown.length > 0) errors.push(`Neznámá jednotka v pořadí výzkumu: ${unknown.join(', ')}`);
+      if (new Set(normalized.order).size !== normalized.order.length) errors.push('Jednotka je v pořadí výzkumu víckrát');
+      if (!(normalized.min_resources >= 0)) errors.push('Minimum surovin musí být nezáporné číslo');
+      if (typeof normalized.protect_building !== 'boolean') errors.push('Ochrana výstavby musí být true nebo false');
+    }
+
+    if (type === 'recruit') {
+      const unknown = Object.keys(normalized.queues).filter(building => !RECRUIT_BUILDINGS.includes(building));
+      if (unknown.length > 0) errors.push(`Neznámá budova ve frontách: ${unknown.join(', ')}`);
+
+      for (const building of RECRUIT_BUILDINGS) {
+        const queue = normalized.queues[building];
+        if (queue === undefined) continue;
+
+        const target = Number(queue?.target);
+        const refillBelow = Number(queue?.refill_below ?? target);
+        if (!Number.isFinite(target) || target < 0.5 || target > 48) {
+          errors.push(`Fronta ${building}: cíl musí být 0.5-48 hodin`);
+        } else if (!Number.isFinite(refillBelow) || refillBelow < 0 || refillBelow > target) {
+          errors.push(`Fronta ${building}: doplňování musí být 0 až cíl fronty`);
+        }
+      }
+
+      const reserve = normalized.reserve;
+      if (Object.keys(reserve).some(res => !MARKET_RESOURCES.includes(res))) errors.push('Neznámá surovina v rezervě');
+      if (MARKET_RESOURCES.some(res => reserve[res] !== undefined && !(Number(reserve[res]) >= 0))) {
+        errors.push('Rezerva surovin musí být nezáporné číslo');
+      }
+
+      if (!Number.isInteger(normalized.min_batch) || normalized.min_batch < 1) {
+        errors.push('Minimální dávka musí být celé číslo alespoň 1');
+      }
+      if (!Number.isInteger(normalized.max_batch) || normalized.max_batch < 0) {
+        errors.push('Maximální dávka musí být celé číslo (0 = bez limitu)');
+      } else if (normalized.max_batch > 0 && normalized.max_batch < normalized.min_batch) {
+        errors.push('Maximální dávka nesmí být menší než minimální');
+      }
+    }
+
+    if (type === 'balance') {
+      const ratios = normalized.ratios;
+      const unknown = Object.keys(ratios).filter(res => !MARKET_RESOURCES.includes(res));
+      if (unknown.length > 0) errors.push(`Neznámá surovina v poměru: ${unknown.join(', ')}`);
+
+      const values = MARKET_RESOURCES.map(res => Number(ratios[res] ?? 0));
+      if (values.some(v => !Number.isFinite(v) || v < 0)) errors.push('Poměr surovin musí být nezáporné číslo');
+      else if (values.reduce((a, b) => a + b, 0) <= 0) errors.push('Součet poměru surovin musí být větší než 0');
+
+      if (normalized.min_threshold < 0) errors.push('Minimální množství nesmí být záporné');
+      if (normalized.offer_size < 100 || normalized.offer_size % 100 !== 0) {
+        errors.push('Velikost nabídky musí být násobek 100 (min. 100)');
+      }
+      if (normalized.max_exchange_ratio < 1 || normalized.max_exchange_ratio > 3) {
+        errors.push('Maximální směnný poměr musí být mezi 1 a 3');
+      }
+
+      const neverSell = normalized.never_sell;
+      if (neverSell.some(res => !MARKET_RESOURCES.includes(res))) errors.push('Neznámá surovina v "nikdy neprodávat"');
+      if (MARKET_RESOURCES.every(res => neverSell.includes(res))) errors.push('Alespoň jedna surovina musí jít prodat');
+    }
+
+    if (type === 'building') {
+      if (normalized.steps.length === 0) errors.push('Šablona výstavby musí mít alespoň jeden krok');
+      if (normalized.skip_ahead_minutes < 0) errors.push('Přeskočení kroku musí být 0 nebo víc minut');
+
+      normalized.steps.forEach((step, index) => {
+        const building = BUILDINGS[step?.building];
+        const level = Number(step?.level);
+
+        if (!building) {
+          errors.push(`Krok ${index + 1}: neznámá budova "${step?.building}"`);
+        } else if (!Number.isInteger(level) || level < 1 || level > building.maxLevel) {
+          errors.push(`Krok ${index + 1}: úroveň ${building.name} musí být 1-${building.maxLevel}`);
+        }
+
+        if (step?.parallel !== undefined && typeof step.parallel !== 'boolean') {
+          errors.push(`Krok ${index + 1}: parallel musí být true/false`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
   // Uložit/aktualizovat šablonu
   saveTemplate(type, template) {
-    const templates = this._loadTemplates();
-    if (!templates[type]) templates[type] = [];
-
-    const index = templates[type].findIndex(t => t.id === template.id);
-    if (index >= 0) {
-      templates[type][index] = template;
-    } else {
-      templates[type].push(template);
+    const errors = this.validateTemplate(type, template);
+    if (errors.length > 0) {
+      throw new Error(`Neplatná šablona: ${errors.join('; ')}`);
     }
 
-    this._saveTemplates(templates);
+    this._writeTemplate(type, this.normalizeTemplate(type, template));
+    this._templatesCache = null; // Invalidate cache
     return true;
   }
 
   // Smazat šablonu
   deleteTemplate(type, id) {
-    const templates = this._loadTemplates();
-    if (!templates[type]) return false;
-
-    templates[type] = templates[type].filter(t => t.id !== id);
-    this._saveTemplates(templates);
-    return true;
+    const result = this.sqlite.prepare('DELETE FROM templates WHERE type = ? AND id = ?').run(type, id);
+    this._templatesCache = null; // Invalidate cache
+    return result.changes > 0;
   }
 
   // ============ SVĚTY ============
 
   // Získat nastavení světa
   getWorldSettings(world) {
-    const templates = this._loadTemplates();
-    if (!templates.worlds) templates.worlds = {};
-    return templates.worlds[world] || { speed: 1, unitSpeedModifier: 1, dailyRewardsEnabled: false, scavengeEnabled: false }; // Výchozí rychlost 1x
+    const row = this.sqlite.prepare('SELECT data FROM world_settings WHERE world = ?').get(world);
+    const defaults = {
+      speed: 1, unitSpeedModifier: 1, dailyRewardsEnabled: false, scavengeEnabled: false, snobSystem: 'coin', techSystem: 'auto',
+      scavengeUnlock: { ...DEFAULT_SCAVENGE_UNLOCK },
+      archers: false, paladin: true, church: false, unitSpeeds: null, detected: null, overrides: []
+    }; // Výchozí rychlost 1x
+    return row ? { ...defaults, ...JSON.parse(row.data) } : defaults;
   }
 
   // Uložit/aktualizovat nastavení světa
+  // 🆕 Chybějící hodnoty zůstanou z uloženého nastavení (archers, paladin, church, unitSpeeds, detected...)
   saveWorldSettings(world, settings) {
-    const templates = this._loadTemplates();
-    if (!templates.worlds) templates.worlds = {};
+    const overrides = settings.overrides;
+    const current = this.getWorldSettings(world);
+    settings = { ...current, ...Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined)) };
 
-    templates.worlds[world] = {
+    const data = {
       speed: settings.speed || 1,
       unitSpeedModifier: settings.unitSpeedModifier || 1,
       dailyRewardsEnabled: settings.dailyRewardsEnabled || false,
-      scavengeEnabled: settings.scavengeEnabled || false
+      scavengeEnabled: settings.scavengeEnabled || false,
+      // 🆕 Šlechta: 'coin' = zlaté mince, 'pack' = balíčky surovin
+      snobSystem: settings.snobSystem === 'pack' ? 'pack' : 'coin',
+      // 🆕 Výzkum: 'level' = úrovně v kovárně, 'simple' = jednoduchý výzkum, 'auto' = podle kovárny
+      techSystem: ['level', 'simple'].includes(settings.techSystem) ? settings.techSystem : 'auto',
+      // 🆕 Pravidla odemykání možností sběru (viz DEFAULT_SCAVENGE_UNLOCK)
+      scavengeUnlock: {
+        after_step: Number(settings.scavengeUnlock?.after_step ?? DEFAULT_SCAVENGE_UNLOCK.after_step),
+        min_resources: Number(settings.scavengeUnlock?.min_resources ?? DEFAULT_SCAVENGE_UNLOCK.min_resources),
+        max_option: Number(settings.scavengeUnlock?.max_option ?? DEFAULT_SCAVENGE_UNLOCK.max_option)
+      },
+      // 🆕 Konfigurace světa - lučištníci, paladin, kostel a základní rychlosti jednotek (minuty/pole, null = výchozí)
+      archers: settings.archers === true,
+      paladin: settings.paladin !== false,
+      church: settings.church === true,
+      unitSpeeds: settings.unitSpeeds && typeof settings.unitSpeeds === 'object'
+        ? Object.fromEntries(Object.entries(settings.unitSpeeds).filter(([, speed]) => Number(speed) > 0).map(([unit, speed]) => [unit, Number(speed)]))
+        : null,
+      // 🆕 Poslední import konfigurace světa (zjištěné hodnoty, source, detected_at)
+      detected: settings.detected || null
     };
 
-    this._saveTemplates(templates);
+    // 🆕 Ruční hodnoty - bez zadaných overrides se liší od zjištěných (bez importu nic)
+    data.overrides = Array.isArray(overrides)
+      ? overrides.filter(field => DETECTED_WORLD_FIELDS.includes(field))
+      : DETECTED_WORLD_FIELDS.filter(field => data.detected && field in data.detected &&
+          JSON.stringify(data[field]) !== JSON.stringify(data.detected[field]));
+
+    this.sqlite
+      .prepare('INSERT OR REPLACE INTO world_settings (world, data) VALUES (?, ?)')
+      .run(world, JSON.stringify(data));
     return true;
   }
 
+  /**
+   * 🆕 Uloží nastavení zjištěné z konfigurace světa (worldConfig.js)
+   * Ručně nastavené hodnoty (overrides) zůstanou, zjištěné hodnoty se uloží do detected
+   * @param {object} detected - Hodnoty z detectWorldSettings()
+   * @param {string} source - Odkud konfigurace pochází (URL, složka, soubor)
+   */
+  applyDetectedWorldSettings(world, detected, source) {
+    const current = this.getWorldSettings(world);
+    const applied = Object.fromEntries(Object.entries(detected).filter(([field]) => !current.overrides.includes(field)));
+
+    return this.saveWorldSettings(world, {
+      ...current,
+      ...applied,
+      detected: { ...detected, source, detected_at: new Date().toISOString() },
+      overrides: current.overrides
+    });
+  }
+
   // Získat všechna nastavení světů
   getAllWorldSettings() {
-    const templates = this._loadTemplates();
-    return templates.worlds || {};
+    const worlds = {};
+    for (const row of this.sqlite.prepare('SELECT world, data FROM world_settings ORDER BY world').all()) {
+      worlds[row.world] = JSON.parse(row.data);
+    }
+    return worlds;
   }
 
   // Smazat nastavení světa
   deleteWorldSettings(world) {
-    const templates = this._loadTemplates();
-    if (!templates.worlds) return false;
+    const result = this.sqlite.prepare('DELETE FROM world_settings WHERE world = ?').run(world);
+    return result.changes > 0;
+  }
 
-    delete templates.worlds[world];
-    this._saveTemplates(templates);
-    return true;
+  // ============ DATA SVĚTA ============
+
+  /**
+   * 🆕 DATA SVĚTA - Nahradí vesnice, hráče a kmeny světa novým importem (jedna transakce)
+   * @param {object} data - { villages, players, allies } z parserů v worldData.js
+   * @param {string} source - Odkud import pochází (URL nebo cesta ke složce)
+   */
+  replaceWorldData(world, { villages, players, allies }, source) {
+    const insertVillage = this.sqlite.prepare(`
+      INSERT INTO world_villages (world, village_id, name, x, y, player_id, points, bonus)
+      VALUES (@world, @id, @name, @x, @y, @playerId, @points, @bonus)
+    `);
+    const insertPlayer = this.sqlite.prepare(`
+      INSERT INTO world_players (world, player_id, name, ally_id, villages, points, rank)
+      VALUES (@world, @id, @name, @allyId, @villages, @points, @rank)
+    `);
+    const insertAlly = this.sqlite.prepare(`
+      INSERT INTO world_allies (world, ally_id, name, tag, members, villages, points, all_points, rank)
+      VALUES (@world, @id, @name, @tag, @members, @villages, @points, @allPoints, @rank)
+    `);
+
+    this.transaction(() => {
+      for (const table of ['world_villages', 'world_players', 'world_allies']) {
+        this.sqlite.prepare(`DELETE FROM ${table} WHERE world = ?`).run(world);
+      }
+      for (const village of villages) insertVillage.run({ world, ...village });
+      for (const player of players) insertPlayer.run({ world, ...player });
+      for (const ally of allies) insertAlly.run({ world, ...ally });
+
+      const now = new Date().toISOString();
+      this.sqlite.prepare(`
+        INSERT OR REPLACE INTO world_data (world, source, villages, players, allies, imported_at, error, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, NULL, ?)
+      `).run(world, source, villages.length, players.length, allies.length, now, now);
+    });
+  }
+
+  // 🆕 DATA SVĚTA - Zapsat chybu importu (data z minulého importu zůstávají)
+  setWorldDataError(world, error) {
+    const now = new Date().toISOString();
+    this.sqlite.prepare(`
+      INSERT INTO world_data (world, error, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (world) DO UPDATE SET error = excluded.error, updated_at = excluded.updated_at
+    `).run(world, error, now);
+  }
+
+  // 🆕 DATA SVĚTA - Stav importu světa (undefined = svět ještě nebyl importován)
+  getWorldDataStatus(world) {
+    return this.sqlite.prepare('SELECT * FROM world_data WHERE world = ?').get(world);
+  }
+
+  // 🆕 DATA SVĚTA - Stav importu všech světů
+  getAllWorldDataStatus() {
+    return this.sqlite.prepare('SELECT * FROM world_data ORDER BY world').all();
+  }
+
+  // 🆕 DATA SVĚTA - Smazat data světa
+  deleteWorldData(world) {
+    let deleted = 0;
+    this.transaction(() => {
+      for (const table of ['world_villages', 'world_players', 'world_allies', 'world_data']) {
+        deleted += this.sqlite.prepare(`DELETE FROM ${table} WHERE world = ?`).run(world).changes;
+      }
+    });
+    return deleted > 0;
+  }
+
+  // Vesnice s hráčem a kmenem (player_id 0 = barbarská vesnice)
+  _worldVillageQuery(where) {
+    return `
+      SELECT v.village_id, v.name, v.x, v.y, v.player_id, v.points, v.bonus,
+        p.name AS player, p.ally_id, a.tag AS ally_tag, a.name AS ally
+      FROM world_villages v
+      LEFT JOIN world_players p ON p.world = v.world AND p.player_id = v.player_id
+      LEFT JOIN world_allies a ON a.world = v.world AND a.ally_id = p.ally_id
+      WHERE ${where}
+    `;
+  }
+
+  // 🆕 DATA SVĚTA - Vesnice na souřadnicích
+  getWorldVillage(world, x, y) {
+    return this.sqlite
+      .prepare(this._worldVillageQuery('v.world = ? AND v.x = ? AND v.y = ?'))
+      .get(world, x, y);
+  }
+
+  /**
+   * 🆕 DATA SVĚTA - Vesnice světa podle filtrů
+   * S x, y a radius vrací jen vesnice v okruhu (s distance), seřazené od nejbližší
+   * @param {object} filters - { playerId (0 = barbarky), allyId, maxPoints, x, y, radius, limit }
+   */
+  getWorldVillages(world, { playerId = null, allyId = null, maxPoints = null, x = null, y = null, radius = null, limit = 10000 } = {}) {
+    const conditions = ['v.world = @world'];
+    const params = { world, limit };
+
+    if (playerId !== null) {
+      conditions.push('v.player_id = @playerId');
+      params.playerId = playerId;
+    }
+    if (allyId !== null) {
+      conditions.push('p.ally_id = @allyId');
+      params.allyId = allyId;
+    }
+    if (maxPoints !== null) {
+      conditions.push('v.points <= @maxPoints');
+      params.maxPoints = maxPoints;
+    }
+
+    const nearby = x !== null && y !== null && radius !== null;
+    if (nearby) {
+      // Čtverec kolem středu, přesná vzdálenost se dopočítá níže
+      conditions.push('v.x BETWEEN @minX AND @maxX AND v.y BETWEEN @minY AND @maxY');
+      Object.assign(params, { minX: x - radius, maxX: x + radius, minY: y - radius, maxY: y + radius });
+    }
+
+    const rows = this.sqlite
+      .prepare(`${this._worldVillageQuery(conditions.join(' AND '))} ORDER BY v.village_id${nearby ? '' : ' LIMIT @limit'}`)
+      .all(params);
+    if (!nearby) return rows;
+
+    return rows
+      .map(row => ({ ...row, distance: Math.round(Math.hypot(row.x - x, row.y - y) * 100) / 100 }))
+      .filter(row => row.distance <= radius)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit);
+  }
+
+  // 🆕 DATA SVĚTA - Hráč podle ID nebo jména (bez ohledu na velikost písmen), s kmenem
+  getWorldPlayer(world, player) {
+    const column = /^\d+$/.test(String(player)) ? 'p.player_id' : 'p.name';
+    return this.sqlite.prepare(`
+      SELECT p.player_id, p.name, p.ally_id, p.villages, p.points, p.rank, a.tag AS ally_tag, a.name AS ally
+      FROM world_players p
+      LEFT JOIN world_allies a ON a.world = p.world AND a.ally_id = p.ally_id
+      WHERE p.world = ? AND ${column} = ? COLLATE NOCASE
+    `).get(world, String(player));
+  }
+
+  // 🆕 DATA SVĚTA - Kmen podle ID nebo tagu (bez ohledu na velikost písmen)
+  getWorldAlly(world, ally) {
+    const column = /^\d+$/.test(String(ally)) ? 'ally_id' : 'tag';
+    return this.sqlite.prepare(`
+      SELECT ally_id, name, tag, members, villages, points, all_points, rank
+      FROM world_allies
+      WHERE world = ? AND ${column} = ? COLLATE NOCASE
+    `).get(world, String(ally));
+  }
+
+  // 🆕 DATA SVĚTA - Členové kmene, od nejvíce bodů
+  getWorldAllyPlayers(world, allyId) {
+    return this.sqlite.prepare(`
+      SELECT player_id, name, villages, points, rank
+      FROM world_players
+      WHERE world = ? AND ally_id = ?
+      ORDER BY points DESC
+    `).all(world, allyId);
   }
 
   /**
@@ -625,8 +2871,7 @@ class DatabaseManager {
    * @returns {object|null} Fingerprint object nebo null pokud účet neexistuje
    */
   getFingerprint(accountId) {
-    const data = this._loadAccounts();
-    const account = data.accounts.find(a => a.id === accountId);
+    const account = this.getAccount(accountId);
 
     if (!account) return null;
 
@@ -649,15 +2894,9 @@ class DatabaseManager {
    * @param {object} fingerprint - Fingerprint object
    */
   saveFingerprint(accountId, fingerprint) {
-    const data = this._loadAccounts();
-    const account = data.accounts.find(a => a.id === accountId);
-
-    if (account) {
-      account.fingerprint = JSON.stringify(fingerprint);
-      this._saveAccounts(data);
-    }
+    this._updateAccountColumns(accountId, { fingerprint: JSON.stringify(fingerprint) });
   }
 
 }
 
-export default DatabaseManager;
\ No newline at end of file
+export default DatabaseManager;
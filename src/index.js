@@ -14,10 +14,21 @@ import PaladinModule from './modules/paladin.js';
 import SupportModule from './modules/support.js';
 import DailyRewardsModule from './modules/dailyRewards.js';
 import ScavengeModule from './modules/scavenge.js';
+import BalancModule from './modules/balanc.js';
+import TransportModule from './modules/transport.js';
+import NobleModule from './modules/noble.js';
+import FarmModule from './modules/farm.js';
+import ReportsModule from './modules/reports.js';
+import { importWorldData, isWorldDataStale } from './worldData.js';
+import { importWorldConfig } from './worldConfig.js';
+import GameHelpers from './helpers.js';
 import logger from './logger.js';
 import { randomizeInterval } from './utils/randomize.js';
 import { detectAnyChallenge, detectBan } from './utils/antiBot.js';
 
+// 🆕 MULTI-VILLAGE: Další pokus o vesnici po chybě nebo nepovedeném přepnutí (ostatní vesnice běží dál)
+const VILLAGE_ERROR_WAIT = 10 * 60 * 1000;
+
 /**
  * 🚀 Event-Driven Automator s nezávislými smyčkami
  *
@@ -32,6 +43,11 @@ import { detectAnyChallenge, detectBan } from './utils/antiBot.js';
  *   6. Jednotky - každých 20 minut po 2 účtech [P6]
  *   7. Denní odměny - jednou denně ve 4:00 nebo při startu [P6]
  *   8. Sběr - každých 5 minut po 5 účtech [P2]
+ *   9. Balancování surovin (tržiště) - každé 2 hodiny po 5 účtech [P4]
+ *  10. Přesun surovin mezi vlastními vesnicemi - každých 30 minut po 5 účtech [P4]
+ *  11. Šlechta (mince/balíčky, šlechtici) - každou hodinu po 5 účtech [P4]
+ *  12. Farmení barbarských vesnic - každých 15 minut po 5 účtech [P5]
+ *  13. Čtení reportů - každých 30 minut po 5 účtech [P6]
  */
 class Automator {
   constructor() {
@@ -62,6 +78,12 @@ class Automator {
       accountInfo: 25 * 60 * 1000, // 25 minut (zvýšeno z 20min)
       dailyRewards: 24 * 60 * 60 * 1000, // Nepoužívá se - denní odměny běží 2x denně (4:00 a 16:00)
       scavenge: 30 * 60 * 1000,    // 30 minut - ANTI-CAPTCHA
+      balance: 2 * 60 * 60 * 1000, // 2 hodiny - tržiště
+      transport: 30 * 60 * 1000,   // 30 minut - přesun surovin na výstavbu
+      noble: 60 * 60 * 1000,       // 1 hodina - mince/balíčky a šlechtici
+      farm: 15 * 60 * 1000,        // 15 minut - farmení barbarek
+      reports: 30 * 60 * 1000,     // 30 minut - čtení reportů
+      worldData: 60 * 60 * 1000,   // 1 hodina - mapa světa (hra ji přegenerovává každou hodinu)
     };
 
     // Priority (nižší = vyšší priorita)
@@ -71,9 +93,14 @@ class Automator {
       scavenge: 2,      // Sběr - vyšší priorita než rekrut
       recruit: 3,       // Rekrutování
       research: 4,      // Výzkum
+      balance: 4,       // Balancování surovin (tržiště)
+      transport: 4,     // Přesun surovin mezi vesnicemi
+      noble: 4,         // Šlechta
       paladin: 5,       // Paladin
+      farm: 5,          // Farmení barbarek
       units: 6,         // Kontrola jednotek
       dailyRewards: 6,  // Denní odměny - stejná priorita jako jednotky
+      reports: 6,       // Čtení reportů
       stats: 7          // Statistiky
     };
   }
@@ -91,6 +118,92 @@ class Automator {
     return 'divokekmeny.cz';
   }
 
+  /**
+   * 🆕 MULTI-VILLAGE: Klíč v accountWaitTimes pro modul, účet a vesnici
+   */
+  getWaitKey(module, accountId, villageId = null) {
+    return villageId ? `${module}_${accountId}_${villageId}` : `${module}_${accountId}`;
+  }
+
+  /**
+   * 🆕 Za jak dlouho vyprší nejbližší časovač modulu (ms), null = žádný neběží
+   */
+  getNextWaitTime(module) {
+    const now = Date.now();
+    const pending = Object.entries(this.accountWaitTimes)
+      .filter(([key, waitUntil]) => key.startsWith(`${module}_`) && waitUntil > now)
+      .map(([, waitUntil]) => waitUntil - now);
+    return pending.length > 0 ? Math.min(...pending) : null;
+  }
+
+  /**
+   * 🆕 MULTI-VILLAGE: Vesnice účtu, na kterých má modul běžet
+   * Účet, jehož vesnice ještě nebyly zjištěny (AccountInfoModule), má jednu aktuální vesnici (village_id = null)
+   * @param {object} account - Účet
+   * @param {string} module - Název modulu (klíč v accountWaitTimes)
+   * @param {Function} getSettings - (accountId, villageId) => nastavení modulu pro vesnici
+   * @param {boolean} checkWaitTime - Vynechat vesnice s nevypršelým časovačem
+   * @returns {Array<object>} Vesnice s nastavením modulu ({ village_id, name, settings })
+   */
+  getVillagesToProcess(account, module, getSettings, checkWaitTime = true) {
+    const villages = this.db.getVillages(account.id);
+    const candidates = villages.length > 0
+      ? villages
+      : [{ village_id: null, name: account.village_name }];
+
+    return candidates
+      .map(village => ({ ...village, settings: getSettings(account.id, village.village_id) }))
+      .filter(village => {
+        if (!village.settings || !village.settings.enabled) return false;
+        if (!checkWaitTime) return true;
+
+        const waitUntil = this.accountWaitTimes[this.getWaitKey(module, account.id, village.village_id)];
+        return !waitUntil || Date.now() >= waitUntil;
+      });
+  }
+
+  /**
+   * 🆕 MULTI-VILLAGE: Přepne na vesnici (pokud je známé její ID)
+   */
+  async switchToVillage(page, village) {
+    if (!village.village_id) return true;
+    const helpers = new GameHelpers(page);
+    return await helpers.switchVillage(village.village_id);
+  }
+
+  /**
+   * 🆕 MULTI-VILLAGE: Spustí modul postupně pro každou vesnici
+   * run(village) vrací čekací dobu vesnice v ms. Když se nepodaří přepnout na vesnici nebo modul
+   * spadne, vesnice se přeskočí s čekáním VILLAGE_ERROR_WAIT a ostatní vesnice běží dál.
+   * @param {string} module - Modul pro časovač (getWaitKey)
+   * @param {string} label - Název modulu pro logy
+   */
+  async runForVillages(page, account, villages, module, label, run) {
+    for (const village of villages) {
+      const waitKey = this.getWaitKey(module, account.id, village.village_id);
+
+      try {
+        if (!await this.switchToVillage(page, village)) {
+          console.log(`⚠️  [${this.getLogLabel(account, village)}] ${label}: Nepodařilo se přepnout na vesnici, přeskakuji`);
+          this.accountWaitTimes[waitKey] = Date.now() + VILLAGE_ERROR_WAIT;
+          continue;
+        }
+
+        this.accountWaitTimes[waitKey] = Date.now() + await run(village);
+      } catch (error) {
+        console.log(`⚠️  [${this.getLogLabel(account, village)}] ${label}: ${error.message}`);
+        this.accountWaitTimes[waitKey] = Date.now() + VILLAGE_ERROR_WAIT;
+      }
+    }
+  }
+
+  /**
+   * 🆕 MULTI-VILLAGE: Popisek účtu a vesnice pro logy
+   */
+  getLogLabel(account, village) {
+    return village?.village_id ? `${account.username} | ${village.name || village.village_id}` : account.username;
+  }
+
   /**
    * Zkontroluje jestli existuje .shutdown flag soubor
    * Pokud ano, zahájí graceful shutdown a vrátí true
@@ -415,9 +528,15 @@ class Automator {
     console.log('   [P2] Sběr: každých 30 MINUT po 5 účtech (±5 min random)');
     console.log('   [P3] Rekrut: každé 3 HODINY po 10 účtech (delší delays 5-8s)');
     console.log('   [P4] Výzkum: každých 6 HODIN (±30 min random)');
+    console.log('   [P4] Tržiště: každé 2 HODINY po 5 účtech (±15 min random)');
+    console.log('   [P4] Přesun surovin: každých 30 MINUT po 5 účtech (±5 min random)');
+    console.log('   [P4] Šlechta: každou 1 HODINU po 5 účtech (±10 min random)');
     console.log('   [P5] Paladin: každých 6 HODIN (±30 min random)');
+    console.log('   [P5] Farmení: každých 15 MINUT po 5 účtech (±3 min random)');
     console.log('   [P6] Jednotky: každou 1 HODINU po 2 účtech (±10 min random)');
     console.log('   [P6] Denní odměny: 2x denně (4:00 a 16:00)');
+    console.log('   [P6] Reporty: každých 30 MINUT po 5 účtech (±5 min random)');
+    console.log('   [--] Data světa: každou 1 HODINU pro světy aktivních účtů (bez browseru, + nastavení světa z get_config)');
     console.log('   ⏸️  CAPTCHA kontrola: při každém přihlášení (ne v loopu)');
     console.log('='.repeat(70));
 
@@ -447,8 +566,14 @@ class Automator {
       this.scavengeLoop(),     // P2: ZAPNUTO - každých 30 min
       this.recruitLoop(),      // P3: ZAPNUTO
       this.researchLoop(),     // P4: ZAPNUTO - každých 6h
+      this.balanceLoop(),      // P4: ZAPNUTO - každé 2h
+      this.transportLoop(),    // P4: ZAPNUTO - každých 30 min
+      this.nobleLoop(),        // P4: ZAPNUTO - každou 1h
       this.paladinLoop(),      // P5: ZAPNUTO - každých 6h
+      this.farmLoop(),         // P5: ZAPNUTO - každých 15 min
       this.dailyRewardsLoop(), // P6: ZAPNUTO - 2x denně
+      this.reportsLoop(),      // P6: ZAPNUTO - každých 30 min
+      this.worldDataLoop(),    // Data světa - každou 1h
       this.statsMonitor()      // Monitoring
     ]);
 
@@ -532,22 +657,14 @@ class Automator {
 
       const accounts = this.db.getAllActiveAccounts();
 
-      // Filtruj pouze účty, které mají build enabled a vypršelý timer
-      const accountsToProcess = accounts.filter(account => {
-        // Skip účty s CAPTCHA
-        if (this.captchaDetected.has(account.id)) {
-          return false;
-        }
-
-        const buildingSettings = this.db.getBuildingSettings(account.id);
-        if (!buildingSettings || !buildingSettings.enabled) {
-          return false;
-        }
-
-        const buildingKey = `building_${account.id}`;
-        const buildingWaitUntil = this.accountWaitTimes[buildingKey];
-        return !buildingWaitUntil || Date.now() >= buildingWaitUntil;
-      });
+      // Filtruj pouze účty, které mají vesnici s build enabled a vypršelým timerem
+      const accountsToProcess = accounts
+        .filter(account => !this.captchaDetected.has(account.id)) // Skip účty s CAPTCHA
+        .map(account => ({
+          account,
+          villages: this.getVillagesToProcess(account, 'building', (id, villageId) => this.db.getBuildingSettings(id, villageId))
+        }))
+        .filter(({ villages }) => villages.length > 0);
 
       if (accountsToProcess.length > 0) {
         // Zpracuj po 5 účtech paralelně
@@ -555,10 +672,9 @@ class Automator {
           const batch = accountsToProcess.slice(i, i + 5);
 
           const results = await Promise.allSettled(
-            batch.map(account => {
-              const buildingSettings = this.db.getBuildingSettings(account.id);
+            batch.map(({ account, villages }) => {
               return this.workerPool.run(
-                () => this.processBuilding(account, buildingSettings),
+                () => this.processBuilding(account, villages),
                 this.priorities.building,
                 `Build: ${account.username}`
               );
@@ -568,7 +684,7 @@ class Automator {
           // Loguj pouze chyby
           results.forEach((result, idx) => {
             if (result.status === 'rejected') {
-              console.log(`⚠️  [${batch[idx].username}] Build: ${result.reason?.message || result.reason}`);
+              console.log(`⚠️  [${batch[idx].account.username}] Build: ${result.reason?.message || result.reason}`);
             }
           });
 
@@ -588,7 +704,7 @@ class Automator {
 
   /**
    * SMYČKA 2.5: Sběr (Scavenge)
-   * Každou 1 minutu projde účty a zkontroluje per-account timing
+   * Projde účty a zkontroluje per-account timing, probouzí se při nejbližším návratu ze sběru (max. 30 min)
    * Zpracovává po 5 účtech paralelně
    * Priorita: 2
    */
@@ -601,28 +717,23 @@ class Automator {
 
       const accounts = this.db.getAllActiveAccounts();
 
-      // Filtruj pouze účty, které mají scavenge enabled a vypršelý timer
-      const accountsToProcess = accounts.filter(account => {
-        // Skip účty s CAPTCHA
-        if (this.captchaDetected.has(account.id)) {
-          return false;
-        }
-
-        // Kontrola scavenge_enabled v účtu
-        if (!account.scavenge_enabled) {
-          return false;
-        }
-
-        // Kontrola zda má svět scavenge povolený
-        const worldSettings = this.db.getWorldSettings(account.world);
-        if (!worldSettings.scavengeEnabled) {
-          return false;
-        }
+      // Filtruj pouze účty, které mají vesnici se scavenge enabled a vypršelým timerem
+      const accountsToProcess = accounts
+        .filter(account => {
+          // Skip účty s CAPTCHA
+          if (this.captchaDetected.has(account.id)) {
+            return false;
+          }
 
-        const scavengeKey = `scavenge_${account.id}`;
-        const scavengeWaitUntil = this.accountWaitTimes[scavengeKey];
-        return !scavengeWaitUntil || Date.now() >= scavengeWaitUntil;
-      });
+          // Kontrola zda má svět scavenge povolený
+          const worldSettings = this.db.getWorldSettings(account.world);
+          return worldSettings.scavengeEnabled;
+        })
+        .map(account => ({
+          account,
+          villages: this.getVillagesToProcess(account, 'scavenge', (id, villageId) => this.db.getScavengeSettings(id, villageId))
+        }))
+        .filter(({ villages }) => villages.length > 0);
 
       if (accountsToProcess.length > 0) {
         console.log(`🪙 SBĚR: Zpracovávám ${accountsToProcess.length} účtů`);
@@ -633,9 +744,9 @@ class Automator {
         const batch = accountsToProcess.slice(i, i + 5);
 
         const results = await Promise.allSettled(
-          batch.map(account => {
+          batch.map(({ account, villages }) => {
             return this.workerPool.run(
-              () => this.processScavenge(account),
+              () => this.processScavenge(account, villages),
               this.priorities.scavenge,
               `Sběr: ${account.username}`
             );
@@ -645,7 +756,7 @@ class Automator {
         // Loguj pouze chyby
         results.forEach((result, idx) => {
           if (result.status === 'rejected') {
-            console.log(`⚠️  [${batch[idx].username}] Sběr: ${result.reason?.message || result.reason}`);
+            console.log(`⚠️  [${batch[idx].account.username}] Sběr: ${result.reason?.message || result.reason}`);
           }
         });
 
@@ -655,8 +766,11 @@ class Automator {
         }
       }
 
-      // Počkej 30 minut - s randomizací ±5 minut
-      await new Promise(resolve => setTimeout(resolve, randomizeInterval(this.intervals.scavenge, 5 * 60 * 1000)));
+      // 🆕 Počkej do nejbližšího návratu ze sběru, nejdéle 30 minut (±5 minut), nejméně 1 minutu
+      const interval = randomizeInterval(this.intervals.scavenge, 5 * 60 * 1000);
+      const nextReturn = this.getNextWaitTime('scavenge');
+      const wait = nextReturn !== null ? Math.min(interval, nextReturn + randomizeInterval(30000, 15000)) : interval;
+      await new Promise(resolve => setTimeout(resolve, Math.max(60 * 1000, wait)));
     }
   }
 
@@ -676,16 +790,14 @@ class Automator {
 
       const allAccounts = this.db.getAllActiveAccounts();
 
-      // Filtruj pouze účty, které mají recruit enabled
-      const accountsToProcess = allAccounts.filter(account => {
-        // Skip účty s CAPTCHA
-        if (this.captchaDetected.has(account.id)) {
-          return false;
-        }
-
-        const recruitSettings = this.db.getRecruitSettings(account.id);
-        return recruitSettings && recruitSettings.enabled;
-      });
+      // Filtruj pouze účty, které mají vesnici s recruit enabled
+      const accountsToProcess = allAccounts
+        .filter(account => !this.captchaDetected.has(account.id)) // Skip účty s CAPTCHA
+        .map(account => ({
+          account,
+          villages: this.getVillagesToProcess(account, 'recruit', (id, villageId) => this.db.getRecruitSettings(id, villageId), false)
+        }))
+        .filter(({ villages }) => villages.length > 0);
 
       if (accountsToProcess.length === 0) {
         await new Promise(resolve => setTimeout(resolve, this.intervals.recruit));
@@ -699,10 +811,9 @@ class Automator {
         const batch = accountsToProcess.slice(i, i + 10);
 
         const results = await Promise.allSettled(
-          batch.map(account => {
-            const recruitSettings = this.db.getRecruitSettings(account.id);
+          batch.map(({ account, villages }) => {
             return this.workerPool.run(
-              () => this.processRecruit(account, recruitSettings),
+              () => this.processRecruit(account, villages),
               this.priorities.recruit,
               `Rekrut: ${account.username}`
             );
@@ -712,7 +823,7 @@ class Automator {
         // Loguj pouze chyby
         results.forEach((result, idx) => {
           if (result.status === 'rejected') {
-            console.log(`⚠️  [${batch[idx].username}] Rekrut: ${result.reason?.message || result.reason}`);
+            console.log(`⚠️  [${batch[idx].account.username}] Rekrut: ${result.reason?.message || result.reason}`);
           }
         });
 
@@ -749,22 +860,14 @@ class Automator {
 
       const accounts = this.db.getAllActiveAccounts();
 
-      // Filtruj pouze účty, které mají research enabled a vypršelý timer
-      const accountsToProcess = accounts.filter(account => {
-        // Skip účty s CAPTCHA
-        if (this.captchaDetected.has(account.id)) {
-          return false;
-        }
-
-        const researchSettings = this.db.getResearchSettings(account.id);
-        if (!researchSettings || !researchSettings.enabled) {
-          return false;
-        }
-
-        const researchKey = `research_${account.id}`;
-        const researchWaitUntil = this.accountWaitTimes[researchKey];
-        return !researchWaitUntil || Date.now() >= researchWaitUntil;
-      });
+      // Filtruj pouze účty, které mají vesnici s research enabled a vypršelým timerem
+      const accountsToProcess = accounts
+        .filter(account => !this.captchaDetected.has(account.id)) // Skip účty s CAPTCHA
+        .map(account => ({
+          account,
+          villages: this.getVillagesToProcess(account, 'research', (id, villageId) => this.db.getResearchSettings(id, villageId))
+        }))
+        .filter(({ villages }) => villages.length > 0);
 
       if (accountsToProcess.length > 0) {
         console.log(`🔬 VÝZKUM: Zpracovávám ${accountsToProcess.length} účtů`);
@@ -775,10 +878,9 @@ class Automator {
         const batch = accountsToProcess.slice(i, i + 5);
 
         const results = await Promise.allSettled(
-          batch.map(account => {
-            const researchSettings = this.db.getResearchSettings(account.id);
+          batch.map(({ account, villages }) => {
             return this.workerPool.run(
-              () => this.processResearch(account, researchSettings),
+              () => this.processResearch(account, villages),
               this.priorities.research,
               `Výzkum: ${account.username}`
             );
@@ -788,7 +890,7 @@ class Automator {
         // Loguj pouze chyby
         results.forEach((result, idx) => {
           if (result.status === 'rejected') {
-            console.log(`⚠️  [${batch[idx].username}] Výzkum: ${result.reason?.message || result.reason}`);
+            console.log(`⚠️  [${batch[idx].account.username}] Výzkum: ${result.reason?.message || result.reason}`);
           }
         });
 
@@ -803,6 +905,190 @@ class Automator {
     }
   }
 
+  /**
+   * SMYČKA 4.5: Balancování surovin (tržiště)
+   * Každé 2 hodiny projde účty a zkontroluje per-vesnice timing (waitTime z modulu)
+   * Zpracovává po 5 účtech paralelně
+   * Priorita: 4
+   */
+  async balanceLoop() {
+    console.log('🔄 [P4] Smyčka TRŽIŠTĚ spuštěna');
+
+    while (this.isRunning) {
+      // Zkontroluj shutdown flag
+      await this.checkShutdownFlag();
+
+      const accounts = this.db.getAllActiveAccounts();
+
+      // Filtruj pouze účty, které mají vesnici s balance enabled a vypršelým timerem
+      const accountsToProcess = accounts
+        .filter(account => !this.captchaDetected.has(account.id)) // Skip účty s CAPTCHA
+        .map(account => ({
+          account,
+          villages: this.getVillagesToProcess(account, 'balance', (id, villageId) => this.db.getBalanceSettings(id, villageId))
+        }))
+        .filter(({ villages }) => villages.length > 0);
+
+      if (accountsToProcess.length > 0) {
+        console.log(`⚖️  TRŽIŠTĚ: Zpracovávám ${accountsToProcess.length} účtů`);
+      }
+
+      // Zpracuj po 5 účtech paralelně
+      for (let i = 0; i < accountsToProcess.length; i += 5) {
+        const batch = accountsToProcess.slice(i, i + 5);
+
+        const results = await Promise.allSettled(
+          batch.map(({ account, villages }) => {
+            return this.workerPool.run(
+              () => this.processBalance(account, villages),
+              this.priorities.balance,
+              `Tržiště: ${account.username}`
+            );
+          })
+        );
+
+        // Loguj pouze chyby
+        results.forEach((result, idx) => {
+          if (result.status === 'rejected') {
+            console.log(`⚠️  [${batch[idx].account.username}] Tržiště: ${result.reason?.message || result.reason}`);
+          }
+        });
+
+        // Pauza mezi dávkami (2-5s)
+        if (i + 5 < accountsToProcess.length) {
+          await new Promise(resolve => setTimeout(resolve, 2000 + Math.random() * 3000));
+        }
+      }
+
+      // Počkej 2 hodiny - s randomizací ±15 minut
+      await new Promise(resolve => setTimeout(resolve, randomizeInterval(this.intervals.balance, 15 * 60 * 1000)));
+    }
+  }
+
+  /**
+   * SMYČKA 4.6: Přesun surovin mezi vlastními vesnicemi
+   * Každých 30 minut projde účty a zkontroluje per-vesnice timing (waitTime z modulu)
+   * Zpracovává po 5 účtech paralelně, jen pokud nějaká vesnice čeká na suroviny na výstavbu
+   * Priorita: 4
+   */
+  async transportLoop() {
+    console.log('🔄 [P4] Smyčka PŘESUN SUROVIN spuštěna');
+
+    while (this.isRunning) {
+      // Zkontroluj shutdown flag
+      await this.checkShutdownFlag();
+
+      const accounts = this.db.getAllActiveAccounts();
+
+      // Filtruj pouze účty s transport enabled, vypršelým timerem a vesnicí, které něco chybí
+      const accountsToProcess = accounts
+        .filter(account => !this.captchaDetected.has(account.id)) // Skip účty s CAPTCHA
+        .map(account => ({
+          account,
+          villages: this.getVillagesToProcess(account, 'transport', (id, villageId) => this.db.getTransportSettings(id, villageId))
+        }))
+        .filter(({ account, villages }) => {
+          if (villages.length === 0) return false;
+          const settings = this.db.getTransportSettings(account.id);
+          return this.db.getTransportTargets(account.id, settings.crossAccount).length > 0;
+        });
+
+      if (accountsToProcess.length > 0) {
+        console.log(`🚚 PŘESUN SUROVIN: Zpracovávám ${accountsToProcess.length} účtů`);
+      }
+
+      // Zpracuj po 5 účtech paralelně
+      for (let i = 0; i < accountsToProcess.length; i += 5) {
+        const batch = accountsToProcess.slice(i, i + 5);
+
+        const results = await Promise.allSettled(
+          batch.map(({ account, villages }) => {
+            return this.workerPool.run(
+              () => this.processTransport(account, villages),
+              this.priorities.transport,
+              `Přesun: ${account.username}`
+            );
+          })
+        );
+
+        // Loguj pouze chyby
+        results.forEach((result, idx) => {
+          if (result.status === 'rejected') {
+            console.log(`⚠️  [${batch[idx].account.username}] Přesun: ${result.reason?.message || result.reason}`);
+          }
+        });
+
+        // Pauza mezi dávkami (2-5s)
+        if (i + 5 < accountsToProcess.length) {
+          await new Promise(resolve => setTimeout(resolve, 2000 + Math.random() * 3000));
+        }
+      }
+
+      // Počkej 30 minut - s randomizací ±5 minut
+      await new Promise(resolve => setTimeout(resolve, randomizeInterval(this.intervals.transport, 5 * 60 * 1000)));
+    }
+  }
+
+  /**
+   * SMYČKA 4.7: Šlechta - ražba mincí / ukládání balíčků a rekrut šlechticů
+   * Každou hodinu projde účty a zkontroluje per-vesnice timing (waitTime z modulu)
+   * Zpracovává po 5 účtech paralelně
+   * Priorita: 4
+   */
+  async nobleLoop() {
+    console.log('🔄 [P4] Smyčka ŠLECHTA spuštěna');
+
+    while (this.isRunning) {
+      // Zkontroluj shutdown flag
+      await this.checkShutdownFlag();
+
+      const accounts = this.db.getAllActiveAccounts();
+
+      // Filtruj pouze účty s noble enabled a vesnicí s vypršelým timerem
+      const accountsToProcess = accounts
+        .filter(account => !this.captchaDetected.has(account.id)) // Skip účty s CAPTCHA
+        .map(account => ({
+          account,
+          villages: this.getVillagesToProcess(account, 'noble', (id, villageId) => this.db.getNobleSettings(id, villageId))
+        }))
+        .filter(({ villages }) => villages.length > 0);
+
+      if (accountsToProcess.length > 0) {
+        console.log(`👑 ŠLECHTA: Zpracovávám ${accountsToProcess.length} účtů`);
+      }
+
+      // Zpracuj po 5 účtech paralelně
+      for (let i = 0; i < accountsToProcess.length; i += 5) {
+        const batch = accountsToProcess.slice(i, i + 5);
+
+        const results = await Promise.allSettled(
+          batch.map(({ account, villages }) => {
+            return this.workerPool.run(
+              () => this.processNoble(account, villages),
+              this.priorities.noble,
+              `Šlechta: ${account.username}`
+            );
+          })
+        );
+
+        // Loguj pouze chyby
+        results.forEach((result, idx) => {
+          if (result.status === 'rejected') {
+            console.log(`⚠️  [${batch[idx].account.username}] Šlechta: ${result.reason?.message || result.reason}`);
+          }
+        });
+
+        // Pauza mezi dávkami (2-5s)
+        if (i + 5 < accountsToProcess.length) {
+          await new Promise(resolve => setTimeout(resolve, 2000 + Math.random() * 3000));
+        }
+      }
+
+      // Počkej 1 hodinu - s randomizací ±10 minut
+      await new Promise(resolve => setTimeout(resolve, randomizeInterval(this.intervals.noble, 10 * 60 * 1000)));
+    }
+  }
+
   /**
    * SMYČKA 5: Paladin
    * Každou 1 hodinu projde účty a zkontroluje per-account timing
@@ -866,6 +1152,166 @@ class Automator {
     }
   }
 
+  /**
+   * SMYČKA 5.1: Farmení barbarských vesnic
+   * Každých 15 minut projde účty se zapnutým farmením a zkontroluje per-account timing
+   * Zpracovává po 5 účtech paralelně
+   * Priorita: 5
+   */
+  async farmLoop() {
+    console.log('🔄 [P5] Smyčka FARMENÍ spuštěna');
+
+    while (this.isRunning) {
+      // Zkontroluj shutdown flag
+      await this.checkShutdownFlag();
+
+      const accounts = this.db.getAllActiveAccounts();
+
+      // Filtruj pouze účty s farm enabled a vypršelým timerem
+      const accountsToProcess = accounts.filter(account => {
+        // Skip účty s CAPTCHA
+        if (this.captchaDetected.has(account.id)) {
+          return false;
+        }
+
+        if (!this.db.getFarmSettings(account.id)?.enabled) {
+          return false;
+        }
+
+        const farmWaitUntil = this.accountWaitTimes[this.getWaitKey('farm', account.id)];
+        return !farmWaitUntil || Date.now() >= farmWaitUntil;
+      });
+
+      if (accountsToProcess.length > 0) {
+        console.log(`🌾 FARMENÍ: Zpracovávám ${accountsToProcess.length} účtů`);
+      }
+
+      // Zpracuj po 5 účtech paralelně
+      for (let i = 0; i < accountsToProcess.length; i += 5) {
+        const batch = accountsToProcess.slice(i, i + 5);
+
+        const results = await Promise.allSettled(
+          batch.map(account =>
+            this.workerPool.run(
+              () => this.processFarm(account),
+              this.priorities.farm,
+              `Farmení: ${account.username}`
+            )
+          )
+        );
+
+        // Loguj pouze chyby
+        results.forEach((result, idx) => {
+          if (result.status === 'rejected') {
+            console.log(`⚠️  [${batch[idx].username}] Farmení: ${result.reason?.message || result.reason}`);
+          }
+        });
+
+        // Pauza mezi dávkami (2-5s)
+        if (i + 5 < accountsToProcess.length) {
+          await new Promise(resolve => setTimeout(resolve, 2000 + Math.random() * 3000));
+        }
+      }
+
+      // Počkej 15 minut - s randomizací ±3 minuty
+      await new Promise(resolve => setTimeout(resolve, randomizeInterval(this.intervals.farm, 3 * 60 * 1000)));
+    }
+  }
+
+  /**
+   * SMYČKA 5.2: Čtení reportů
+   * Každých 30 minut projde účty se zapnutými reporty a uloží nové reporty do databáze
+   * Zpracovává po 5 účtech paralelně
+   * Priorita: 6
+   */
+  async reportsLoop() {
+    console.log('🔄 [P6] Smyčka REPORTY spuštěna');
+
+    while (this.isRunning) {
+      // Zkontroluj shutdown flag
+      await this.checkShutdownFlag();
+
+      const accounts = this.db.getAllActiveAccounts();
+
+      // Filtruj pouze účty s reports enabled a vypršelým timerem
+      const accountsToProcess = accounts.filter(account => {
+        // Skip účty s CAPTCHA
+        if (this.captchaDetected.has(account.id)) {
+          return false;
+        }
+
+        if (!this.db.getReportsSettings(account.id)?.enabled) {
+          return false;
+        }
+
+        const reportsWaitUntil = this.accountWaitTimes[this.getWaitKey('reports', account.id)];
+        return !reportsWaitUntil || Date.now() >= reportsWaitUntil;
+      });
+
+      if (accountsToProcess.length > 0) {
+        console.log(`📜 REPORTY: Zpracovávám ${accountsToProcess.length} účtů`);
+      }
+
+      // Zpracuj po 5 účtech paralelně
+      for (let i = 0; i < accountsToProcess.length; i += 5) {
+        const batch = accountsToProcess.slice(i, i + 5);
+
+        const results = await Promise.allSettled(
+          batch.map(account =>
+            this.workerPool.run(
+              () => this.processReports(account),
+              this.priorities.reports,
+              `Reporty: ${account.username}`
+            )
+          )
+        );
+
+        // Loguj pouze chyby
+        results.forEach((result, idx) => {
+          if (result.status === 'rejected') {
+            console.log(`⚠️  [${batch[idx].username}] Reporty: ${result.reason?.message || result.reason}`);
+          }
+        });
+
+        // Pauza mezi dávkami (2-5s)
+        if (i + 5 < accountsToProcess.length) {
+          await new Promise(resolve => setTimeout(resolve, 2000 + Math.random() * 3000));
+        }
+      }
+
+      // Počkej 30 minut - s randomizací ±5 minut
+      await new Promise(resolve => setTimeout(resolve, randomizeInterval(this.intervals.reports, 5 * 60 * 1000)));
+    }
+  }
+
+  /**
+   * SMYČKA 5.3: Data světa (village.txt, player.txt, ally.txt)
+   * Každou hodinu znovu importuje mapu světů, na kterých hrají aktivní účty
+   * 🆕 Světům bez zjištěné konfigurace (get_config) jednou zjistí nastavení světa
+   * Bez browseru a worker poolu - soubory mapy jsou veřejné, světy se zpracují postupně
+   */
+  async worldDataLoop() {
+    console.log('🔄 [--] Smyčka DATA SVĚTA spuštěna');
+
+    while (this.isRunning) {
+      // Zkontroluj shutdown flag
+      await this.checkShutdownFlag();
+
+      const activeWorlds = [...new Set(this.db.getAllActiveAccounts().map(account => account.world).filter(Boolean))];
+
+      for (const world of activeWorlds.filter(world => !this.db.getWorldSettings(world).detected)) {
+        await this.processWorldConfig(world);
+      }
+
+      for (const world of activeWorlds.filter(world => isWorldDataStale(this.db, world, this.intervals.worldData))) {
+        await this.processWorldData(world);
+      }
+
+      // Počkej 1 hodinu - s randomizací ±5 minut
+      await new Promise(resolve => setTimeout(resolve, randomizeInterval(this.intervals.worldData, 5 * 60 * 1000)));
+    }
+  }
+
   /**
    * SMYČKA 6: Kontrola jednotek
    * Každých 10 minut projde účty a zkontroluje jednotky (po 2 účtech)
@@ -1185,8 +1631,9 @@ class Automator {
 
   /**
    * Zpracuj výstavbu
+   * @param {Array<object>} villages - Vesnice k zpracování (z getVillagesToProcess)
    */
-  async processBuilding(account, settings) {
+  async processBuilding(account, villages) {
     let context, browserKey;
 
     try {
@@ -1203,20 +1650,21 @@ class Automator {
       // Ulož cookies po úspěšném přihlášení (server může obnovit session)
       await this.browserPool.saveCookies(context, account.id);
 
-      const buildingModule = new BuildingModule(page, this.db, account.id);
-      const buildResult = await buildingModule.startBuilding(settings.template);
+      // 🆕 MULTI-VILLAGE: Každá vesnice má vlastní šablonu a časovač
+      await this.runForVillages(page, account, villages, 'building', 'Build', async (village) => {
+        const buildingModule = new BuildingModule(page, this.db, account.id, village.village_id);
+        const buildResult = await buildingModule.startBuilding();
 
-      if (buildResult && buildResult.waitTime) {
-        this.accountWaitTimes[`building_${account.id}`] = Date.now() + buildResult.waitTime;
-        const waitMin = Math.ceil(buildResult.waitTime / 60000);
+        if (!buildResult || !buildResult.waitTime) {
+          return 10 * 60 * 1000; // 10 min fallback
+        }
 
         // Loguj pouze pokud se skutečně stavělo (waitTime < 20 min znamená že se stavělo)
         if (buildResult.success && buildResult.waitTime < 20 * 60 * 1000) {
-          console.log(`🏗️  [${account.username}] Stavba zadána, další kontrola za ${waitMin} min`);
+          console.log(`🏗️  [${this.getLogLabel(account, village)}] Stavba zadána, další kontrola za ${Math.ceil(buildResult.waitTime / 60000)} min`);
         }
-      } else {
-        this.accountWaitTimes[`building_${account.id}`] = Date.now() + 10 * 60 * 1000; // 10 min fallback
-      }
+        return buildResult.waitTime;
+      });
 
       await this.browserPool.closeContext(context, browserKey);
 
@@ -1228,8 +1676,9 @@ class Automator {
 
   /**
    * Zpracuj sběr (scavenge)
+   * @param {Array<object>} villages - Vesnice k zpracování (z getVillagesToProcess)
    */
-  async processScavenge(account) {
+  async processScavenge(account, villages) {
     let context, browserKey;
 
     try {
@@ -1246,15 +1695,17 @@ class Automator {
       // Ulož cookies po úspěšném přihlášení (server může obnovit session)
       await this.browserPool.saveCookies(context, account.id);
 
-      const scavengeModule = new ScavengeModule(page, this.db, account.id);
-      const scavengeResult = await scavengeModule.execute();
+      await this.runForVillages(page, account, villages, 'scavenge', 'Sběr', async (village) => {
+        const scavengeModule = new ScavengeModule(page, this.db, account.id, village.village_id);
+        const scavengeResult = await scavengeModule.execute();
 
-      if (scavengeResult && scavengeResult.waitTime) {
-        this.accountWaitTimes[`scavenge_${account.id}`] = Date.now() + scavengeResult.waitTime;
-        console.log(`⏰ [${account.username}] Sběr: Další za ${Math.ceil(scavengeResult.waitTime / 60000)} min`);
-      } else {
-        this.accountWaitTimes[`scavenge_${account.id}`] = Date.now() + this.intervals.scavenge;
-      }
+        if (!scavengeResult || !scavengeResult.waitTime) {
+          return this.intervals.scavenge;
+        }
+
+        console.log(`⏰ [${this.getLogLabel(account, village)}] Sběr: Další za ${Math.ceil(scavengeResult.waitTime / 60000)} min${scavengeResult.returnAt ? ` (návrat ${new Date(scavengeResult.returnAt).toLocaleTimeString('cs-CZ')})` : ''}`);
+        return scavengeResult.waitTime;
+      });
 
       await this.browserPool.closeContext(context, browserKey);
 
@@ -1266,8 +1717,9 @@ class Automator {
 
   /**
    * Zpracuj rekrutování
+   * @param {Array<object>} villages - Vesnice k zpracování (z getVillagesToProcess)
    */
-  async processRecruit(account, settings) {
+  async processRecruit(account, villages) {
     let context, browserKey;
 
     try {
@@ -1284,17 +1736,19 @@ class Automator {
       // Ulož cookies po úspěšném přihlášení (server může obnovit session)
       await this.browserPool.saveCookies(context, account.id);
 
-      const recruitModule = new RecruitModule(page, this.db, account.id);
-      // collectUnitsInfo() již není potřeba - jednotky sbírá SupportModule v checksLoop()
+      await this.runForVillages(page, account, villages, 'recruit', 'Rekrut', async (village) => {
+        const recruitModule = new RecruitModule(page, this.db, account.id, village.village_id);
+        // collectUnitsInfo() již není potřeba - jednotky sbírá SupportModule v checksLoop()
 
-      const recruitResult = await recruitModule.startRecruiting(settings.template);
+        const recruitResult = await recruitModule.startRecruiting(village.settings.template);
 
-      if (recruitResult && recruitResult.waitTime) {
-        this.accountWaitTimes[`recruit_${account.id}`] = Date.now() + recruitResult.waitTime;
-        console.log(`⏰ [${account.username}] Rekrut: Další za ${Math.ceil(recruitResult.waitTime / 60000)} min`);
-      } else {
-        this.accountWaitTimes[`recruit_${account.id}`] = Date.now() + this.intervals.recruit;
-      }
+        if (!recruitResult || !recruitResult.waitTime) {
+          return this.intervals.recruit;
+        }
+
+        console.log(`⏰ [${this.getLogLabel(account, village)}] Rekrut: Další za ${Math.ceil(recruitResult.waitTime / 60000)} min`);
+        return recruitResult.waitTime;
+      });
 
       await this.browserPool.closeContext(context, browserKey);
 
@@ -1306,8 +1760,9 @@ class Automator {
 
   /**
    * Zpracuj výzkum
+   * @param {Array<object>} villages - Vesnice k zpracování (z getVillagesToProcess)
    */
-  async processResearch(account, settings) {
+  async processResearch(account, villages) {
     let context, browserKey;
 
     try {
@@ -1324,17 +1779,19 @@ class Automator {
       // Ulož cookies po úspěšném přihlášení (server může obnovit session)
       await this.browserPool.saveCookies(context, account.id);
 
-      const researchModule = new ResearchModule(page, this.db, account.id);
-      const researchResult = await researchModule.autoResearch();
+      await this.runForVillages(page, account, villages, 'research', 'Výzkum', async (village) => {
+        const researchModule = new ResearchModule(page, this.db, account.id, village.village_id);
+        const researchResult = await researchModule.autoResearch();
+
+        if (!researchResult || !researchResult.waitTime) {
+          return this.intervals.research;
+        }
 
-      if (researchResult && researchResult.waitTime) {
         // Použij minimálně interval smyčky (120 min)
         const actualWaitTime = Math.max(researchResult.waitTime, this.intervals.research);
-        this.accountWaitTimes[`research_${account.id}`] = Date.now() + actualWaitTime;
-        console.log(`⏰ [${account.username}] Výzkum: Další za ${Math.ceil(actualWaitTime / 60000)} min`);
-      } else {
-        this.accountWaitTimes[`research_${account.id}`] = Date.now() + this.intervals.research;
-      }
+        console.log(`⏰ [${this.getLogLabel(account, village)}] Výzkum: Další za ${Math.ceil(actualWaitTime / 60000)} min`);
+        return actualWaitTime;
+      });
 
       await this.browserPool.closeContext(context, browserKey);
 
@@ -1344,6 +1801,126 @@ class Automator {
     }
   }
 
+  /**
+   * Zpracuj balancování surovin (tržiště)
+   * @param {Array<object>} villages - Vesnice k zpracování (z getVillagesToProcess)
+   */
+  async processBalance(account, villages) {
+    let context, browserKey;
+
+    try {
+      ({ context, browserKey } = await this.browserPool.createContext(account.id));
+      const page = await context.newPage();
+
+      const loginSuccess = await this.loginToGame(page, account);
+      if (!loginSuccess) {
+        await this.browserPool.closeContext(context, browserKey);
+        await this.handleFailedLogin(account);
+        return;
+      }
+
+      // Ulož cookies po úspěšném přihlášení (server může obnovit session)
+      await this.browserPool.saveCookies(context, account.id);
+
+      await this.runForVillages(page, account, villages, 'balance', 'Tržiště', async (village) => {
+        const balancModule = new BalancModule(page, this.db, account.id, village.village_id);
+        const balanceResult = await balancModule.execute();
+
+        if (!balanceResult || !balanceResult.waitTime) {
+          return this.intervals.balance;
+        }
+
+        console.log(`⏰ [${this.getLogLabel(account, village)}] Tržiště: Další za ${Math.ceil(balanceResult.waitTime / 60000)} min`);
+        return balanceResult.waitTime;
+      });
+
+      await this.browserPool.closeContext(context, browserKey);
+
+    } catch (error) {
+      console.error(`❌ [${account.username}] Chyba při balancování surovin:`, error.message);
+      if (context && browserKey) await this.browserPool.closeContext(context, browserKey);
+    }
+  }
+
+  /**
+   * Zpracuj přesun surovin mezi vesnicemi
+   * @param {Array<object>} villages - Vesnice odesílatele (z getVillagesToProcess)
+   */
+  async processTransport(account, villages) {
+    let context, browserKey;
+
+    try {
+      ({ context, browserKey } = await this.browserPool.createContext(account.id));
+      const page = await context.newPage();
+
+      const loginSuccess = await this.loginToGame(page, account);
+      if (!loginSuccess) {
+        await this.browserPool.closeContext(context, browserKey);
+        await this.handleFailedLogin(account);
+        return;
+      }
+
+      // Ulož cookies po úspěšném přihlášení (server může obnovit session)
+      await this.browserPool.saveCookies(context, account.id);
+
+      await this.runForVillages(page, account, villages, 'transport', 'Přesun', async (village) => {
+        const transportModule = new TransportModule(page, this.db, account.id, village.village_id);
+        const transportResult = await transportModule.execute();
+
+        if (transportResult && transportResult.sent > 0) {
+          console.log(`🚚 [${this.getLogLabel(account, village)}] Přesun: Odesláno ${transportResult.sent} transportů`);
+        }
+
+        return transportResult?.waitTime || this.intervals.transport;
+      });
+
+      await this.browserPool.closeContext(context, browserKey);
+
+    } catch (error) {
+      console.error(`❌ [${account.username}] Chyba při přesunu surovin:`, error.message);
+      if (context && browserKey) await this.browserPool.closeContext(context, browserKey);
+    }
+  }
+
+  /**
+   * 🆕 Zpracuj šlechtu (všechny vesnice účtu se zapnutou šlechtou)
+   */
+  async processNoble(account, villages) {
+    let context, browserKey;
+
+    try {
+      ({ context, browserKey } = await this.browserPool.createContext(account.id));
+      const page = await context.newPage();
+
+      const loginSuccess = await this.loginToGame(page, account);
+      if (!loginSuccess) {
+        await this.browserPool.closeContext(context, browserKey);
+        await this.handleFailedLogin(account);
+        return;
+      }
+
+      // Ulož cookies po úspěšném přihlášení (server může obnovit session)
+      await this.browserPool.saveCookies(context, account.id);
+
+      await this.runForVillages(page, account, villages, 'noble', 'Šlechta', async (village) => {
+        const nobleModule = new NobleModule(page, this.db, account.id, village.village_id);
+        const nobleResult = await nobleModule.execute();
+
+        if (nobleResult && (nobleResult.trained > 0 || nobleResult.minted > 0)) {
+          console.log(`👑 [${this.getLogLabel(account, village)}] Šlechta: ${nobleResult.trained} šlechticů, ${nobleResult.minted} mincí/balíčků`);
+        }
+
+        return nobleResult?.waitTime || this.intervals.noble;
+      });
+
+      await this.browserPool.closeContext(context, browserKey);
+
+    } catch (error) {
+      console.error(`❌ [${account.username}] Chyba při šlechtě:`, error.message);
+      if (context && browserKey) await this.browserPool.closeContext(context, browserKey);
+    }
+  }
+
   /**
    * Zpracuj kontrolu jednotek
    */
@@ -1455,6 +2032,96 @@ class Automator {
     }
   }
 
+  /**
+   * 🆕 Zpracuj farmení (z hlavní vesnice účtu)
+   */
+  async processFarm(account) {
+    let context, browserKey;
+
+    try {
+      ({ context, browserKey } = await this.browserPool.createContext(account.id));
+      const page = await context.newPage();
+
+      const loginSuccess = await this.loginToGame(page, account);
+      if (!loginSuccess) {
+        await this.browserPool.closeContext(context, browserKey);
+        await this.handleFailedLogin(account);
+        return;
+      }
+
+      // Ulož cookies po úspěšném přihlášení (server může obnovit session)
+      await this.browserPool.saveCookies(context, account.id);
+
+      const farmModule = new FarmModule(page, this.db, account.id);
+      const farmResult = await farmModule.execute();
+
+      this.accountWaitTimes[this.getWaitKey('farm', account.id)] = Date.now() + (farmResult?.waitTime || this.intervals.farm);
+
+      await this.browserPool.closeContext(context, browserKey);
+
+    } catch (error) {
+      console.error(`❌ [${account.username}] Chyba při farmení:`, error.message);
+      if (context && browserKey) await this.browserPool.closeContext(context, browserKey);
+    }
+  }
+
+  /**
+   * 🆕 Zpracuj čtení reportů
+   */
+  async processReports(account) {
+    let context, browserKey;
+
+    try {
+      ({ context, browserKey } = await this.browserPool.createContext(account.id));
+      const page = await context.newPage();
+
+      const loginSuccess = await this.loginToGame(page, account);
+      if (!loginSuccess) {
+        await this.browserPool.closeContext(context, browserKey);
+        await this.handleFailedLogin(account);
+        return;
+      }
+
+      // Ulož cookies po úspěšném přihlášení (server může obnovit session)
+      await this.browserPool.saveCookies(context, account.id);
+
+      const reportsModule = new ReportsModule(page, this.db, account.id);
+      const reportsResult = await reportsModule.execute();
+
+      this.accountWaitTimes[this.getWaitKey('reports', account.id)] = Date.now() + (reportsResult?.waitTime || this.intervals.reports);
+
+      await this.browserPool.closeContext(context, browserKey);
+
+    } catch (error) {
+      console.error(`❌ [${account.username}] Chyba při čtení reportů:`, error.message);
+      if (context && browserKey) await this.browserPool.closeContext(context, browserKey);
+    }
+  }
+
+  /**
+   * 🆕 Zpracuj import dat světa
+   */
+  async processWorldData(world) {
+    try {
+      const counts = await importWorldData(this.db, world);
+      console.log(`🗺️  [${world}] Data světa: ${counts.villages} vesnic, ${counts.players} hráčů, ${counts.allies} kmenů`);
+    } catch (error) {
+      console.error(`❌ [${world}] Chyba při importu dat světa:`, error.message);
+    }
+  }
+
+  /**
+   * 🆕 Zpracuj zjištění nastavení světa z konfigurace hry
+   */
+  async processWorldConfig(world) {
+    try {
+      const detected = await importWorldConfig(this.db, world);
+      console.log(`🌍 [${world}] Nastavení světa: rychlost ${detected.speed}x, jednotky ${detected.unitSpeedModifier ?? 1}x`);
+    } catch (error) {
+      console.error(`❌ [${world}] Chyba při zjištění nastavení světa:`, error.message);
+    }
+  }
+
   /**
    * Přihlášení do hry
    */
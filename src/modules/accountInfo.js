@@ -43,6 +43,27 @@ class AccountInfoModule {
     }
   }
 
+  /**
+   * Získá produkci surovin za hodinu (game_data.village.*_prod je za sekundu)
+   */
+  async getProduction() {
+    try {
+      const production = await this.page.evaluate(() => {
+        const v = game_data.village;
+        return {
+          wood: Math.round((parseFloat(v.wood_prod) || 0) * 3600),
+          clay: Math.round((parseFloat(v.stone_prod) || 0) * 3600),
+          iron: Math.round((parseFloat(v.iron_prod) || 0) * 3600)
+        };
+      });
+
+      return production;
+    } catch (error) {
+      logger.error('Chyba při zjišťování produkce', this.getAccountName(), error);
+      return null;
+    }
+  }
+
   /**
    * Získá populaci
    */
@@ -130,6 +151,78 @@ class AccountInfoModule {
     }
   }
 
+  /**
+   * 🆕 MULTI-VILLAGE: Zjistí všechny vesnice účtu z přehledu vesnic
+   * Účet s jednou vesnicí se zjistí z game_data (bez načítání další stránky)
+   */
+  async getVillages() {
+    try {
+      const villageCount = await this.page.evaluate(() => parseInt(game_data?.player?.villages) || 1);
+
+      if (villageCount <= 1) {
+        const village = await this.getVillageCoordinates();
+        return village ? [village] : [];
+      }
+
+      const currentUrl = this.page.url();
+      const worldMatch = currentUrl.match(/\/\/([^.]+)\.(divokekmeny\.cz|divoke-kmene\.sk)/);
+      if (!worldMatch) return [];
+
+      const world = worldMatch[1];
+      const domain = worldMatch[2];
+
+      await this.page.goto(`https://${world}.${domain}/game.php?screen=overview_villages&mode=prod`, {
+        waitUntil: 'domcontentloaded',
+        timeout: 20000
+      });
+      await this.page.waitForTimeout(1000);
+
+      const villages = await this.page.evaluate(() => {
+        const parseNumber = (text) => parseInt((text || '').replace(/[^\d]/g, '')) || 0;
+        const result = [];
+
+        // Přehled bez premium i s premium - název vesnice má vždy span.quickedit-vn s data-id
+        document.querySelectorAll('.quickedit-vn[data-id]').forEach(label => {
+          const row = label.closest('tr');
+          if (!row) return;
+
+          const text = (label.querySelector('.quickedit-label') || label).textContent.trim();
+          const match = text.match(/^(.*)\((\d+)\|(\d+)\)\s*(K\d+)?/);
+          if (!match) return;
+
+          const cells = Array.from(row.cells);
+          const nameCellIndex = cells.findIndex(cell => cell.contains(label));
+          const resourcesCell = cells.find(cell => cell.querySelector('.wood'));
+          const resourcesIndex = cells.indexOf(resourcesCell);
+          const farmCell = cells.find(cell => /^\d+\s*\/\s*\d+$/.test(cell.textContent.trim()));
+          const [popCurrent, popMax] = farmCell ? farmCell.textContent.split('/').map(parseNumber) : [null, null];
+
+          result.push({
+            id: label.getAttribute('data-id'),
+            name: match[1].trim(),
+            x: parseInt(match[2]),
+            y: parseInt(match[3]),
+            continent: match[4] || `K${Math.floor(parseInt(match[3]) / 100)}${Math.floor(parseInt(match[2]) / 100)}`,
+            points: nameCellIndex >= 0 && cells[nameCellIndex + 1] ? parseNumber(cells[nameCellIndex + 1].textContent) : null,
+            wood: resourcesCell ? parseNumber(resourcesCell.querySelector('.wood')?.textContent) : null,
+            clay: resourcesCell ? parseNumber(resourcesCell.querySelector('.stone')?.textContent) : null,
+            iron: resourcesCell ? parseNumber(resourcesCell.querySelector('.iron')?.textContent) : null,
+            storage_max: resourcesIndex >= 0 && cells[resourcesIndex + 1] ? parseNumber(cells[resourcesIndex + 1].textContent) : null,
+            population_current: popCurrent,
+            population_max: popMax
+          });
+        });
+
+        return result;
+      });
+
+      return villages;
+    } catch (error) {
+      logger.error('Chyba při zjišťování vesnic', this.getAccountName(), error);
+      return [];
+    }
+  }
+
   /**
    * Získá název kmene (tribe)
    */
@@ -279,11 +372,13 @@ class AccountInfoModule {
     try {
       const villageInfo = await this.getVillageCoordinates();
       const resources = await this.getResources();
+      const production = await this.getProduction();
       const population = await this.getPopulation();
       const points = await this.getPoints();
       const tribeName = await this.getTribeName();
       const premiumInfo = await this.getPremiumInfo();
       const wallLevel = await this.getWallLevel();
+      const villages = await this.getVillages();
 
       const [popCurrent, popMax] = population.split('/').map(p => parseInt(p.trim()) || 0);
 
@@ -296,6 +391,19 @@ class AccountInfoModule {
         points: points
       });
 
+      // Historie pro grafy na dashboardu
+      this.db.addStatsHistorySample(this.accountId, {
+        wood: resources.wood,
+        clay: resources.clay,
+        iron: resources.iron,
+        population_current: popCurrent,
+        population_max: popMax,
+        points: points,
+        wood_prod: production?.wood,
+        clay_prod: production?.clay,
+        iron_prod: production?.iron
+      });
+
       this.db.updateAccountInfo(this.accountId, {
         wall_level: wallLevel,
         village_id: villageInfo?.id,
@@ -308,12 +416,17 @@ class AccountInfoModule {
         premium_points: premiumInfo.premium_points
       });
 
+      // 🆕 MULTI-VILLAGE: Seznam vesnic pro smyčky Automatoru
+      this.db.syncVillages(this.accountId, villages);
+
       return {
         resources,
+        production,
         population,
         points,
         wallLevel,
         villageInfo,
+        villages,
         tribeName,
         premiumInfo
       };
@@ -2,22 +2,82 @@
  * Modul pro automatické balancování surovin přes tržiště
  *
  * Běží každé 2 hodiny a automaticky vyvažuje suroviny na tržišti.
- * Aktivuje se pouze pokud je alespoň jedna surovina nad 3000 kusů.
- * Cílový poměr surovin: 35% wood, 35% stone, 30% iron
+ * Poměr surovin, aktivační množství, velikost nabídky, max. směnný poměr a suroviny,
+ * které se nikdy neprodávají, určuje šablona balancování (templates typ 'balance').
+ * Výchozí šablona DEFAULT: 35% wood, 35% stone, 30% iron, aktivace nad 3000 kusů.
  * LANGUAGE-INDEPENDENT - používá pouze CSS třídy a ikony.
  */
 
 import { randomDelay } from '../utils/randomize.js';
 
 class BalancModule {
-  constructor(page, db, accountId) {
+  constructor(page, db, accountId, villageId = null) {
     this.page = page;
     this.db = db;
     this.accountId = accountId;
+    this.villageId = villageId; // 🆕 MULTI-VILLAGE: null = aktuální vesnice
     this.RESOURCES = ['wood', 'stone', 'iron'];
-    this.RESOURCE_PERCENTAGE = { wood: 0.35, stone: 0.35, iron: 0.30 }; // Cílová procenta
-    this.MIN_THRESHOLD = 3000; // Minimální množství pro aktivaci
-    this.OFFER_SIZE = 1000; // Velikost jedné nabídky
+    this.MERCHANT_CAPACITY = 1000; // Kolik surovin unese jeden obchodník
+
+    // 🆕 Nastavení ze šablony balancování (účet nebo vesnice)
+    this.applyTemplate(this.loadTemplate());
+  }
+
+  /**
+   * Načte šablonu balancování z databáze (šablona vesnice, jinak účtu, jinak DEFAULT)
+   */
+  loadTemplate() {
+    const settings = this.db.getBalanceSettings(this.accountId, this.villageId);
+    const template = (settings && this.db.getTemplate('balance', settings.template)) ||
+      this.db.getTemplate('balance', 'DEFAULT');
+
+    return this.db.normalizeTemplate('balance', template || { id: 'DEFAULT' });
+  }
+
+  /**
+   * Nastaví parametry balancování podle šablony
+   */
+  applyTemplate(template) {
+    const total = this.RESOURCES.reduce((sum, res) => sum + (Number(template.ratios[res]) || 0), 0) || 1;
+
+    this.templateName = template.name;
+    this.RESOURCE_PERCENTAGE = {}; // Cílový podíl (0-1)
+    this.RESOURCES.forEach(res => {
+      this.RESOURCE_PERCENTAGE[res] = (Number(template.ratios[res]) || 0) / total;
+    });
+    this.MIN_THRESHOLD = template.min_threshold; // Minimální množství pro aktivaci
+    this.OFFER_SIZE = template.offer_size; // Velikost jedné nabídky
+    this.MAX_EXCHANGE_RATIO = template.max_exchange_ratio; // Kolik max. dáme za 1 získanou surovinu
+    this.NEVER_SELL = template.never_sell; // Suroviny, které se nikdy nenabízejí
+  }
+
+  /**
+   * Kolik obchodníků je potřeba na převoz daného množství
+   */
+  merchantsFor(amount) {
+    return Math.ceil(amount / this.MERCHANT_CAPACITY);
+  }
+
+  /**
+   * 🆕 Náhled plánu balancování bez obchodování (pro control panel)
+   * @param {object} resources - Suroviny { wood, stone, iron }
+   */
+  previewBalance(resources) {
+    const maxResource = Math.max(...this.RESOURCES.map(res => resources[res] || 0));
+
+    return {
+      template: this.templateName,
+      settings: {
+        ratios: this.RESOURCE_PERCENTAGE,
+        minThreshold: this.MIN_THRESHOLD,
+        offerSize: this.OFFER_SIZE,
+        maxExchangeRatio: this.MAX_EXCHANGE_RATIO,
+        neverSell: this.NEVER_SELL
+      },
+      resources,
+      active: maxResource >= this.MIN_THRESHOLD,
+      ...this.calculateBalance(resources)
+    };
   }
 
   /**
@@ -25,7 +85,7 @@ class BalancModule {
    */
   async execute() {
     try {
-      console.log(`\n⚖️  === BALANCE - Účet ${this.accountId} ===`);
+      console.log(`\n⚖️  === BALANCE - Účet ${this.accountId} (šablona ${this.templateName}) ===`);
 
       // Získat informace o účtu
       const account = this.db.getAccount(this.accountId);
@@ -40,7 +100,7 @@ class BalancModule {
       // Human-like delay před navigací
       await randomDelay(400, 300);
 
-      await this.page.goto(`${worldUrl}/game.php?screen=market&mode=own_offer`, {
+      await this.page.goto(`${worldUrl}/game.php?${this.getVillageParam()}screen=market&mode=own_offer`, {
         waitUntil: 'domcontentloaded',
         timeout: 30000
       });
@@ -94,7 +154,7 @@ class BalancModule {
       // Human-like delay před navigací
       await randomDelay(400, 300);
 
-      await this.page.goto(`${worldUrl}/game.php?screen=market&mode=other_offer&action=search`, {
+      await this.page.goto(`${worldUrl}/game.php?${this.getVillageParam()}screen=market&mode=other_offer&action=search`, {
         waitUntil: 'domcontentloaded',
         timeout: 30000
       });
@@ -136,6 +196,13 @@ class BalancModule {
     }
   }
 
+  /**
+   * 🆕 MULTI-VILLAGE: Parametr vesnice pro URL (prázdný = aktuální vesnice)
+   */
+  getVillageParam() {
+    return this.villageId ? `village=${this.villageId}&` : '';
+  }
+
   /**
    * Získat URL světa z aktuální URL stránky
    */
@@ -177,9 +244,10 @@ class BalancModule {
 
   /**
    * Vypočítat cílový stav a co je potřeba vyměnit
-   * Pracuje pouze s celými tisíci
-   * Logika: Iron max 30%, zbytek rozdělit rovnoměrně mezi wood a stone
-   * Při lichém zbytku má přednost stone (hlína)
+   * Pracuje pouze s celými nabídkami (násobky OFFER_SIZE)
+   * Logika: každá surovina dostane svůj podíl podle šablony, zbytek po zaokrouhlení
+   * dostane surovina s největším podílem (při shodě má přednost stone/hlína)
+   * Suroviny ze seznamu NEVER_SELL se nikdy nenabízejí (nemají přebytek)
    *
    * Zahrnuje:
    * - Aktuální suroviny ve skladu
@@ -190,42 +258,36 @@ class BalancModule {
     // Výchozí prázdné hodnoty
     const incoming = incomingOutgoing ? incomingOutgoing.incoming : { wood: 0, stone: 0, iron: 0 };
     const wanting = ownOffers ? ownOffers.wanting : { wood: 0, stone: 0, iron: 0 };
+    const unit = this.OFFER_SIZE;
 
     // Vypočítar "efektivní" suroviny = sklad + příchozí + vlastní_nabídky_ZA
     const effective = {};
     this.RESOURCES.forEach(res => {
-      effective[res] = resources[res] + incoming[res] + wanting[res];
+      effective[res] = (resources[res] || 0) + (incoming[res] || 0) + (wanting[res] || 0);
     });
 
     console.log(`📊 Efektivní suroviny (sklad + příchozí + wanting):`, effective);
 
-    // Zaokrouhlit na tisíce dolů
+    // Zaokrouhlit na celé nabídky dolů
     const rounded = {};
     this.RESOURCES.forEach(res => {
-      rounded[res] = Math.floor(effective[res] / 1000) * 1000;
+      rounded[res] = Math.floor(effective[res] / unit) * unit;
     });
 
     // Celkový součet surovin
     const totalResources = Object.values(rounded).reduce((a, b) => a + b, 0);
 
-    // Iron má max 30% z celku
-    const ironMaxAmount = totalResources * 0.30;
-    const ironTarget = Math.floor(ironMaxAmount / 1000) * 1000;
-
-    // Zbytek rozdělit rovnoměrně mezi wood a stone
-    const remainingForWoodStone = totalResources - ironTarget;
-
-    // Wood dostane polovinu (zaokrouhleno dolů)
-    const woodTarget = Math.floor((remainingForWoodStone / 2) / 1000) * 1000;
-
-    // Stone dostane zbytek (má přednost při lichém čísle)
-    const stoneTarget = remainingForWoodStone - woodTarget;
+    // Každá surovina dostane svůj podíl (zaokrouhleno dolů na celé nabídky)
+    const targets = {};
+    this.RESOURCES.forEach(res => {
+      targets[res] = Math.floor(totalResources * this.RESOURCE_PERCENTAGE[res] / unit) * unit;
+    });
 
-    const targets = {
-      wood: woodTarget,
-      stone: stoneTarget,
-      iron: ironTarget
-    };
+    // Zbytek po zaokrouhlení dostane surovina s největším podílem (stone má přednost)
+    const remainder = totalResources - Object.values(targets).reduce((a, b) => a + b, 0);
+    const largest = ['stone', 'wood', 'iron']
+      .reduce((best, res) => this.RESOURCE_PERCENTAGE[res] > this.RESOURCE_PERCENTAGE[best] ? res : best, 'stone');
+    targets[largest] += remainder;
 
     // Vypočítat přebytky a nedostatky
     const surplus = {}; // Co mám navíc (nabízím)
@@ -233,7 +295,7 @@ class BalancModule {
 
     this.RESOURCES.forEach(res => {
       const diff = rounded[res] - targets[res];
-      if (diff > 0) {
+      if (diff > 0 && !this.NEVER_SELL.includes(res)) {
         surplus[res] = diff;
       } else if (diff < 0) {
         deficit[res] = Math.abs(diff);
@@ -270,19 +332,24 @@ class BalancModule {
   /**
    * Přijmout existující nabídky na tržišti
    * Po každém přijetí se stránka automaticky refreshne, checkboxy zůstanou nastavené
+   * Přijímají se jen nabídky se směnným poměrem do MAX_EXCHANGE_RATIO
    */
   async acceptExistingOffers(balance, availableMerchants) {
     const trades = [];
     let merchantsUsed = 0;
     let count = 0;
 
+    // Kolik ještě můžeme dát z každého přebytku
+    const surplusLeft = { ...balance.surplus };
+
     // Pro každou surovinu kterou potřebuji
     for (const [wantResource, wantAmount] of Object.entries(balance.deficit)) {
-      let stillNeed = wantAmount / this.OFFER_SIZE; // Kolik tisíců potřebuji
+      let stillNeed = wantAmount; // Kolik surovin ještě potřebuji
 
       // Pro každou surovinu kterou mám navíc
-      for (const [offerResource, offerAmount] of Object.entries(balance.surplus)) {
+      for (const offerResource of Object.keys(balance.surplus)) {
         if (stillNeed <= 0 || availableMerchants - merchantsUsed <= 0) break;
+        if (surplusLeft[offerResource] <= 0) continue;
 
         console.log(`🔍 Hledám nabídky: nabízejí ${wantResource}, chtějí ${offerResource}`);
 
@@ -291,7 +358,7 @@ class BalancModule {
         await this.page.waitForTimeout(1500);
 
         // Loop pro přijímání nabídek (po každém přijetí se stránka refreshne)
-        while (stillNeed > 0 && availableMerchants - merchantsUsed > 0) {
+        while (stillNeed > 0 && availableMerchants - merchantsUsed > 0 && surplusLeft[offerResource] > 0) {
           // Najít vhodné nabídky
           const offers = await this.findSuitableOffers(wantResource, offerResource);
 
@@ -305,13 +372,14 @@ class BalancModule {
           // Přijmout PRVNÍ nabídku
           const offer = offers[0];
           const canAccept = Math.min(
-            stillNeed,
+            Math.floor(stillNeed / offer.offeredAmount),
+            Math.floor(surplusLeft[offerResource] / offer.requestedAmount),
             offer.available,
-            availableMerchants - merchantsUsed
+            Math.floor((availableMerchants - merchantsUsed) / this.merchantsFor(offer.requestedAmount))
           );
 
           if (canAccept > 0) {
-            console.log(`  ✅ Přijímám ${canAccept}x nabídku od ${offer.player}`);
+            console.log(`  ✅ Přijímám ${canAccept}x nabídku od ${offer.player} (${offer.requestedAmount}:${offer.offeredAmount})`);
 
             const success = await this.acceptOffer(offer.formAction, canAccept);
 
@@ -319,11 +387,13 @@ class BalancModule {
               trades.push({
                 give: offerResource,
                 receive: wantResource,
-                amount: canAccept * this.OFFER_SIZE
+                amount: canAccept * offer.offeredAmount,
+                given: canAccept * offer.requestedAmount
               });
 
-              stillNeed -= canAccept;
-              merchantsUsed += canAccept;
+              stillNeed -= canAccept * offer.offeredAmount;
+              surplusLeft[offerResource] -= canAccept * offer.requestedAmount;
+              merchantsUsed += canAccept * this.merchantsFor(offer.requestedAmount);
               count++;
 
               // Počkat na automatický refresh stránky (po submitu formuláře)
@@ -404,11 +474,11 @@ class BalancModule {
   }
 
   /**
-   * Najít vhodné nabídky (1000 za 1000)
+   * Najít vhodné nabídky (poměr dáme:dostaneme nejvýše MAX_EXCHANGE_RATIO)
    * LANGUAGE-INDEPENDENT - hledá tabulku s form.market_accept_offer
    */
   async findSuitableOffers(wantResource, offerResource) {
-    return await this.page.evaluate(({ want, offer }) => {
+    return await this.page.evaluate(({ want, offer, maxRatio }) => {
       const tables = document.querySelectorAll('table.vis');
       let offerTable = null;
 
@@ -442,8 +512,9 @@ class BalancModule {
         const offeredAmount = parseInt(offeredText.replace(/\./g, '').replace(/\s/g, ''), 10);
         const requestedAmount = parseInt(requestedText.replace(/\./g, '').replace(/\s/g, ''), 10);
 
-        // POUZE 1000 za 1000
-        if (offeredAmount !== 1000 || requestedAmount !== 1000) continue;
+        // Směnný poměr: kolik dáme za 1 získanou surovinu
+        if (!offeredAmount || !requestedAmount) continue;
+        if (requestedAmount / offeredAmount > maxRatio) continue;
 
         // Zjistit jaké suroviny se nabízejí
         const icons = cells[0].querySelectorAll('span.icon.header');
@@ -470,14 +541,19 @@ class BalancModule {
         suitableOffers.push({
           offeredResource,
           requestedResource,
+          offeredAmount,
+          requestedAmount,
           available,
           player,
           formAction
         });
       }
 
+      // Nejvýhodnější nabídky první
+      suitableOffers.sort((a, b) => a.requestedAmount / a.offeredAmount - b.requestedAmount / b.offeredAmount);
+
       return suitableOffers;
-    }, { want: wantResource, offer: offerResource });
+    }, { want: wantResource, offer: offerResource, maxRatio: this.MAX_EXCHANGE_RATIO });
   }
 
   /**
@@ -688,9 +764,9 @@ class BalancModule {
     const newDeficit = { ...balance.deficit };
 
     trades.forEach(trade => {
-      // Snížit přebytek
+      // Snížit přebytek (given = kolik jsme skutečně dali, při poměru 1:1 stejné jako amount)
       if (newSurplus[trade.give]) {
-        newSurplus[trade.give] -= trade.amount;
+        newSurplus[trade.give] -= trade.given ?? trade.amount;
         if (newSurplus[trade.give] <= 0) {
           delete newSurplus[trade.give];
         }
@@ -716,7 +792,7 @@ class BalancModule {
 
     // Přejít na stránku pro vytváření nabídek
     const worldUrl = this.getWorldUrl();
-    await this.page.goto(`${worldUrl}/game.php?screen=market&mode=own_offer`, {
+    await this.page.goto(`${worldUrl}/game.php?${this.getVillageParam()}screen=market&mode=own_offer`, {
       waitUntil: 'domcontentloaded',
       timeout: 30000
     });
@@ -731,7 +807,7 @@ class BalancModule {
         const offersToCreate = Math.min(
           Math.floor(offerAmount / this.OFFER_SIZE),
           Math.floor(wantAmount / this.OFFER_SIZE),
-          availableMerchants
+          Math.floor(availableMerchants / this.merchantsFor(this.OFFER_SIZE))
         );
 
         if (offersToCreate > 0) {
@@ -741,7 +817,7 @@ class BalancModule {
 
           if (success) {
             count += offersToCreate;
-            availableMerchants -= offersToCreate;
+            availableMerchants -= offersToCreate * this.merchantsFor(this.OFFER_SIZE);
 
             // Aktualizovat balance
             balance.surplus[offerResource] -= offersToCreate * this.OFFER_SIZE;
@@ -764,13 +840,13 @@ class BalancModule {
    */
   async createOffer(sellResource, buyResource, count) {
     try {
-      const success = await this.page.evaluate(({ sell, buy, count }) => {
-        // Nastavit množství (mělo by být už 1000)
+      const success = await this.page.evaluate(({ sell, buy, count, size }) => {
+        // Nastavit množství (vlastní nabídky vždy 1:1 podle velikosti nabídky ze šablony)
         const sellAmount = document.querySelector('input[name="sell"]');
         const buyAmount = document.querySelector('input[name="buy"]');
 
-        if (sellAmount) sellAmount.value = '1000';
-        if (buyAmount) buyAmount.value = '1000';
+        if (sellAmount) sellAmount.value = size.toString();
+        if (buyAmount) buyAmount.value = size.toString();
 
         // Zvolit suroviny (radio buttons)
         const sellRadio = document.querySelector(`input[name="res_sell"][value="${sell}"]`);
@@ -793,7 +869,7 @@ class BalancModule {
 
         submitBtn.click();
         return true;
-      }, { sell: sellResource, buy: buyResource, count });
+      }, { sell: sellResource, buy: buyResource, count, size: this.OFFER_SIZE });
 
       return success;
     } catch (error) {
@@ -6,18 +6,28 @@
 import logger from '../logger.js';
 import { humanDelay, randomizeInterval } from '../utils/randomize.js';
 import { simulateReading } from '../utils/humanBehavior.js';
+import { BUILDINGS } from '../buildingTemplates.js';
 
 class BuildingModule {
-  constructor(page, db, accountId) {
+  constructor(page, db, accountId, villageId = null) {
     this.page = page;
     this.db = db;
     this.accountId = accountId;
+    this.villageId = villageId; // 🆕 MULTI-VILLAGE: null = aktuální vesnice
     this.accountName = null;
 
     // 🆕 Paměť pro zamezení opakovaného stavění
     this.lastWarehouseAttempt = 0;
     this.lastFarmAttempt = 0;
     this.attemptCooldown = 30 * 60 * 1000; // 10 minut cooldown
+
+    // 🆕 Velikost fronty výstavby
+    this.BASE_QUEUE_SIZE = 1;
+    this.PREMIUM_QUEUE_SIZE = 5;
+
+    // 🆕 Čekání na suroviny - přesný čas podle produkce (+ rezerva), nejvýš MAX (mezitím může přijít transport)
+    this.RESOURCE_WAIT_BUFFER = 60 * 1000;
+    this.MAX_RESOURCE_WAIT = 3 * 60 * 60 * 1000;
   }
 
   /**
@@ -32,368 +42,66 @@ class BuildingModule {
   }
 
   /**
-   * Dostupné šablony výstavby
+   * 🆕 MULTI-VILLAGE: Parametr vesnice pro URL (prázdný = aktuální vesnice)
    */
-  getTemplates() {
-    return {
-      FULL_VILLAGE: [
-        { building: 'Headquarters', level: 1 },
-        { building: 'Rally point', level: 1 },
-        { building: 'Hiding place', level: 1 },
-        { building: 'Warehouse', level: 1 },
-        { building: 'Farm', level: 1 },
-        { building: 'Iron mine', level: 1 },
-        { building: 'Clay pit', level: 1 },
-        { building: 'Warehouse', level: 2 },
-        { building: 'Timber camp', level: 1 },
-        { building: 'Farm', level: 2 },
-        { building: 'Iron mine', level: 2 },
-        { building: 'Clay pit', level: 2 },
-        { building: 'Timber camp', level: 2 },
-        { building: 'Hiding place', level: 2 },
-        { building: 'Warehouse', level: 3 },
-        { building: 'Farm', level: 3 },
-        { building: 'Iron mine', level: 3 },
-        { building: 'Clay pit', level: 3 },
-        { building: 'Timber camp', level: 3 },
-        { building: 'Iron mine', level: 4 },
-        { building: 'Clay pit', level: 4 },
-        { building: 'Timber camp', level: 4 },
-        { building: 'Iron mine', level: 5 },
-        { building: 'Clay pit', level: 5 },
-        { building: 'Timber camp', level: 5 },
-        { building: 'Hiding place', level: 3 },
-        { building: 'Hiding place', level: 4 },
-        { building: 'Headquarters', level: 2 },
-        { building: 'Headquarters', level: 3 },
-        { building: 'Barracks', level: 1 },
-        { building: 'Hiding place', level: 5 },
-        { building: 'Warehouse', level: 4 },
-        { building: 'Warehouse', level: 5 },
-        { building: 'Wall', level: 1 },
-        { building: 'Wall', level: 2 },
-        { building: 'Wall', level: 3 },
-        { building: 'Market', level: 1 },
-        { building: 'Market', level: 2 },
-        { building: 'Statue', level: 1 },
-        { building: 'Farm', level: 4 },
-        { building: 'Farm', level: 5 },
-        { building: 'Timber camp', level: 6 },
-        { building: 'Clay pit', level: 6 },
-        { building: 'Iron mine', level: 6 },
-        { building: 'Timber camp', level: 7 },
-        { building: 'Clay pit', level: 7 },
-        { building: 'Iron mine', level: 7 },
-        { building: 'Timber camp', level: 8 },
-        { building: 'Clay pit', level: 8 },
-        { building: 'Iron mine', level: 8 },
-        { building: 'Timber camp', level: 9 },
-        { building: 'Clay pit', level: 9 },
-        { building: 'Iron mine', level: 9 },
-        { building: 'Timber camp', level: 10 },
-        { building: 'Clay pit', level: 10 },
-        { building: 'Iron mine', level: 10 },
-        { building: 'Timber camp', level: 11 },
-        { building: 'Clay pit', level: 11 },
-        { building: 'Timber camp', level: 12 },
-        { building: 'Clay pit', level: 12 },
-        { building: 'Iron mine', level: 11 },
-        { building: 'Timber camp', level: 13 },
-        { building: 'Clay pit', level: 13 },
-        { building: 'Warehouse', level: 6 },
-        { building: 'Timber camp', level: 14 },
-        { building: 'Clay pit', level: 14 },
-        { building: 'Iron mine', level: 12 },
-        { building: 'Warehouse', level: 7 },
-        { building: 'Timber camp', level: 15 },
-        { building: 'Clay pit', level: 15 },
-        { building: 'Iron mine', level: 13 },
-        { building: 'Warehouse', level: 8 },
-        { building: 'Timber camp', level: 16 },
-        { building: 'Clay pit', level: 16 },
-        { building: 'Iron mine', level: 14 },
-        { building: 'Warehouse', level: 9 },
-        { building: 'Timber camp', level: 17 },
-        { building: 'Clay pit', level: 17 },
-        { building: 'Iron mine', level: 15 },
-        { building: 'Warehouse', level: 10 },
-        { building: 'Farm', level: 6 },
-        { building: 'Timber camp', level: 18 },
-        { building: 'Clay pit', level: 18 },
-        { building: 'Iron mine', level: 16 },
-        { building: 'Warehouse', level: 11 },
-        { building: 'Timber camp', level: 19 },
-        { building: 'Clay pit', level: 19 },
-        { building: 'Iron mine', level: 17 },
-        { building: 'Warehouse', level: 12 },
-        { building: 'Timber camp', level: 20 },
-        { building: 'Clay pit', level: 20 },
-        { building: 'Iron mine', level: 18 },
-        { building: 'Barracks', level: 5 },
-        { building: 'Headquarters', level: 10 },
-        { building: 'Market', level: 10 },
-        { building: 'Warehouse', level: 13 },
-        { building: 'Smithy', level: 5 },
-        { building: 'Farm', level: 10 },
-        { building: 'Warehouse', level: 14 },
-        { building: 'Stable', level: 1 },
-        { building: 'Wall', level: 10 },
-        { building: 'Timber camp', level: 21 },
-        { building: 'Clay pit', level: 21 },
-        { building: 'Warehouse', level: 15 },
-        { building: 'Timber camp', level: 22 },
-        { building: 'Clay pit', level: 22 },
-        { building: 'Iron mine', level: 19 },
-        { building: 'Timber camp', level: 23 },
-        { building: 'Clay pit', level: 23 },
-        { building: 'Warehouse', level: 16 },
-        { building: 'Barracks', level: 17 },
-        { building: 'Timber camp', level: 24 },
-        { building: 'Clay pit', level: 24 },
-        { building: 'Iron mine', level: 20 },
-        { building: 'Warehouse', level: 17 },
-        { building: 'Timber camp', level: 25 },
-        { building: 'Clay pit', level: 25 },
-        { building: 'Iron mine', level: 21 },
-        { building: 'Warehouse', level: 18 },
-        { building: 'Timber camp', level: 26 },
-        { building: 'Clay pit', level: 26 },
-        { building: 'Iron mine', level: 22 },
-        { building: 'Warehouse', level: 19 },
-        { building: 'Timber camp', level: 27 },
-        { building: 'Clay pit', level: 27 },
-        { building: 'Iron mine', level: 23 },
-        { building: 'Headquarters', level: 20 },
-        { building: 'Warehouse', level: 20 },
-        { building: 'Timber camp', level: 28 },
-        { building: 'Clay pit', level: 28 },
-        { building: 'Iron mine', level: 24 },
-        { building: 'Warehouse', level: 21 },
-        { building: 'Timber camp', level: 29 },
-        { building: 'Clay pit', level: 29 },
-        { building: 'Iron mine', level: 25 },
-        { building: 'Warehouse', level: 22 },
-        { building: 'Warehouse', level: 23 },
-        { building: 'Timber camp', level: 30 },
-        { building: 'Clay pit', level: 30 },
-        { building: 'Iron mine', level: 26 },
-        { building: 'Wall', level: 15 },
-        { building: 'Smithy', level: 15 },
-        { building: 'Stable', level: 10 },
-        { building: 'Barracks', level: 21 },
-        { building: 'Iron mine', level: 30 },
-        { building: 'Smithy', level: 20 },
-        { building: 'Academy', level: 1 },
-        { building: 'Wall', level: 20 },
-        { building: 'Market', level: 15 },
-        { building: 'Headquarters', level: 4 },
-        { building: 'Headquarters', level: 5 },
-        { building: 'Headquarters', level: 6 },
-        { building: 'Headquarters', level: 7 },
-        { building: 'Headquarters', level: 8 },
-        { building: 'Headquarters', level: 9 },
-        { building: 'Headquarters', level: 11 },
-        { building: 'Headquarters', level: 12 },
-        { building: 'Headquarters', level: 13 },
-        { building: 'Headquarters', level: 14 },
-        { building: 'Headquarters', level: 15 },
-        { building: 'Headquarters', level: 16 },
-        { building: 'Headquarters', level: 17 },
-        { building: 'Headquarters', level: 18 },
-        { building: 'Headquarters', level: 19 },
-        { building: 'Barracks', level: 2 },
-        { building: 'Barracks', level: 3 },
-        { building: 'Barracks', level: 4 },
-        { building: 'Barracks', level: 6 },
-        { building: 'Barracks', level: 7 },
-        { building: 'Barracks', level: 8 },
-        { building: 'Barracks', level: 9 },
-        { building: 'Barracks', level: 10 },
-        { building: 'Barracks', level: 11 },
-        { building: 'Barracks', level: 12 },
-        { building: 'Barracks', level: 13 },
-        { building: 'Barracks', level: 14 },
-        { building: 'Barracks', level: 15 },
-        { building: 'Barracks', level: 16 },
-        { building: 'Barracks', level: 18 },
-        { building: 'Barracks', level: 19 },
-        { building: 'Barracks', level: 20 },
-        { building: 'Barracks', level: 22 },
-        { building: 'Barracks', level: 23 },
-        { building: 'Barracks', level: 24 },
-        { building: 'Barracks', level: 25 },
-        { building: 'Smithy', level: 1 },
-        { building: 'Smithy', level: 2 },
-        { building: 'Smithy', level: 3 },
-        { building: 'Smithy', level: 4 },
-        { building: 'Smithy', level: 6 },
-        { building: 'Smithy', level: 7 },
-        { building: 'Smithy', level: 8 },
-        { building: 'Smithy', level: 9 },
-        { building: 'Smithy', level: 10 },
-        { building: 'Smithy', level: 11 },
-        { building: 'Smithy', level: 12 },
-        { building: 'Smithy', level: 13 },
-        { building: 'Smithy', level: 14 },
-        { building: 'Smithy', level: 16 },
-        { building: 'Smithy', level: 17 },
-        { building: 'Smithy', level: 18 },
-        { building: 'Smithy', level: 19 },
-        { building: 'Wall', level: 4 },
-        { building: 'Wall', level: 5 },
-        { building: 'Wall', level: 6 },
-        { building: 'Wall', level: 7 },
-        { building: 'Wall', level: 8 },
-        { building: 'Wall', level: 9 },
-        { building: 'Wall', level: 11 },
-        { building: 'Wall', level: 12 },
-        { building: 'Wall', level: 13 },
-        { building: 'Wall', level: 14 },
-        { building: 'Wall', level: 16 },
-        { building: 'Wall', level: 17 },
-        { building: 'Wall', level: 18 },
-        { building: 'Wall', level: 19 },
-        { building: 'Stable', level: 2 },
-        { building: 'Stable', level: 3 },
-        { building: 'Stable', level: 4 },
-        { building: 'Stable', level: 5 },
-        { building: 'Stable', level: 6 },
-        { building: 'Stable', level: 7 },
-        { building: 'Stable', level: 8 },
-        { building: 'Stable', level: 9 },
-        { building: 'Market', level: 3 },
-        { building: 'Market', level: 4 },
-        { building: 'Market', level: 5 },
-        { building: 'Market', level: 6 },
-        { building: 'Market', level: 7 },
-        { building: 'Market', level: 8 },
-        { building: 'Market', level: 9 },
-        { building: 'Market', level: 11 },
-        { building: 'Market', level: 12 },
-        { building: 'Market', level: 13 },
-        { building: 'Market', level: 14 },
-        { building: 'Farm', level: 7 },
-        { building: 'Farm', level: 8 },
-        { building: 'Farm', level: 9 },
-        { building: 'Warehouse', level: 24 },
-        { building: 'Warehouse', level: 25 },
-        { building: 'Warehouse', level: 26 },
-        { building: 'Warehouse', level: 27 },
-        { building: 'Warehouse', level: 28 },
-        { building: 'Warehouse', level: 29 },
-        { building: 'Warehouse', level: 30 },
-        { building: 'Iron mine', level: 27 },
-        { building: 'Iron mine', level: 28 },
-        { building: 'Iron mine', level: 29 }
-      ],
-      WAREHOUSE: [
-        { building: 'Warehouse', level: 1 },
-        { building: 'Warehouse', level: 2 },
-        { building: 'Warehouse', level: 3 },
-        { building: 'Warehouse', level: 4 },
-        { building: 'Warehouse', level: 5 },
-        { building: 'Warehouse', level: 6 },
-        { building: 'Warehouse', level: 7 },
-        { building: 'Warehouse', level: 8 },
-        { building: 'Warehouse', level: 9 },
-        { building: 'Warehouse', level: 10 },
-        { building: 'Warehouse', level: 11 },
-        { building: 'Warehouse', level: 12 },
-        { building: 'Warehouse', level: 13 },
-        { building: 'Warehouse', level: 14 },
-        { building: 'Warehouse', level: 15 },
-        { building: 'Warehouse', level: 16 },
-        { building: 'Warehouse', level: 17 },
-        { building: 'Warehouse', level: 18 },
-        { building: 'Warehouse', level: 19 },
-        { building: 'Warehouse', level: 20 },
-        { building: 'Warehouse', level: 21 },
-        { building: 'Warehouse', level: 22 },
-        { building: 'Warehouse', level: 23 },
-        { building: 'Warehouse', level: 24 },
-        { building: 'Warehouse', level: 25 },
-        { building: 'Warehouse', level: 26 },
-        { building: 'Warehouse', level: 27 },
-        { building: 'Warehouse', level: 28 },
-        { building: 'Warehouse', level: 29 },
-        { building: 'Warehouse', level: 30 }
-      ],
-      RESOURCES: [
-        { building: 'Timber camp', level: 1 },
-        { building: 'Clay pit', level: 1 },
-        { building: 'Iron mine', level: 1 },
-        { building: 'Timber camp', level: 2 },
-        { building: 'Clay pit', level: 2 },
-        { building: 'Iron mine', level: 2 },
-        { building: 'Timber camp', level: 3 },
-        { building: 'Clay pit', level: 3 },
-        { building: 'Iron mine', level: 3 },
-        { building: 'Timber camp', level: 4 },
-        { building: 'Clay pit', level: 4 },
-        { building: 'Iron mine', level: 4 },
-        { building: 'Timber camp', level: 5 },
-        { building: 'Clay pit', level: 5 },
-        { building: 'Iron mine', level: 5 },
-        { building: 'Timber camp', level: 6 },
-        { building: 'Clay pit', level: 6 },
-        { building: 'Iron mine', level: 6 },
-        { building: 'Timber camp', level: 7 },
-        { building: 'Clay pit', level: 7 },
-        { building: 'Iron mine', level: 7 },
-        { building: 'Timber camp', level: 8 },
-        { building: 'Clay pit', level: 8 },
-        { building: 'Iron mine', level: 8 },
-        { building: 'Timber camp', level: 9 },
-        { building: 'Clay pit', level: 9 },
-        { building: 'Iron mine', level: 9 },
-        { building: 'Timber camp', level: 10 },
-        { building: 'Clay pit', level: 10 },
-        { building: 'Iron mine', level: 10 }
-      ],
-      NOBLE: [
-        { building: 'Headquarters', level: 1 },
-        { building: 'Headquarters', level: 2 },
-        { building: 'Headquarters', level: 3 },
-        { building: 'Headquarters', level: 4 },
-        { building: 'Headquarters', level: 5 },
-        { building: 'Headquarters', level: 6 },
-        { building: 'Headquarters', level: 7 },
-        { building: 'Headquarters', level: 8 },
-        { building: 'Headquarters', level: 9 },
-        { building: 'Headquarters', level: 10 },
-        { building: 'Headquarters', level: 11 },
-        { building: 'Headquarters', level: 12 },
-        { building: 'Headquarters', level: 13 },
-        { building: 'Headquarters', level: 14 },
-        { building: 'Headquarters', level: 15 },
-        { building: 'Headquarters', level: 16 },
-        { building: 'Headquarters', level: 17 },
-        { building: 'Headquarters', level: 18 },
-        { building: 'Headquarters', level: 19 },
-        { building: 'Headquarters', level: 20 },
-        { building: 'Smithy', level: 1 },
-        { building: 'Smithy', level: 2 },
-        { building: 'Smithy', level: 3 },
-        { building: 'Smithy', level: 4 },
-        { building: 'Smithy', level: 5 },
-        { building: 'Smithy', level: 6 },
-        { building: 'Smithy', level: 7 },
-        { building: 'Smithy', level: 8 },
-        { building: 'Smithy', level: 9 },
-        { building: 'Smithy', level: 10 },
-        { building: 'Smithy', level: 11 },
-        { building: 'Smithy', level: 12 },
-        { building: 'Smithy', level: 13 },
-        { building: 'Smithy', level: 14 },
-        { building: 'Smithy', level: 15 },
-        { building: 'Smithy', level: 16 },
-        { building: 'Smithy', level: 17 },
-        { building: 'Smithy', level: 18 },
-        { building: 'Smithy', level: 19 },
-        { building: 'Smithy', level: 20 },
-        { building: 'Academy', level: 1 }
-      ]
-    };
+  getVillageParam() {
+    return this.villageId ? `village=${this.villageId}&` : '';
+  }
+
+  /**
+   * 🆕 TRANSPORT - Uloží suroviny chybějící na další stavbu vesnice (null = nic nechybí)
+   * Jen pro vesnice se známým ID - TransportModule potřebuje jejich souřadnice
+   */
+  saveBuildingNeeds(needs) {
+    if (!this.villageId) return;
+
+    try {
+      this.db.setVillageBuildingNeeds(this.accountId, this.villageId, needs);
+    } catch (error) {
+      logger.error('Chyba při ukládání chybějících surovin', this.getAccountName(), error);
+    }
+  }
+
+  /**
+   * 🆕 Uloží úrovně budov vesnice do databáze (pro plánovač výstavby)
+   * Jen pro vesnice se známým ID
+   */
+  saveBuildingLevels(buildings) {
+    if (!this.villageId || !buildings) return;
+
+    const levels = {};
+    for (const building of buildings) {
+      const internalName = this.getBuildingInternalName(building.name);
+      if (BUILDINGS[internalName]) levels[internalName] = building.level;
+    }
+
+    try {
+      this.db.updateVillageBuildings(this.accountId, this.villageId, levels);
+    } catch (error) {
+      logger.error('Chyba při ukládání úrovní budov', this.getAccountName(), error);
+    }
+  }
+
+  /**
+   * 🆕 Načte šablonu výstavby z databáze (šablona vesnice, jinak účtu)
+   * @param {string|null} templateName - ID šablony (null = podle nastavení účtu/vesnice)
+   * @returns {{steps: Array<{building: string, level: number, parallel: boolean}>, skipAheadMinutes: number}|null}
+   *   Kroky s anglickými názvy budov, skipAheadMinutes = po jak dlouhém čekání přeskočit na levnější krok (0 = nikdy)
+   */
+  loadTemplate(templateName = null) {
+    const templateId = templateName || this.db.getBuildingSettings(this.accountId, this.villageId)?.template;
+    const template = templateId ? this.db.getTemplate('building', templateId) : null;
+    if (!template) return null;
+
+    const steps = (template.steps || [])
+      .filter(step => BUILDINGS[step.building])
+      .map(step => ({
+        building: BUILDINGS[step.building].name,
+        level: Number(step.level),
+        parallel: step.parallel === true
+      }));
+
+    return { steps, skipAheadMinutes: Number(template.skip_ahead_minutes) || 0 };
   }
 
   /**
@@ -423,8 +131,9 @@ class BuildingModule {
 
   /**
    * Získá aktuální úrovně budov VČETNĚ těch ve frontě
+   * @param {boolean} refresh - Znovu načíst stránku (po zadání stavby se HTML neaktualizuje)
    */
-  async getCurrentBuildings() {
+  async getCurrentBuildings(refresh = false) {
     try {
       const currentUrl = this.page.url();
       
@@ -439,11 +148,12 @@ class BuildingModule {
       
       if (!worldUrl) return null;
 
-      if (!currentUrl.includes('screen=main')) {
+      const inVillage = !this.villageId || currentUrl.includes(`village=${this.villageId}`);
+      if (refresh || !currentUrl.includes('screen=main') || !inVillage) {
         // Human delay před navigací
         await humanDelay(1000, 2000);
 
-        await this.page.goto(`${worldUrl}/game.php?screen=main`, {
+        await this.page.goto(`${worldUrl}/game.php?${this.getVillageParam()}screen=main`, {
           waitUntil: 'networkidle',
           timeout: 30000
         });
@@ -610,6 +320,8 @@ class BuildingModule {
         return buildingsList;
       });
 
+      this.saveBuildingLevels(buildings);
+
       return buildings;
     } catch (error) {
       logger.error('Chyba při zjišťování budov', this.getAccountName(), error);
@@ -631,11 +343,14 @@ class BuildingModule {
           return { hasQueue: false, buildings: [] };
         }
 
-        const rows = buildQueue.querySelectorAll('tr');
+        // 🆕 Řádky fronty mají třídu buildorder_<budova>, starší rozhraní ne
+        const orderRows = buildQueue.querySelectorAll('tr[class*="buildorder_"]');
+        const rows = orderRows.length > 0 ? orderRows : buildQueue.querySelectorAll('tr');
+        const skip = orderRows.length > 0 ? 0 : 2;
         const buildings = [];
 
         rows.forEach((row, index) => {
-          if (index < 2) return;
+          if (index < skip) return;
 
           try {
             const firstTd = row.querySelector('td:first-child');
@@ -645,11 +360,16 @@ class BuildingModule {
               const name = firstTd.textContent.trim();
               const timeSpan = secondTd.querySelector('span');
               const time = timeSpan ? timeSpan.textContent.trim() : secondTd.textContent.trim();
+
+              // 🆕 Konec stavby (unix čas v sekundách) - odpočet má data-endtime
+              const endSpan = row.querySelector('span[data-endtime]');
+              const endTime = endSpan ? parseInt(endSpan.getAttribute('data-endtime')) : null;
               
               if (name && time) {
                 buildings.push({
                   name: name,
-                  time: time
+                  time: time,
+                  finishAt: endTime ? endTime * 1000 : null
                 });
               }
             }
@@ -671,6 +391,26 @@ class BuildingModule {
     }
   }
 
+  /**
+   * 🆕 Kolik budov může být najednou ve frontě
+   * Premium (premium_active z AccountInfoModule) má 5 míst, jinak 1 (bez příplatku za další místa)
+   */
+  getQueueSize() {
+    const account = this.db.getAccount(this.accountId);
+    return account?.premium_active ? this.PREMIUM_QUEUE_SIZE : this.BASE_QUEUE_SIZE;
+  }
+
+  /**
+   * 🆕 Za jak dlouho se uvolní místo ve frontě - nejdřív dokončená stavba
+   */
+  getQueueWaitTime(queueInfo) {
+    const now = Date.now();
+    const remaining = queueInfo.buildings.map(building =>
+      building.finishAt ? Math.max(0, building.finishAt - now) : this.parseTimeToMs(building.time)
+    );
+    return Math.max(60 * 1000, Math.min(...remaining));
+  }
+
   /**
    * Parsuje čas do milisekund
    */
@@ -820,6 +560,88 @@ class BuildingModule {
     }
   }
 
+  /**
+   * 🆕 Zjistí cenu budovy, suroviny a produkci vesnice
+   * @returns {Promise<{canBuild: boolean, reason?: string, cost?: object, needed?: object, waitTime: number|null}>}
+   *   waitTime = za kolik ms budou suroviny (0 = hned, null = nelze určit)
+   */
+  async getResourceStatus(internalName) {
+    try {
+      const status = await this.page.evaluate((internalName) => {
+        const buildRow = document.getElementById(`main_buildrow_${internalName}`);
+        if (!buildRow) return { found: false, reason: 'Budova nenalezena' };
+
+        const woodElement = buildRow.querySelector('.cost_wood');
+        const stoneElement = buildRow.querySelector('.cost_stone');
+        const ironElement = buildRow.querySelector('.cost_iron');
+
+        if (!woodElement || !stoneElement || !ironElement) {
+          return { found: false, reason: 'Nelze zjistit cenu' };
+        }
+
+        // Produkce za sekundu (game_data.village.*_prod)
+        const village = (typeof game_data !== 'undefined' && game_data.village) || {};
+
+        return {
+          found: true,
+          cost: {
+            wood: parseInt(woodElement.getAttribute('data-cost')) || 0,
+            stone: parseInt(stoneElement.getAttribute('data-cost')) || 0,
+            iron: parseInt(ironElement.getAttribute('data-cost')) || 0
+          },
+          resources: {
+            wood: parseInt(document.getElementById('wood').textContent.replace(/\./g, '')) || 0,
+            stone: parseInt(document.getElementById('stone').textContent.replace(/\./g, '')) || 0,
+            iron: parseInt(document.getElementById('iron').textContent.replace(/\./g, '')) || 0
+          },
+          production: {
+            wood: parseFloat(village.wood_prod) || 0,
+            stone: parseFloat(village.stone_prod) || 0,
+            iron: parseFloat(village.iron_prod) || 0
+          }
+        };
+      }, internalName);
+
+      if (!status.found) {
+        return { canBuild: false, reason: status.reason, waitTime: null };
+      }
+
+      const needed = {};
+      let waitSeconds = 0;
+
+      for (const res of ['wood', 'stone', 'iron']) {
+        needed[res] = Math.max(0, status.cost[res] - status.resources[res]);
+        if (needed[res] === 0) continue;
+
+        waitSeconds = status.production[res] > 0
+          ? Math.max(waitSeconds, needed[res] / status.production[res])
+          : Infinity;
+      }
+
+      if (waitSeconds === 0) {
+        return { canBuild: true, cost: status.cost, waitTime: 0 };
+      }
+
+      return {
+        canBuild: false,
+        reason: 'Nedostatek surovin',
+        cost: status.cost,
+        needed,
+        waitTime: Number.isFinite(waitSeconds) ? Math.ceil(waitSeconds * 1000) : null
+      };
+    } catch (error) {
+      logger.error('Chyba při kontrole surovin', this.getAccountName(), error);
+      return { canBuild: false, reason: error.message, waitTime: null };
+    }
+  }
+
+  /**
+   * 🆕 Čas čekání na suroviny pro plánovač (rezerva navíc, shora omezený)
+   */
+  clampResourceWait(waitTime) {
+    return Math.min(waitTime + this.RESOURCE_WAIT_BUFFER, this.MAX_RESOURCE_WAIT);
+  }
+
   /**
    * Postaví budovu
    */
@@ -845,44 +667,25 @@ class BuildingModule {
         }
       }, internalName);
 
-      const canBuild = await this.page.evaluate((internalName) => {
-        const buildRow = document.getElementById(`main_buildrow_${internalName}`);
-        if (!buildRow) return { canBuild: false, reason: 'Budova nenalezena' };
-
-        const woodElement = buildRow.querySelector('.cost_wood');
-        const stoneElement = buildRow.querySelector('.cost_stone');
-        const ironElement = buildRow.querySelector('.cost_iron');
+      const canBuild = await this.getResourceStatus(internalName);
 
-        if (!woodElement || !stoneElement || !ironElement) {
-          return { canBuild: false, reason: 'Nelze zjistit cenu' };
+      if (!canBuild.canBuild) {
+        // 🆕 TRANSPORT - Zapamatuj si, co chybí (TransportModule to může dovézt z jiné vesnice)
+        if (canBuild.needed) {
+          this.saveBuildingNeeds({ building: buildingName, level, ...canBuild.needed });
         }
 
-        const woodCost = parseInt(woodElement.getAttribute('data-cost')) || 0;
-        const stoneCost = parseInt(stoneElement.getAttribute('data-cost')) || 0;
-        const ironCost = parseInt(ironElement.getAttribute('data-cost')) || 0;
-
-        const currentWood = parseInt(document.getElementById('wood').textContent.replace(/\./g, '')) || 0;
-        const currentStone = parseInt(document.getElementById('stone').textContent.replace(/\./g, '')) || 0;
-        const currentIron = parseInt(document.getElementById('iron').textContent.replace(/\./g, '')) || 0;
-
-        if (currentWood < woodCost || currentStone < stoneCost || currentIron < ironCost) {
-          return {
-            canBuild: false,
-            reason: 'Nedostatek surovin',
-            needed: {
-              wood: Math.max(0, woodCost - currentWood),
-              stone: Math.max(0, stoneCost - currentStone),
-              iron: Math.max(0, ironCost - currentIron)
-            }
-          };
-        }
+        // Tichý fail - nedostatek surovin je normální
+        // 🆕 Čekej přesně do chvíle, kdy budou suroviny (bez produkce / neznámá cena → 15 min ±3 min)
+        const waitTime = canBuild.waitTime !== null
+          ? this.clampResourceWait(canBuild.waitTime)
+          : randomizeInterval(15 * 60 * 1000, 3 * 60 * 1000);
 
-        return { canBuild: true };
-      }, internalName);
+        if (canBuild.needed) {
+          console.log(`⏳ [${this.getAccountName()}] ${buildingName} ${level}: chybí suroviny, další pokus za ${Math.ceil(waitTime / 60000)} min`);
+        }
 
-      if (!canBuild.canBuild) {
-        // Tichý fail - nedostatek surovin je normální
-        return { success: false, reason: canBuild.reason, waitTime: randomizeInterval(15 * 60 * 1000, 3 * 60 * 1000) }; // 15 min ±3 min
+        return { success: false, reason: canBuild.reason, needed: canBuild.needed, waitTime };
       }
 
       const gameData = await this.page.evaluate(() => {
@@ -917,6 +720,7 @@ class BuildingModule {
       }
 
       if (result.response && result.response.success) {
+        this.saveBuildingNeeds(null);
         await humanDelay(1500, 3000);
 
         // Použij čas z tabulky (získaný PŘED kliknutím)
@@ -964,111 +768,198 @@ class BuildingModule {
     }
   }
 
+  /**
+   * 🆕 Vybere další stavbu - selský dvůr (populace < 10 %), skladiště (cena se nevejde) nebo krok šablony
+   * @returns {Promise<{building: string, level: number, parallel: boolean, reason: string|null}|null>} null = šablona je hotová
+   */
+  async selectNextBuild(template, currentBuildings) {
+    const steps = template.steps;
+
+    // 🆕 KONTROLA POPULACE (GLOBÁLNÍ)
+    const popCheck = await this.checkPopulation();
+    const now = Date.now();
+
+    // Priorita 1: Populace < 10%
+    if (popCheck.needsFarm && now - this.lastFarmAttempt >= this.attemptCooldown) {
+      const farm = currentBuildings.find(b =>
+        b.name.includes('Farm') ||
+        b.name.includes('Selský dvůr') ||
+        b.name.includes('Sedliacky dvor')
+      );
+
+      this.lastFarmAttempt = now;
+      return { building: 'Farm', level: (farm?.level || 0) + 1, parallel: false, reason: 'farm' };
+    }
+
+    // Normální šablona - ZKONTROLUJ SKLAD PRO KAŽDOU BUDOVU
+    for (const [index, item] of steps.entries()) {
+      const existing = currentBuildings.find(b =>
+        b.name.includes(item.building) || item.building.includes(b.name)
+      );
+
+      if (!existing || existing.level < item.level) {
+        // 🆕 KONTROLA SKLADU PRO TUTO KONKRÉTNÍ BUDOVU
+        const internalName = this.getBuildingInternalName(item.building);
+        const needsWarehouse = await this.checkWarehouseForBuilding(internalName);
+
+        if (needsWarehouse) {
+          // Zkontroluj cooldown
+          if (now - this.lastWarehouseAttempt < this.attemptCooldown) {
+            continue; // Přeskoč tuto budovu a zkus další
+          }
+
+          const warehouse = currentBuildings.find(b =>
+            b.name.includes('Warehouse') ||
+            b.name.includes('Skladiště') ||
+            b.name.includes('Sklad')
+          );
+
+          this.lastWarehouseAttempt = now;
+          return { building: 'Warehouse', level: (warehouse?.level || 0) + 1, parallel: false, reason: 'warehouse' };
+        }
+
+        // 🆕 Krok čeká na suroviny moc dlouho - zkus levnější krok dál v šabloně
+        if (template.skipAheadMinutes > 0) {
+          const status = await this.getResourceStatus(internalName);
+          const limit = template.skipAheadMinutes * 60 * 1000;
+
+          if (!status.canBuild && (status.waitTime === null || status.waitTime > limit)) {
+            const cheaper = await this.findAffordableStep(steps.slice(index + 1), currentBuildings, item.building);
+            if (cheaper) {
+              console.log(`⏭️  [${this.getAccountName()}] ${item.building} čeká na suroviny ${status.waitTime !== null ? Math.ceil(status.waitTime / 60000) + ' min' : '(bez produkce)'}, stavím dřív ${cheaper.building} ${cheaper.level}`);
+              return cheaper;
+            }
+          }
+        }
+
+        // Pokud sklad není problém, postav krok šablony (úrovně ve frontě už jsou započítané)
+        return { building: item.building, level: (existing?.level || 0) + 1, parallel: item.parallel, reason: null };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 🆕 První nehotový krok z dalších kroků šablony, na který jsou suroviny hned
+   * (jiná budova než zablokovaný krok, bez potřeby většího skladu)
+   */
+  async findAffordableStep(steps, currentBuildings, blockedBuilding) {
+    const checked = new Set([blockedBuilding]);
+
+    for (const item of steps) {
+      if (checked.has(item.building)) continue;
+
+      const existing = currentBuildings.find(b =>
+        b.name.includes(item.building) || item.building.includes(b.name)
+      );
+      if (existing && existing.level >= item.level) continue;
+
+      // Každou budovu stačí zkontrolovat jednou (další úroveň je vždy existing + 1)
+      checked.add(item.building);
+
+      const internalName = this.getBuildingInternalName(item.building);
+      if (await this.checkWarehouseForBuilding(internalName)) continue;
+
+      const status = await this.getResourceStatus(internalName);
+      if (status.canBuild) {
+        return { building: item.building, level: (existing?.level || 0) + 1, parallel: item.parallel, reason: 'skip' };
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Hlavní funkce - spustí výstavbu podle šablony
+   * 🆕 Plní frontu až do její velikosti (premium) dalšími kroky šablony v pořadí. Když na další
+   * krok nejsou suroviny, zkusí ještě krok označený v šabloně jako parallel (mimo pořadí).
+   * @param {string|null} templateName - ID šablony (null = building_template účtu/vesnice z DB)
    */
-  async startBuilding(templateName) {
+  async startBuilding(templateName = null) {
     try {
-      const templates = this.getTemplates();
-      const template = templates[templateName];
+      const template = this.loadTemplate(templateName);
 
       if (!template) {
-        logger.error(`Šablona ${templateName} neexistuje`, this.getAccountName());
+        logger.error(`Šablona ${templateName || '(podle účtu)'} neexistuje`, this.getAccountName());
         return { success: false, waitTime: randomizeInterval(15 * 60 * 1000, 3 * 60 * 1000) }; // 15 min ±3 min
       }
 
       await this.collectAllRewards();
 
-      const currentBuildings = await this.getCurrentBuildings();
-      if (!currentBuildings) {
-        logger.error(`Nepodařilo se získat aktuální budovy`, this.getAccountName());
-        return { success: false, waitTime: randomizeInterval(15 * 60 * 1000, 3 * 60 * 1000) }; // 15 min ±3 min
-      }
+      const queueSize = this.getQueueSize();
+      let built = 0;
 
-      const queueInfo = await this.checkBuildQueue();
+      while (true) {
+        // Po zadání stavby je potřeba stránku načíst znovu (fronta a úrovně)
+        const currentBuildings = await this.getCurrentBuildings(built > 0);
+        if (!currentBuildings) {
+          logger.error(`Nepodařilo se získat aktuální budovy`, this.getAccountName());
+          return { success: false, waitTime: randomizeInterval(15 * 60 * 1000, 3 * 60 * 1000) }; // 15 min ±3 min
+        }
 
-      if (queueInfo.hasQueue && queueInfo.buildings.length > 0) {
-        // Sečti VŠECHNY budovy ve frontě
-        const totalWaitTime = queueInfo.buildings.reduce((sum, building) => {
-          return sum + this.parseTimeToMs(building.time);
-        }, 0);
+        const queueInfo = await this.checkBuildQueue();
+        const queued = queueInfo.buildings.length;
+        const queueWaitTime = queued > 0 ? this.getQueueWaitTime(queueInfo) : null;
 
-        const totalMinutes = Math.ceil(totalWaitTime / 60000);
-        console.log(`📊 [${this.getAccountName()}] Fronta: ${queueInfo.buildings.length} budov, celkem ${totalMinutes} min`);
+        if (queued >= queueSize) {
+          console.log(`📊 [${this.getAccountName()}] Fronta: ${queued}/${queueSize} budov, další místo za ${Math.ceil(queueWaitTime / 60000)} min`);
+          return { success: true, waitTime: queueWaitTime };
+        }
 
-        return { success: true, waitTime: totalWaitTime };
-      }
+        const next = await this.selectNextBuild(template, currentBuildings);
 
-      // 🆕 KONTROLA POPULACE (GLOBÁLNÍ)
-      const popCheck = await this.checkPopulation();
-      const now = Date.now();
+        if (!next) {
+          if (queued > 0) {
+            return { success: true, waitTime: queueWaitTime };
+          }
 
-      // Priorita 1: Populace < 10%
-      if (popCheck.needsFarm) {
-        if (now - this.lastFarmAttempt < this.attemptCooldown) {
-          // Cooldown - skip for now
-        } else {
-          const farm = currentBuildings.find(b =>
-            b.name.includes('Farm') ||
-            b.name.includes('Selský dvůr') ||
-            b.name.includes('Sedliacky dvor')
-          );
-          const nextLevel = (farm?.level || 0) + 1;
+          // Šablona je hotová - vesnice už nic nepotřebuje
+          this.saveBuildingNeeds(null);
+          return { success: true, waitTime: 30 * 60 * 1000 };
+        }
 
-          this.lastFarmAttempt = now;
+        let buildResult = await this.buildBuilding(next.building, next.level);
 
-          const buildResult = await this.buildBuilding('Farm', nextLevel);
+        // Na další krok nejsou suroviny - krok s parallel smí jít mimo pořadí
+        if (!buildResult.success && next.reason === null) {
+          const parallelStep = await this.findAffordableStep(
+            template.steps.filter(step => step.parallel),
+            currentBuildings,
+            next.building
+          );
 
-          if (buildResult.success) {
-            this.lastFarmAttempt = 0;
-          }
+          if (parallelStep) {
+            console.log(`∥ [${this.getAccountName()}] ${next.building} ${next.level} čeká na suroviny, stavím mimo pořadí ${parallelStep.building} ${parallelStep.level}`);
+            const blocked = buildResult;
+            buildResult = await this.buildBuilding(parallelStep.building, parallelStep.level);
 
-          return buildResult;
+            // Chybějící suroviny patří kroku v pořadí - stavba mimo pořadí je nesmí přepsat ani smazat
+            if (blocked.needed) {
+              this.saveBuildingNeeds({ building: next.building, level: next.level, ...blocked.needed });
+            }
+          }
         }
-      }
 
-      // Normální šablona - ZKONTROLUJ SKLAD PRO KAŽDOU BUDOVU
-      for (const item of template) {
-        const existing = currentBuildings.find(b =>
-          b.name.includes(item.building) || item.building.includes(b.name)
-        );
-
-        if (!existing || existing.level < item.level) {
-          // 🆕 KONTROLA SKLADU PRO TUTO KONKRÉTNÍ BUDOVU
-          const internalName = this.getBuildingInternalName(item.building);
-          const needsWarehouse = await this.checkWarehouseForBuilding(internalName);
-
-          if (needsWarehouse) {
-            // Zkontroluj cooldown
-            if (now - this.lastWarehouseAttempt < this.attemptCooldown) {
-              continue; // Přeskoč tuto budovu a zkus další
-            } else {
-              const warehouse = currentBuildings.find(b =>
-                b.name.includes('Warehouse') ||
-                b.name.includes('Skladiště') ||
-                b.name.includes('Sklad')
-              );
-              const nextLevel = (warehouse?.level || 0) + 1;
-
-              this.lastWarehouseAttempt = now;
-
-              const buildResult = await this.buildBuilding('Warehouse', nextLevel);
-
-              if (buildResult.success) {
-                this.lastWarehouseAttempt = 0;
-              }
+        if (buildResult.success) {
+          if (next.reason === 'farm') this.lastFarmAttempt = 0;
+          if (next.reason === 'warehouse') this.lastWarehouseAttempt = 0;
+        } else {
+          // Nejde postavit (suroviny) - vzbuď se při dokončení stavby ve frontě, pokud je dřív
+          return queued > 0
+            ? { ...buildResult, success: true, waitTime: Math.min(queueWaitTime, buildResult.waitTime) }
+            : buildResult;
+        }
 
-              return buildResult;
-            }
-          }
+        built++;
 
-          // Pokud sklad není problém, zkus postavit budovu
-          const buildResult = await this.buildBuilding(item.building, item.level);
-          return buildResult;
+        if (queued + 1 >= queueSize) {
+          // Fronta je plná - probuzení při dokončení první stavby
+          return { success: true, waitTime: queued > 0 ? Math.min(queueWaitTime, buildResult.waitTime) : buildResult.waitTime };
         }
-      }
 
-      return { success: true, waitTime: 30 * 60 * 1000 };
+        await humanDelay(1500, 3000);
+      }
 
     } catch (error) {
       logger.error(`Chyba při výstavbě`, this.getAccountName(), error);
@@ -0,0 +1,325 @@
+/**
+ * 🆕 Modul pro farmení barbarských vesnic (jako farmářský asistent)
+ *
+ * Z hlavní vesnice účtu (coord_x/coord_y) udržuje seznam barbarských vesnic v okolí
+ * (z dat světa - world_villages, obnovuje se jednou denně), posílá na ně útoky přes nádvoří podle šablon
+ * z nastavení účtu (farm_config - A, po plné kořisti B) a z reportů útoků (ReportsModule) zapisuje
+ * ke každému cíli kořist a ztráty. Cíle, na kterých útočníci umírají, se s disable_on_losses vyřadí.
+ * 🆕 Cíle, kde zvědové naposledy viděli vysokou hradbu nebo obránce (village_intel), se vynechávají.
+ */
+
+import logger from '../logger.js';
+import { humanDelay } from '../utils/randomize.js';
+import ReportsModule from './reports.js';
+import { importWorldData, isWorldDataStale } from '../worldData.js';
+
+class FarmModule {
+  constructor(page, db, accountId) {
+    this.page = page;
+    this.db = db;
+    this.accountId = accountId;
+    this.accountName = null;
+
+    this.WAIT_TIME = 15 * 60 * 1000;
+    this.LIST_REFRESH = 24 * 60 * 60 * 1000; // Seznam barbarek se obnovuje jednou denně
+  }
+
+  /**
+   * Získá username pro logging
+   */
+  getAccountName() {
+    if (!this.accountName) {
+      const account = this.db.getAccount(this.accountId);
+      this.accountName = account?.username || `ID:${this.accountId}`;
+    }
+    return this.accountName;
+  }
+
+  /**
+   * Získá URL světa (podporuje CZ i SK)
+   */
+  getWorldUrl() {
+    const currentUrl = this.page.url();
+
+    // Zkus najít CZ svět
+    let match = currentUrl.match(/\/\/([^.]+)\.divokekmeny\.cz/);
+    if (match) {
+      return `https://${match[1]}.divokekmeny.cz`;
+    }
+
+    // Zkus najít SK svět
+    match = currentUrl.match(/\/\/([^.]+)\.divoke-kmene\.sk/);
+    if (match) {
+      return `https://${match[1]}.divoke-kmene.sk`;
+    }
+
+    throw new Error('Nepodařilo se zjistit svět (ani CZ ani SK)');
+  }
+
+  /**
+   * Hlavní metoda modulu
+   */
+  async execute() {
+    try {
+      const settings = this.db.getFarmSettings(this.accountId);
+      if (!settings) {
+        throw new Error(`Účet s ID ${this.accountId} nebyl nalezen`);
+      }
+
+      const account = this.db.getAccount(this.accountId);
+      if (!account.village_id || account.coord_x === null || account.coord_y === null) {
+        console.log(`⚠️  [${this.getAccountName()}] Farmení: Neznámé souřadnice hlavní vesnice - čekám na AccountInfo`);
+        return { success: false, sent: 0, waitTime: this.WAIT_TIME };
+      }
+
+      const { config, status } = settings;
+      const worldUrl = this.getWorldUrl();
+
+      // 1. Seznam barbarek v okolí
+      const listAge = status.list_updated_at ? Date.now() - new Date(status.list_updated_at).getTime() : Infinity;
+      if (listAge >= this.LIST_REFRESH || status.radius !== config.radius || status.max_points !== config.max_points) {
+        await this.refreshTargets(worldUrl, account, config);
+      }
+
+      // 2. Kořist a ztráty z nových reportů
+      const reports = await this.readReports(account, config, status.last_report_id || 0);
+
+      // 3. Útoky
+      const sent = await this.sendRaids(worldUrl, account, config);
+
+      const targets = this.db.getFarmTargets(this.accountId);
+      this.db.updateFarmStatus(this.accountId, {
+        last_run_at: new Date().toISOString(),
+        sent,
+        reports,
+        targets: targets.length,
+        disabled: targets.filter(target => !target.enabled).length,
+        error: null
+      });
+
+      console.log(`🌾 [${this.getAccountName()}] Farmení: odesláno ${sent} útoků, ${reports} nových reportů, ${targets.length} cílů`);
+
+      return { success: true, sent, reports, waitTime: this.WAIT_TIME };
+
+    } catch (error) {
+      logger.error('Chyba při farmení', this.getAccountName(), error);
+      this.db.updateFarmStatus(this.accountId, { error: error.message });
+      return { success: false, error: error.message, waitTime: this.WAIT_TIME };
+    }
+  }
+
+  /**
+   * Obnoví seznam barbarských vesnic v okolí hlavní vesnice z dat světa
+   * (starší než den = nejdřív znovu importuje mapu světa, viz worldData.js)
+   */
+  async refreshTargets(worldUrl, account, config) {
+    if (isWorldDataStale(this.db, account.world, this.LIST_REFRESH)) {
+      await importWorldData(this.db, account.world, `${worldUrl}/map`);
+    }
+
+    const targets = this.db.getWorldVillages(account.world, {
+      playerId: 0,
+      maxPoints: config.max_points,
+      x: account.coord_x,
+      y: account.coord_y,
+      radius: config.radius
+    }).map(village => ({ ...village, id: village.village_id }));
+
+    this.db.syncFarmTargets(this.accountId, targets);
+    this.db.updateFarmStatus(this.accountId, {
+      list_updated_at: new Date().toISOString(),
+      radius: config.radius,
+      max_points: config.max_points
+    });
+
+    console.log(`🗺️  [${this.getAccountName()}] Farmení: ${targets.length} barbarských vesnic do ${config.radius} políček`);
+  }
+
+  /**
+   * Načte nové reporty útoků (ReportsModule) a ty z hlavní vesnice zapíše k cílům
+   * @returns {number} Počet reportů zapsaných k cílům farmení
+   */
+  async readReports(account, config, lastReportId) {
+    await new ReportsModule(this.page, this.db, this.accountId).execute('attack');
+
+    const reports = this.db.getReports({ accountId: this.accountId, type: 'attack', afterId: lastReportId, limit: 1000 })
+      .reverse();
+
+    let recorded = 0;
+
+    for (const report of reports) {
+      // Jen útoky z hlavní vesnice
+      if (report.attacker_village_id === account.village_id && report.defender_village_id) {
+        const losses = Object.values(report.attacker?.losses || {}).reduce((sum, count) => sum + count, 0);
+        const farmReport = {
+          id: report.report_id,
+          targetId: report.defender_village_id,
+          result: report.result,
+          loot: report.loot,
+          full: report.full,
+          losses
+        };
+
+        if (this.db.recordFarmReport(this.accountId, farmReport, config.disable_on_losses)) {
+          recorded++;
+          if (losses > 0 && config.disable_on_losses) {
+            console.log(`☠️  [${this.getAccountName()}] Farmení: ztráty na ${report.target_x}|${report.target_y} - cíl vyřazen`);
+          }
+        }
+      }
+    }
+
+    if (reports.length > 0) {
+      this.db.updateFarmStatus(this.accountId, { last_report_id: reports[reports.length - 1].report_id });
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Pošle útoky na cíle podle vzdálenosti (šablona B po plné kořisti, jinak A)
+   * @returns {number} Počet odeslaných útoků
+   */
+  async sendRaids(worldUrl, account, config) {
+    const now = Date.now();
+    const interval = config.interval_minutes * 60 * 1000;
+    const ready = this.db.getFarmTargets(this.accountId, { enabledOnly: true })
+      .filter(target => !target.last_attack_at || now - new Date(target.last_attack_at).getTime() >= interval);
+    const targets = ready.filter(target => this.isSafeTarget(target, config));
+
+    if (targets.length < ready.length) {
+      console.log(`🔍 [${this.getAccountName()}] Farmení: ${ready.length - targets.length} cílů vynecháno podle průzkumu (hradba / obránci)`);
+    }
+
+    if (targets.length === 0) return 0;
+
+    const placeUrl = `${worldUrl}/game.php?village=${account.village_id}&screen=place`;
+    let sent = 0;
+
+    for (const target of targets) {
+      if (sent >= config.max_attacks) break;
+
+      await humanDelay(1500, 3000);
+      await this.page.goto(placeUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+
+      const available = this.withoutReserve(await this.getAvailableUnits(), config.reserve);
+      const template = this.pickTemplate(target, config, available);
+
+      if (!template) {
+        console.log(`⏸️  [${this.getAccountName()}] Farmení: Nedostatek jednotek na další útok`);
+        break;
+      }
+
+      if (await this.sendAttack(target, template)) {
+        this.db.markFarmAttack(this.accountId, target.target_id);
+        sent++;
+      } else {
+        break;
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * 🆕 INTEL - Cíl podle posledního průzkumu zvědů (village_intel) - hradba do max_wall, bez obránců
+   * Cíl bez průzkumu je v pořádku
+   */
+  isSafeTarget(target, config) {
+    if (config.max_wall !== null && target.intel_wall !== null && target.intel_wall > config.max_wall) {
+      return false;
+    }
+
+    const defenders = Object.values(target.intel_units_home || {}).reduce((sum, count) => sum + count, 0);
+    return !(config.skip_defended && defenders > 0);
+  }
+
+  /**
+   * Dostupné jednotky na nádvoří
+   */
+  async getAvailableUnits() {
+    return await this.page.evaluate(() => {
+      const units = {};
+      document.querySelectorAll('input[id^="unit_input_"]').forEach(input => {
+        const count = parseInt(input.dataset.allCount);
+        if (Number.isInteger(count)) units[input.name] = count;
+      });
+      return units;
+    });
+  }
+
+  /**
+   * Jednotky po odečtení rezervy
+   */
+  withoutReserve(units, reserve = {}) {
+    const result = {};
+    for (const [unit, count] of Object.entries(units)) {
+      result[unit] = Math.max(0, count - (Number(reserve[unit]) || 0));
+    }
+    return result;
+  }
+
+  /**
+   * Šablona pro cíl - B po plné kořisti (je tam víc), jinak A; když na B nestačí jednotky, zkusí A
+   * @returns {object|null} Jednotky k odeslání nebo null
+   */
+  pickTemplate(target, config, available) {
+    const fits = (template) => Object.entries(template)
+      .every(([unit, count]) => (available[unit] || 0) >= (Number(count) || 0));
+
+    const candidates = target.last_full ? [config.template_b, config.template_a] : [config.template_a];
+    const template = candidates.find(fits);
+    if (!template) return null;
+
+    return Object.fromEntries(Object.entries(template).filter(([, count]) => Number(count) > 0));
+  }
+
+  /**
+   * Odešle útok přes nádvoří (stejný postup jako SupportSender)
+   */
+  async sendAttack(target, units) {
+    try {
+      await this.page.evaluate(({ units, x, y }) => {
+        document.querySelectorAll('input[id^="unit_input_"]').forEach(input => { input.value = ''; });
+        for (const [unit, count] of Object.entries(units)) {
+          const input = document.querySelector(`input[name="${unit}"]`);
+          if (input) input.value = count;
+        }
+        document.querySelector('input[name="x"]').value = x;
+        document.querySelector('input[name="y"]').value = y;
+      }, { units, x: target.x, y: target.y });
+
+      await humanDelay(500, 1000);
+
+      const attackButton = await this.page.$('#target_attack');
+      if (!attackButton) {
+        throw new Error('Nenalezeno tlačítko útoku');
+      }
+      await attackButton.click();
+      await this.page.waitForTimeout(2000);
+
+      if (!this.page.url().includes('try=confirm')) {
+        const error = await this.page.evaluate(() => document.querySelector('.error_box')?.textContent.trim() || null);
+        console.log(`❌ [${this.getAccountName()}] Farmení ${target.x}|${target.y}: ${error || 'nepovedlo se přejít na potvrzení'}`);
+        return false;
+      }
+
+      const confirmButton = await this.page.$('#troop_confirm_submit, #troop_confirm_go');
+      if (!confirmButton) {
+        throw new Error('Nenalezeno potvrzovací tlačítko');
+      }
+
+      await humanDelay(500, 1500);
+      await confirmButton.click();
+      await this.page.waitForTimeout(2000);
+
+      logger.info(`Farma: ${Object.entries(units).map(([unit, count]) => `${count}x ${unit}`).join(', ')} na ${target.x}|${target.y}`, this.getAccountName());
+      return true;
+    } catch (error) {
+      logger.error(`Chyba při odesílání farmy na ${target.x}|${target.y}`, this.getAccountName(), error);
+      return false;
+    }
+  }
+}
+
+export default FarmModule;
@@ -0,0 +1,299 @@
+/**
+ * 🆕 Modul pro šlechtu - ražba mincí / ukládání balíčků a rekrut šlechticů
+ *
+ * Podle nastavení světa (snobSystem) razí ve šlechtickém dvoře zlaté mince ('coin')
+ * nebo ukládá balíčky surovin ('pack'). Šlechtice rekrutuje do cíle `snob` v šabloně rekrutu
+ * vesnice, rezervu surovin bere ze stejné šablony. Stav (kolik šlechticů jde zaplatit)
+ * ukládá do villages.noble_status pro control panel.
+ */
+
+import logger from '../logger.js';
+import { humanDelay } from '../utils/randomize.js';
+import { simulateReading } from '../utils/humanBehavior.js';
+
+class NobleModule {
+  constructor(page, db, accountId, villageId = null) {
+    this.page = page;
+    this.db = db;
+    this.accountId = accountId;
+    this.villageId = villageId; // 🆕 MULTI-VILLAGE: null = aktuální vesnice
+    this.accountName = null;
+
+    this.RESOURCES = ['wood', 'stone', 'iron'];
+    this.NOBLE_COST = { wood: 40000, stone: 50000, iron: 50000 };
+    this.COIN_COST = { wood: 28000, stone: 30000, iron: 25000 }; // Mince i balíček stojí stejně
+    this.WAIT_TIME = 60 * 60 * 1000;
+    this.NO_ACADEMY_WAIT_TIME = 6 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Získá username pro logging
+   */
+  getAccountName() {
+    if (!this.accountName) {
+      const account = this.db.getAccount(this.accountId);
+      this.accountName = account?.username || `ID:${this.accountId}`;
+    }
+    return this.accountName;
+  }
+
+  /**
+   * 🆕 MULTI-VILLAGE: Parametr vesnice pro URL (prázdný = aktuální vesnice)
+   */
+  getVillageParam() {
+    return this.villageId ? `village=${this.villageId}&` : '';
+  }
+
+  /**
+   * Získá URL světa (podporuje CZ i SK)
+   */
+  getWorldUrl() {
+    const currentUrl = this.page.url();
+
+    // Zkus najít CZ svět
+    let match = currentUrl.match(/\/\/([^.]+)\.divokekmeny\.cz/);
+    if (match) {
+      return `https://${match[1]}.divokekmeny.cz`;
+    }
+
+    // Zkus najít SK svět
+    match = currentUrl.match(/\/\/([^.]+)\.divoke-kmene\.sk/);
+    if (match) {
+      return `https://${match[1]}.divoke-kmene.sk`;
+    }
+
+    throw new Error('Nepodařilo se zjistit svět (ani CZ ani SK)');
+  }
+
+  /**
+   * Hlavní metoda modulu
+   */
+  async execute() {
+    try {
+      const settings = this.db.getNobleSettings(this.accountId, this.villageId);
+      if (!settings) {
+        throw new Error(`Účet s ID ${this.accountId} nebyl nalezen`);
+      }
+
+      const account = this.db.getAccount(this.accountId);
+      const template = this.db.getTemplate('recruit', settings.template);
+      const target = Number(template?.units?.snob) || 0;
+      const reserve = template?.reserve || {};
+      const snobSystem = this.db.getWorldSettings(account.world).snobSystem;
+
+      const worldUrl = this.getWorldUrl();
+
+      await humanDelay(2000, 4000);
+      await this.page.goto(`${worldUrl}/game.php?${this.getVillageParam()}screen=snob`, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000
+      });
+      await simulateReading(this.page, 2000);
+
+      const page = await this.readSnobPage();
+
+      if (!page.hasAcademy) {
+        this.saveStatus({ academy: false, system: snobSystem, target });
+        return { success: true, trained: 0, minted: 0, waitTime: this.NO_ACADEMY_WAIT_TIME };
+      }
+
+      const nobles = this.getNobleCount();
+      let resources = this.available(page.resources, reserve);
+      let trained = 0;
+      let minted = 0;
+
+      // 1. Šlechtic - když dvůr dovolí (limit, mince/balíčky) a jsou suroviny
+      if (nobles < target && page.trainUrl && this.countAffordable(resources, this.NOBLE_COST) > 0) {
+        if (await this.trainNoble(worldUrl, page.trainUrl)) {
+          trained = 1;
+          this.RESOURCES.forEach(res => { resources[res] -= this.NOBLE_COST[res]; });
+        }
+      }
+
+      // 2. Mince / balíčky jen na šlechtice, kteří do cíle chybí (ne celý sklad)
+      // Po rekrutu šlechtice je stav dvora zastaralý - další ražba až v příštím běhu
+      if (nobles + trained < target && trained === 0) {
+        const count = Math.min(
+          page.maxMint ?? Infinity,
+          this.countAffordable(resources, this.COIN_COST),
+          this.countMissingCoins(page, target - nobles)
+        );
+        if (count > 0 && await this.mint(snobSystem, count)) {
+          minted = count;
+          this.RESOURCES.forEach(res => { resources[res] -= count * this.COIN_COST[res]; });
+        }
+      }
+
+      const status = {
+        academy: true,
+        system: snobSystem,
+        target,
+        nobles: nobles + trained,
+        canTrain: !!page.trainUrl && trained === 0,
+        affordable: page.trainUrl ? this.countAffordable(resources, this.NOBLE_COST) : 0,
+        trained,
+        minted
+      };
+      this.saveStatus(status);
+
+      console.log(`👑 [${this.getAccountName()}] Šlechta: ${status.nobles}/${target}, vycvičeno ${trained}, ${snobSystem === 'pack' ? 'uloženo balíčků' : 'vyraženo mincí'} ${minted}, lze zaplatit ${status.affordable}`);
+
+      return { success: true, trained, minted, status, waitTime: this.WAIT_TIME };
+
+    } catch (error) {
+      logger.error('Chyba při šlechtě', this.getAccountName(), error);
+      return { success: false, error: error.message, waitTime: this.WAIT_TIME };
+    }
+  }
+
+  /**
+   * Přečte šlechtický dvůr - formulář ražby/balíčků, odkaz na rekrut šlechtice, suroviny
+   * LANGUAGE-INDEPENDENT - používá pouze akce formulářů a odkazů
+   */
+  async readSnobPage() {
+    return await this.page.evaluate(() => {
+      const mintForm = document.querySelector('form[action*="action=coin"], form[action*="action=reserve"]');
+      const trainLink = document.querySelector('a[href*="action=train"]:not(.btn-disabled)');
+
+      // Odkaz "(max)" u ražby - kolik mincí/balíčků jde najednou
+      const fillMax = mintForm?.querySelector('a[id$="fill_max"], a[onclick*="max"]');
+      const maxMatch = fillMax?.textContent.match(/\d+/);
+
+      // Uloženo / potřeba na dalšího šlechtice - buňka "X/Y" v tabulce s formulářem ražby (mimo formulář)
+      const storedCell = Array.from(mintForm?.closest('table')?.querySelectorAll('td') || [])
+        .filter(cell => !cell.contains(mintForm) && !mintForm.contains(cell))
+        .map(cell => cell.textContent.replace(/\./g, '').match(/^\s*(\d+)\s*\/\s*(\d+)\s*$/))
+        .find(Boolean);
+
+      const parse = (id) => parseInt(document.getElementById(id)?.textContent.replace(/\./g, '')) || 0;
+
+      return {
+        hasAcademy: !!mintForm || !!trainLink,
+        trainUrl: trainLink ? trainLink.getAttribute('href') : null,
+        maxMint: maxMatch ? parseInt(maxMatch[0]) : null,
+        stored: storedCell ? parseInt(storedCell[1]) : null,
+        required: storedCell ? parseInt(storedCell[2]) : null,
+        resources: { wood: parse('wood'), stone: parse('stone'), iron: parse('iron') }
+      };
+    });
+  }
+
+  /**
+   * Počet šlechticů vesnice (units_info hlavní vesnice, jinak stav z minulého běhu)
+   */
+  getNobleCount() {
+    const account = this.db.getAccount(this.accountId);
+    const isMainVillage = !this.villageId || String(this.villageId) === String(account?.village_id);
+
+    if (account?.units_info && isMainVillage) {
+      const units = typeof account.units_info === 'string' ? JSON.parse(account.units_info) : account.units_info;
+      return units?.snob?.totalOwn || units?.snob?.total || 0;
+    }
+
+    const village = this.villageId ? this.db.getVillage(this.accountId, this.villageId) : null;
+    return village?.noble_status?.nobles || 0;
+  }
+
+  /**
+   * Suroviny po odečtení rezervy šablony
+   */
+  available(resources, reserve) {
+    const result = {};
+    this.RESOURCES.forEach(res => {
+      result[res] = Math.max(0, resources[res] - (Number(reserve[res]) || 0));
+    });
+    return result;
+  }
+
+  /**
+   * Kolik mincí / balíčků ještě chybí na šlechtice do cíle (uložené se odečtou)
+   * Bez údaje ze dvora (neznámá potřeba) jen jedna mince za běh
+   * @param {object} page - Stav dvora z readSnobPage() (stored, required = potřeba na dalšího šlechtice)
+   * @param {number} missingNobles - Kolik šlechticů do cíle chybí
+   */
+  countMissingCoins(page, missingNobles) {
+    if (page.required === null || page.stored === null) return 1;
+    return Math.max(0, page.required * missingNobles - page.stored);
+  }
+
+  /**
+   * Kolikrát jde zaplatit cena ze surovin
+   */
+  countAffordable(resources, cost) {
+    return Math.floor(Math.min(...this.RESOURCES.map(res => resources[res] / cost[res])));
+  }
+
+  /**
+   * Rekrutuje jednoho šlechtice (odkaz ve šlechtickém dvoře)
+   */
+  async trainNoble(worldUrl, trainUrl) {
+    try {
+      await humanDelay(1500, 3000);
+      await this.page.goto(new URL(trainUrl, worldUrl).href, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000
+      });
+      await humanDelay(1500, 2500);
+
+      return !(await this.hasError());
+    } catch (error) {
+      logger.error('Chyba při rekrutu šlechtice', this.getAccountName(), error);
+      return false;
+    }
+  }
+
+  /**
+   * Vyrazí mince nebo uloží balíčky
+   * @param {string} snobSystem - 'coin' | 'pack'
+   */
+  async mint(snobSystem, count) {
+    try {
+      await humanDelay(1500, 3000);
+
+      const action = snobSystem === 'pack' ? 'reserve' : 'coin';
+      const filled = await this.page.evaluate(({ action, count }) => {
+        const form = document.querySelector(`form[action*="action=${action}"]`);
+        const input = form?.querySelector('input[type="number"], input[type="text"]');
+        if (!input) return false;
+
+        input.value = count;
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+        return true;
+      }, { action, count });
+
+      if (!filled) {
+        console.log(`⚠️  [${this.getAccountName()}] Formulář pro ${snobSystem === 'pack' ? 'balíčky' : 'ražbu mincí'} nenalezen - zkontroluj nastavení světa`);
+        return false;
+      }
+
+      await humanDelay(500, 1000);
+      await this.page.click(`form[action*="action=${action}"] input[type="submit"]`);
+      await this.page.waitForTimeout(2000);
+
+      return !(await this.hasError());
+    } catch (error) {
+      logger.error('Chyba při ražbě mincí', this.getAccountName(), error);
+      return false;
+    }
+  }
+
+  async hasError() {
+    const error = await this.page.evaluate(() => {
+      const errorBox = document.querySelector('.error_box, .autoHideBox.error');
+      return errorBox ? errorBox.textContent.trim() : null;
+    });
+
+    if (error) {
+      console.log(`❌ [${this.getAccountName()}] Šlechta: ${error}`);
+    }
+    return !!error;
+  }
+
+  saveStatus(status) {
+    if (this.villageId) {
+      this.db.updateVillageNobleStatus(this.accountId, this.villageId, status);
+    }
+  }
+}
+
+export default NobleModule;
@@ -197,10 +197,15 @@ class NotificationsModule {
         return { newAttacks: [] };
       }
 
-      const newAttacks = [];
+      // 🆕 DATA SVĚTA - Útočníky dohledej podle vesnice z přehledu příchozích (jeden request),
+      // detail útoku se načítá jen pro útoky, které se tak dohledat nepodařilo
+      const newAttacks = await this.resolveAttacksFromWorldData(newCommandIds);
+      const resolvedIds = new Set(newAttacks.map(attack => attack.commandId));
 
       // Randomizuj pořadí fetchů (vypadá lidštěji)
-      const shuffled = [...newCommandIds].sort(() => Math.random() - 0.5);
+      const shuffled = newCommandIds
+        .filter(item => !resolvedIds.has(item.commandId))
+        .sort(() => Math.random() - 0.5);
 
       for (let i = 0; i < shuffled.length; i++) {
         const { commandId, arrivalTimestamp } = shuffled[i];
@@ -243,23 +248,11 @@ class NotificationsModule {
           }, commandId);
 
           if (attackDetails) {
-            // Převedení timestampu na čitelný formát pro countdown
-            const arrivalTime = arrivalTimestamp
-              ? new Date(Number(arrivalTimestamp) * 1000).toLocaleString('cs-CZ', {
-                  day: '2-digit',
-                  month: '2-digit',
-                  year: 'numeric',
-                  hour: '2-digit',
-                  minute: '2-digit',
-                  second: '2-digit'
-                })
-              : attackDetails.arrivalTime;
-
             newAttacks.push({
               attacker: attackDetails.attackerName,
               origin: attackDetails.attackerCoords,
               arrival_timestamp: arrivalTimestamp,
-              arrival_time: arrivalTime,
+              arrival_time: this.formatArrivalTime(arrivalTimestamp, attackDetails.arrivalTime),
               commandId: commandId
             });
 
@@ -292,6 +285,84 @@ class NotificationsModule {
     }
   }
 
+  /**
+   * Převedení timestampu příchodu na čitelný formát pro countdown
+   */
+  formatArrivalTime(arrivalTimestamp, fallback = '-') {
+    if (!arrivalTimestamp) return fallback;
+
+    return new Date(Number(arrivalTimestamp) * 1000).toLocaleString('cs-CZ', {
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+
+  /**
+   * 🆕 DATA SVĚTA - Útočníci nových útoků podle vesnice původu
+   * Souřadnice vesnic útočníků přečte z přehledu příchozích (jeden request pro všechny útoky)
+   * a hráče dohledá v datech světa (world_villages). Bez importovaných dat světa nic nedělá.
+   * @returns {Array} Dohledané útoky (stejný tvar jako z fetchAttackDetails)
+   */
+  async resolveAttacksFromWorldData(commandIds) {
+    try {
+      const account = this.db.getAccount(this.accountId);
+      if (!account?.world || !this.db.getWorldDataStatus(account.world)?.imported_at) {
+        return [];
+      }
+
+      const rows = await this.page.evaluate(async () => {
+        try {
+          const response = await fetch(`https://${window.location.host}/game.php?screen=overview_villages&mode=incomings&subtype=attacks`);
+          const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+
+          return Array.from(doc.querySelectorAll('#incomings_table tr')).map(row => ({
+            commandId: row.querySelector('a[href*="info_command"]')?.getAttribute('href').match(/id=(\d+)/)?.[1],
+            coords: Array.from(row.querySelectorAll('a[href*="info_village"]'))
+              .map(link => link.textContent.match(/\((\d+\|\d+)\)/)?.[1])
+              .filter(Boolean)
+          })).filter(row => row.commandId);
+        } catch (e) {
+          return [];
+        }
+      });
+
+      // Cílem útoku je vlastní vesnice - původ je ta druhá
+      const ownCoords = new Set(this.db.getVillages(this.accountId).map(village => `${village.coord_x}|${village.coord_y}`));
+      ownCoords.add(`${account.coord_x}|${account.coord_y}`);
+      const origins = new Map(rows.map(row => [row.commandId, row.coords.find(coords => !ownCoords.has(coords))]));
+
+      const attacks = [];
+      for (const { commandId, arrivalTimestamp } of commandIds) {
+        const origin = origins.get(commandId);
+        if (!origin || !arrivalTimestamp) continue;
+
+        const [x, y] = origin.split('|').map(Number);
+        const village = this.db.getWorldVillage(account.world, x, y);
+        if (!village?.player) continue;
+
+        attacks.push({
+          attacker: village.player,
+          origin,
+          arrival_timestamp: arrivalTimestamp,
+          arrival_time: this.formatArrivalTime(arrivalTimestamp),
+          commandId
+        });
+      }
+
+      if (attacks.length > 0) {
+        logger.info(`✅ Útočníci ${attacks.length}/${commandIds.length} útoků dohledáni v datech světa`, this.getAccountName());
+      }
+      return attacks;
+    } catch (error) {
+      logger.error('Chyba při dohledání útočníků v datech světa', this.getAccountName(), error);
+      return [];
+    }
+  }
+
   /**
    * Získání existujících útoků z databáze
    */
@@ -351,13 +422,7 @@ class NotificationsModule {
    */
   saveLastAttackCount(count) {
     try {
-      const data = this.db._loadAccounts();
-      const account = data.accounts.find(a => a.id === this.accountId);
-
-      if (account) {
-        account.last_attack_count = count;
-        this.db._saveAccounts(data);
-      }
+      this.db.updateAccountInfo(this.accountId, { last_attack_count: count });
     } catch (error) {
       logger.error('Chyba při ukládání počtu útoků', this.getAccountName(), error);
     }
@@ -369,10 +434,11 @@ class NotificationsModule {
    */
   saveAttacksInfo(attacks) {
     try {
-      const data = this.db._loadAccounts();
-      const account = data.accounts.find(a => a.id === this.accountId);
+      // Transakce - panel může útoky mazat současně (jiný proces)
+      this.db.transaction(() => {
+        const account = this.db.getAccount(this.accountId);
+        if (!account) return;
 
-      if (account) {
         const now = Math.floor(Date.now() / 1000);
 
         // Načteme existující útoky
@@ -403,9 +469,8 @@ class NotificationsModule {
         // Spojíme: nové aktivní útoky + staré dopadlé útoky (oznámení)
         const mergedAttacks = [...attacks, ...uniqueCompletedAttacks];
 
-        account.attacks_info = JSON.stringify(mergedAttacks);
-        this.db._saveAccounts(data);
-      }
+        this.db.updateAccountInfo(this.accountId, { attacks_info: JSON.stringify(mergedAttacks) });
+      });
     } catch (error) {
       logger.error('Chyba při ukládání detailů útoků', this.getAccountName(), error);
     }
@@ -425,14 +490,7 @@ class NotificationsModule {
    */
   saveLastNotification(type, timestamp) {
     try {
-      const data = this.db._loadAccounts();
-      const account = data.accounts.find(a => a.id === this.accountId);
-      
-      if (account) {
-        const key = `last_notification_${type}`;
-        account[key] = timestamp;
-        this.db._saveAccounts(data);
-      }
+      this.db.updateLastNotification(this.accountId, type, timestamp);
     } catch (error) {
       logger.error('Chyba při ukládání času notifikace', this.getAccountName(), error);
     }
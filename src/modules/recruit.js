@@ -8,10 +8,11 @@ import { randomDelay, humanDelay } from '../utils/randomize.js';
 import { simulateReading, humanWait } from '../utils/humanBehavior.js';
 
 class RecruitModule {
-  constructor(page, db, accountId) {
+  constructor(page, db, accountId, villageId = null) {
     this.page = page;
     this.db = db;
     this.accountId = accountId;
+    this.villageId = villageId; // 🆕 MULTI-VILLAGE: null = aktuální vesnice
     this.accountName = null;
     this.buildingPositions = {
       barracks: 0,
@@ -19,6 +20,13 @@ class RecruitModule {
       workshop: 0
     };
 
+    // 🆕 Jednotky podle budov (pořadí = pořadí rekrutování)
+    this.buildingUnits = {
+      barracks: ['spear', 'sword', 'axe', 'archer'],
+      stable: ['spy', 'light', 'marcher', 'heavy'],
+      workshop: ['ram', 'catapult']
+    };
+
     // Konstanty jednotek (POUZE CENY - čas se zjišťuje ze stránky)
     this.unitData = {
       spear: { wood: 50, stone: 30, iron: 10 },
@@ -33,8 +41,8 @@ class RecruitModule {
       catapult: { wood: 320, stone: 400, iron: 100 }
     };
 
-    // Cíl: fronta na 8 hodin
-    this.targetQueueTime = 8 * 3600; // 8 hodin v sekundách
+    // 🆕 Výchozí fronta (hodiny) - šablona může mít vlastní pro každou budovu
+    this.DEFAULT_QUEUE = { target: 8, refill_below: 7 };
   }
 
   /**
@@ -48,6 +56,13 @@ class RecruitModule {
     return this.accountName;
   }
 
+  /**
+   * 🆕 MULTI-VILLAGE: Parametr vesnice pro URL (prázdný = aktuální vesnice)
+   */
+  getVillageParam() {
+    return this.villageId ? `village=${this.villageId}&` : '';
+  }
+
   /**
    * Získá URL světa (podporuje CZ i SK)
    */
@@ -71,6 +86,8 @@ class RecruitModule {
 
   /**
    * Načte šablonu z databáze
+   * @returns {{units: object, queues: object, reserve: object, minBatch: number, maxBatch: number}|null}
+   *   queues = { barracks: { target, refill_below } } v sekundách
    */
   getTemplate(templateName) {
     try {
@@ -81,8 +98,27 @@ class RecruitModule {
         return null;
       }
 
-      // Vrátíme units z šablony
-      return template.units || {};
+      // 🆕 Fronty a rezervy ze šablony (chybějící budova = výchozí fronta)
+      const queues = {};
+      for (const building of Object.keys(this.buildingUnits)) {
+        const queue = { ...this.DEFAULT_QUEUE, ...(template.queues?.[building] || {}) };
+        queues[building] = {
+          target: Number(queue.target) * 3600,
+          refill_below: Number(queue.refill_below) * 3600
+        };
+      }
+
+      return {
+        units: template.units || {},
+        queues,
+        reserve: {
+          wood: Number(template.reserve?.wood) || 0,
+          stone: Number(template.reserve?.stone) || 0,
+          iron: Number(template.reserve?.iron) || 0
+        },
+        minBatch: Math.max(1, Number(template.min_batch) || 1),
+        maxBatch: Math.max(0, Number(template.max_batch) || 0)
+      };
     } catch (error) {
       logger.error(`Chyba při načítání šablony`, this.getAccountName(), error);
       return null;
@@ -93,13 +129,7 @@ class RecruitModule {
    * Mapování jednotek na budovy
    */
   getBuildingForUnit(unitType) {
-    const buildings = {
-      barracks: ['spear', 'sword', 'axe', 'archer'],
-      stable: ['spy', 'light', 'marcher', 'heavy'],
-      workshop: ['ram', 'catapult']
-    };
-
-    for (const [building, units] of Object.entries(buildings)) {
+    for (const [building, units] of Object.entries(this.buildingUnits)) {
       if (units.includes(unitType)) {
         return building;
       }
@@ -115,7 +145,7 @@ class RecruitModule {
     try {
       const worldUrl = this.getWorldUrl();
 
-      await this.page.goto(`${worldUrl}/game.php?screen=train`, {
+      await this.page.goto(`${worldUrl}/game.php?${this.getVillageParam()}screen=train`, {
         waitUntil: 'domcontentloaded'
       });
 
@@ -200,7 +230,10 @@ class RecruitModule {
       const account = this.db.getAccount(this.accountId);
       let unitsData = null;
 
-      if (account?.units_info) {
+      // 🆕 MULTI-VILLAGE: units_info platí pro hlavní vesnici účtu, ostatní vesnice se čtou z náboru
+      const isMainVillage = !this.villageId || String(this.villageId) === String(account?.village_id);
+
+      if (account?.units_info && isMainVillage) {
         try {
           unitsData = typeof account.units_info === 'string'
             ? JSON.parse(account.units_info)
@@ -210,7 +243,7 @@ class RecruitModule {
           unitsData = await this.getVillageUnits();
         }
       } else {
-        // Fallback pokud support modul ještě neběžel
+        // Fallback pokud support modul ještě neběžel (nebo jde o jinou vesnici)
         unitsData = await this.getVillageUnits();
       }
 
@@ -350,7 +383,7 @@ class RecruitModule {
       // Human-like delay před navigací (5-8s) - prodlouženo proti CAPTCHA
       await humanDelay(5000, 8000);
 
-      await this.page.goto(`${worldUrl}/game.php?screen=${buildingParam}`, {
+      await this.page.goto(`${worldUrl}/game.php?${this.getVillageParam()}screen=${buildingParam}`, {
         waitUntil: 'networkidle',
         timeout: 30000
       });
@@ -396,147 +429,202 @@ class RecruitModule {
   }
 
   /**
-   * Hlavní funkce - naplní frontu na 8 hodin V KAŽDÉ BUDOVĚ ZVLÁŠŤ podle šablony
+   * 🆕 Velikost dávky podle šablony - max_batch omezí, menší dávka než min_batch se nezadává
+   * (kromě posledních jednotek do cíle šablony)
    */
-  async startRecruiting(templateName) {
+  applyBatchLimits(count, deficit, template) {
+    const limited = template.maxBatch > 0 ? Math.min(count, template.maxBatch) : count;
+    return limited >= Math.min(template.minBatch, deficit) ? limited : 0;
+  }
+
+  /**
+   * 🆕 Je budova ve vesnici postavená?
+   * Úrovně budov ukládá BuildingModule (villages.buildings), jinak rozhodne stránka budovy
+   * @returns {boolean|null} null = nevíme (úrovně zatím nejsou uložené)
+   */
+  isBuildingBuilt(building) {
+    if (!this.villageId) return null;
+
+    const levels = this.db.getVillage(this.accountId, this.villageId)?.buildings;
+    if (!levels) return null;
+
+    const internalName = building === 'workshop' ? 'garage' : building;
+    return (levels[internalName] || 0) > 0;
+  }
+
+  /**
+   * 🆕 Je na aktuální stránce formulář pro rekrut? (nepostavená budova ho nemá)
+   */
+  async hasRecruitForm(units) {
     try {
-      // Načti šablonu
-      const template = this.getTemplate(templateName);
-      if (!template) {
-        return false;
-      }
+      return await this.page.evaluate((units) => {
+        return units.some(unitType => document.querySelector(`input[name="${unitType}"]`) !== null);
+      }, units);
+    } catch (error) {
+      return false;
+    }
+  }
 
-      // Zjisti co je potřeba narekrutovat
-      const toRecruit = await this.checkWhatToRecruit(template);
-      if (!toRecruit || Object.keys(toRecruit).length === 0) {
-        return true;
+  /**
+   * 🆕 Doplní frontu jedné budovy (kasárna, stáj, dílna) podle šablony
+   * @returns {Promise<object>} { [unitType]: počet } - zadané jednotky
+   */
+  async fillBuildingQueue(building, units, toRecruit, template) {
+    // Jednotky této budovy, které jsou v deficitu
+    const deficit = {};
+    units.forEach(unitType => {
+      if (toRecruit[unitType] && toRecruit[unitType].needed > 0) {
+        deficit[unitType] = toRecruit[unitType];
       }
+    });
 
-      const worldUrl = this.getWorldUrl();
+    if (Object.keys(deficit).length === 0) {
+      return {};
+    }
 
-      // Přejdeme na kasárna pro zjištění fronty (delší delay proti CAPTCHA)
-      await humanDelay(5000, 8000);
-      await this.page.goto(`${worldUrl}/game.php?screen=barracks`, {
-        waitUntil: 'networkidle',
-        timeout: 30000
-      });
-      await simulateReading(this.page, 5000);
+    // Budova ještě není postavená - nemá smysl na ni chodit
+    if (this.isBuildingBuilt(building) === false) {
+      console.log(`⏭️  [${this.getAccountName()}] Rekrut ${building}: budova není postavená`);
+      return {};
+    }
 
-      // Zjisti čas ve frontě kasáren
-      const barracksQueue = await this.checkBuildingQueue('barracks');
+    const worldUrl = this.getWorldUrl();
+    const buildingParam = building === 'workshop' ? 'garage' : building;
 
-      // Pokud kasárna >= 7h, přeskoč
-      if (barracksQueue >= 7 * 3600) {
-        return true;
-      }
+    // Přejdeme na budovu pro zjištění fronty (delší delay proti CAPTCHA)
+    await humanDelay(5000, 8000);
+    await this.page.goto(`${worldUrl}/game.php?${this.getVillageParam()}screen=${buildingParam}`, {
+      waitUntil: 'networkidle',
+      timeout: 30000
+    });
+    await simulateReading(this.page, 5000);
 
-      // Filtruj pouze jednotky z kasáren co jsou v deficitu a jsou v šabloně
-      const barracksUnits = ['spear', 'sword', 'axe', 'archer'];
-      const barracksDeficit = {};
+    if (!(await this.hasRecruitForm(Object.keys(deficit)))) {
+      console.log(`⏭️  [${this.getAccountName()}] Rekrut ${building}: budova není postavená nebo jednotky nejsou vyzkoumané`);
+      return {};
+    }
 
-      barracksUnits.forEach(unitType => {
-        if (toRecruit[unitType] && toRecruit[unitType].needed > 0) {
-          barracksDeficit[unitType] = toRecruit[unitType];
-        }
-      });
+    // Zjisti čas ve frontě budovy
+    const queueTime = await this.checkBuildingQueue(building);
+    const queueSettings = template.queues[building];
 
-      if (Object.keys(barracksDeficit).length === 0) {
-        return true;
-      }
+    // Fronta je ještě dost dlouhá (refill_below ze šablony), přeskoč
+    if (queueTime > 0 && queueTime >= queueSettings.refill_below) {
+      return {};
+    }
 
-      // Vypočítej kolik chybí do 8h v kasárnách
-      const missingTime = this.targetQueueTime - barracksQueue;
+    // Vypočítej kolik chybí do cíle fronty
+    const missingTime = queueSettings.target - queueTime;
 
-      // Získej aktuální suroviny
-      const resources = await this.getCurrentResources();
+    // Získej aktuální suroviny
+    const resources = await this.getCurrentResources();
 
-      // Odečti rezervu 1000 od každé suroviny
-      resources.wood -= 1000;
-      resources.stone -= 1000;
-      resources.iron -= 1000;
+    // Odečti rezervu ze šablony
+    resources.wood -= template.reserve.wood;
+    resources.stone -= template.reserve.stone;
+    resources.iron -= template.reserve.iron;
 
-      // Vypočítej poměr podle SUROVIN (ne podle šablony!)
-      const woodRatio = resources.wood / (resources.wood + resources.iron);
-      const ironRatio = resources.iron / (resources.wood + resources.iron);
+    // Vypočítej poměr podle SUROVIN (ne podle šablony!)
+    const woodRatio = resources.wood / (resources.wood + resources.iron);
+    const ironRatio = resources.iron / (resources.wood + resources.iron);
 
-      // Rozhodni které jednotky upřednostnit podle surovin
-      const woodUnits = [];
-      const ironUnits = [];
+    // Rozhodni které jednotky upřednostnit podle surovin
+    const woodUnits = [];
+    const ironUnits = [];
 
-      Object.keys(barracksDeficit).forEach(unitType => {
-        const costs = this.unitData[unitType];
-        if (costs.wood > costs.iron * 1.5) {
+    Object.keys(deficit).forEach(unitType => {
+      const costs = this.unitData[unitType];
+      if (costs.wood > costs.iron * 1.5) {
+        woodUnits.push(unitType);
+      } else if (costs.iron > costs.wood * 1.5) {
+        ironUnits.push(unitType);
+      } else {
+        if (woodRatio > ironRatio) {
           woodUnits.push(unitType);
-        } else if (costs.iron > costs.wood * 1.5) {
-          ironUnits.push(unitType);
         } else {
-          if (woodRatio > ironRatio) {
-            woodUnits.push(unitType);
-          } else {
-            ironUnits.push(unitType);
-          }
+          ironUnits.push(unitType);
         }
-      });
+      }
+    });
 
-      // Vypočítej poměr času pro jednotky
-      let woodTimeRatio = woodUnits.length > 0 ? woodRatio : 0;
-      let ironTimeRatio = ironUnits.length > 0 ? ironRatio : 0;
+    // Vypočítej poměr času pro jednotky
+    let woodTimeRatio = woodUnits.length > 0 ? woodRatio : 0;
+    let ironTimeRatio = ironUnits.length > 0 ? ironRatio : 0;
 
-      const totalRatio = woodTimeRatio + ironTimeRatio;
-      if (totalRatio > 0) {
-        woodTimeRatio = woodTimeRatio / totalRatio;
-        ironTimeRatio = ironTimeRatio / totalRatio;
-      }
+    const totalRatio = woodTimeRatio + ironTimeRatio;
+    if (totalRatio > 0) {
+      woodTimeRatio = woodTimeRatio / totalRatio;
+      ironTimeRatio = ironTimeRatio / totalRatio;
+    }
 
-      // Pro každou jednotku v deficitu vypočítej kolik jich narekrutovat
-      const toRecruitCounts = {};
+    // Pro každou jednotku v deficitu vypočítej kolik jich narekrutovat
+    const toRecruitCounts = {};
 
-      for (const unitType of Object.keys(barracksDeficit)) {
-        const unitTime = await this.getUnitTime(unitType);
-        if (unitTime === 0) {
-          continue;
-        }
+    for (const unitType of Object.keys(deficit)) {
+      const unitTime = await this.getUnitTime(unitType);
+      if (unitTime === 0) {
+        continue;
+      }
 
-        const isWoodUnit = woodUnits.includes(unitType);
-        const timeForUnit = isWoodUnit
-          ? (missingTime * woodTimeRatio) / woodUnits.length
-          : (missingTime * ironTimeRatio) / ironUnits.length;
+      const isWoodUnit = woodUnits.includes(unitType);
+      const timeForUnit = isWoodUnit
+        ? (missingTime * woodTimeRatio) / woodUnits.length
+        : (missingTime * ironTimeRatio) / ironUnits.length;
 
-        const countByTime = Math.floor(timeForUnit / unitTime);
+      const countByTime = Math.floor(timeForUnit / unitTime);
 
-        const costs = this.unitData[unitType];
-        const countByBudget = Math.floor(Math.min(
-          resources.wood / costs.wood,
-          resources.stone / costs.stone,
-          resources.iron / costs.iron
-        ));
+      const costs = this.unitData[unitType];
+      const countByBudget = Math.floor(Math.min(
+        resources.wood / costs.wood,
+        resources.stone / costs.stone,
+        resources.iron / costs.iron
+      ));
 
-        const deficit = barracksDeficit[unitType].needed;
-        const finalCount = Math.min(countByTime, countByBudget, deficit);
+      const needed = deficit[unitType].needed;
+      const finalCount = this.applyBatchLimits(Math.min(countByTime, countByBudget, needed), needed, template);
 
-        if (finalCount > 0) {
-          toRecruitCounts[unitType] = finalCount;
-          resources.wood -= finalCount * costs.wood;
-          resources.stone -= finalCount * costs.stone;
-          resources.iron -= finalCount * costs.iron;
-        }
+      if (finalCount > 0) {
+        toRecruitCounts[unitType] = finalCount;
+        resources.wood -= finalCount * costs.wood;
+        resources.stone -= finalCount * costs.stone;
+        resources.iron -= finalCount * costs.iron;
       }
+    }
 
-      // Rekrutuj jednotky SEKVENČNĚ: nejdřív kopí, pak meče, pak ostatní
-      if (toRecruitCounts['spear'] && toRecruitCounts['spear'] > 0) {
-        await this.recruitUnits('spear', toRecruitCounts['spear']);
+    // Rekrutuj jednotky SEKVENČNĚ v pořadí budovy (kasárna: nejdřív kopí, pak meče, pak ostatní)
+    for (const unitType of units) {
+      if (toRecruitCounts[unitType] > 0) {
+        await this.recruitUnits(unitType, toRecruitCounts[unitType]);
         await humanDelay(3000, 5000); // Delší pauza mezi jednotkami
       }
+    }
 
-      if (toRecruitCounts['sword'] && toRecruitCounts['sword'] > 0) {
-        await this.recruitUnits('sword', toRecruitCounts['sword']);
-        await humanDelay(3000, 5000); // Delší pauza mezi jednotkami
+    return toRecruitCounts;
+  }
+
+  /**
+   * Hlavní funkce - naplní frontu V KAŽDÉ BUDOVĚ ZVLÁŠŤ podle šablony (cíl fronty, rezerva a dávky ze šablony)
+   * 🆕 Kasárna, stáj i dílna - nepostavená budova se přeskočí
+   */
+  async startRecruiting(templateName) {
+    try {
+      // Načti šablonu
+      const template = this.getTemplate(templateName);
+      if (!template) {
+        return false;
       }
 
-      for (const [unitType, count] of Object.entries(toRecruitCounts)) {
-        if (unitType !== 'spear' && unitType !== 'sword' && count > 0) {
-          await this.recruitUnits(unitType, count);
-          await humanDelay(3000, 5000); // Delší pauza mezi jednotkami
+      // Zjisti co je potřeba narekrutovat
+      const toRecruit = await this.checkWhatToRecruit(template.units);
+      if (!toRecruit || Object.keys(toRecruit).length === 0) {
+        return true;
+      }
+
+      for (const [building, units] of Object.entries(this.buildingUnits)) {
+        const recruited = await this.fillBuildingQueue(building, units, toRecruit, template);
+
+        if (Object.keys(recruited).length > 0) {
+          console.log(`⚔️  [${this.getAccountName()}] Rekrut ${building}:`, recruited);
         }
       }
 
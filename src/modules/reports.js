@@ -0,0 +1,288 @@
+/**
+ * 🆕 Modul pro čtení reportů
+ *
+ * Prochází stránky seznamu reportů (screen=report), otevře reporty, které ještě nejsou v databázi,
+ * a rozparsuje z nich jednotky a ztráty útočníka i obránce, kořist a u zvědů suroviny, budovy
+ * a jednotky mimo vesnici. Reporty se ukládají do tabulky reports podle účtu (ID reportu = deduplikace).
+ * LANGUAGE-INDEPENDENT - používá pouze ID, CSS třídy, obrázky a parametry odkazů.
+ */
+
+import logger from '../logger.js';
+import { humanDelay } from '../utils/randomize.js';
+import { simulateReading } from '../utils/humanBehavior.js';
+
+class ReportsModule {
+  constructor(page, db, accountId) {
+    this.page = page;
+    this.db = db;
+    this.accountId = accountId;
+    this.accountName = null;
+
+    this.WAIT_TIME = 30 * 60 * 1000;
+    this.MAX_PAGES = 5;     // Max. stránek seznamu za jeden běh
+    this.MAX_REPORTS = 50;  // Max. otevřených reportů za jeden běh
+  }
+
+  /**
+   * Získá username pro logging
+   */
+  getAccountName() {
+    if (!this.accountName) {
+      const account = this.db.getAccount(this.accountId);
+      this.accountName = account?.username || `ID:${this.accountId}`;
+    }
+    return this.accountName;
+  }
+
+  /**
+   * Získá URL světa (podporuje CZ i SK)
+   */
+  getWorldUrl() {
+    const currentUrl = this.page.url();
+
+    // Zkus najít CZ svět
+    let match = currentUrl.match(/\/\/([^.]+)\.divokekmeny\.cz/);
+    if (match) {
+      return `https://${match[1]}.divokekmeny.cz`;
+    }
+
+    // Zkus najít SK svět
+    match = currentUrl.match(/\/\/([^.]+)\.divoke-kmene\.sk/);
+    if (match) {
+      return `https://${match[1]}.divoke-kmene.sk`;
+    }
+
+    throw new Error('Nepodařilo se zjistit svět (ani CZ ani SK)');
+  }
+
+  /**
+   * Hlavní metoda modulu
+   * @param {string} mode - Záložka reportů (all, attack, defense, ...)
+   */
+  async execute(mode = 'all') {
+    try {
+      const account = this.db.getAccount(this.accountId);
+      if (!account) {
+        throw new Error(`Účet s ID ${this.accountId} nebyl nalezen`);
+      }
+
+      const worldUrl = this.getWorldUrl();
+      const newIds = await this.collectNewReportIds(worldUrl, mode);
+
+      let saved = 0;
+      for (const reportId of newIds) {
+        const report = await this.readReport(worldUrl, reportId, account);
+        if (report && this.db.saveReport(this.accountId, report)) {
+          saved++;
+        }
+      }
+
+      if (saved > 0) {
+        console.log(`📜 [${this.getAccountName()}] Reporty: uloženo ${saved} nových`);
+      }
+
+      return { success: true, saved, waitTime: this.WAIT_TIME };
+
+    } catch (error) {
+      logger.error('Chyba při čtení reportů', this.getAccountName(), error);
+      return { success: false, saved: 0, error: error.message, waitTime: this.WAIT_TIME };
+    }
+  }
+
+  /**
+   * Projde stránky seznamu reportů a vrátí ID, která ještě nejsou v databázi (nejstarší první)
+   * Končí na stránce, kde už je vše známé
+   */
+  async collectNewReportIds(worldUrl, mode) {
+    const newIds = [];
+    let from = 0;
+
+    for (let pageIndex = 0; pageIndex < this.MAX_PAGES; pageIndex++) {
+      await humanDelay(1500, 3000);
+      await this.page.goto(`${worldUrl}/game.php?screen=report&mode=${mode}&from=${from}`, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000
+      });
+      await simulateReading(this.page, 1500);
+
+      const { ids, hasNext } = await this.readReportList();
+      if (ids.length === 0) break;
+
+      const known = this.db.getKnownReportIds(this.accountId, ids);
+      const unknown = ids.filter(id => !known.has(id));
+      newIds.push(...unknown);
+
+      if (unknown.length < ids.length || !hasNext || newIds.length >= this.MAX_REPORTS) break;
+
+      // Počet reportů na stránku si hráč může nastavit - další stránka začíná za posledním
+      from += ids.length;
+    }
+
+    return newIds.sort((a, b) => a - b).slice(0, this.MAX_REPORTS);
+  }
+
+  /**
+   * Přečte ID reportů z otevřené stránky seznamu
+   */
+  async readReportList() {
+    return await this.page.evaluate(() => {
+      const ids = Array.from(document.querySelectorAll('#report_list a[href*="view="]'))
+        .map(link => parseInt(new URL(link.href, location.href).searchParams.get('view')))
+        .filter(id => Number.isInteger(id));
+      const unique = [...new Set(ids)];
+
+      const current = parseInt(new URLSearchParams(location.search).get('from')) || 0;
+      const nextFrom = Array.from(document.querySelectorAll('a.paged-nav-item'))
+        .map(link => parseInt(new URL(link.href, location.href).searchParams.get('from')))
+        .filter(from => Number.isInteger(from) && from > current);
+
+      return { ids: unique, hasNext: nextFrom.length > 0 };
+    });
+  }
+
+  /**
+   * Otevře a rozparsuje report
+   * @returns {object|null} { id, type, result, battleTime, attacker, defender, loot, lootCapacity, full, spy }
+   */
+  async readReport(worldUrl, reportId, account) {
+    try {
+      await humanDelay(1000, 2500);
+      await this.page.goto(`${worldUrl}/game.php?screen=report&mode=all&view=${reportId}`, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000
+      });
+
+      const parsed = await this.parseReport();
+      return { id: reportId, ...parsed, type: this.getReportType(parsed, account) };
+    } catch (error) {
+      logger.error(`Chyba při čtení reportu ${reportId}`, this.getAccountName(), error);
+      return null;
+    }
+  }
+
+  /**
+   * Typ reportu - scout (zvědové viděli vesnici), attack (útočili jsme), defense (útočili na nás), other
+   */
+  getReportType(parsed, account) {
+    if (!parsed.attacker) return 'other';
+
+    const ownVillages = new Set(this.db.getVillages(this.accountId).map(village => village.village_id));
+    if (account.village_id) ownVillages.add(account.village_id);
+
+    if (ownVillages.has(parsed.attacker.villageId)) {
+      return parsed.spy ? 'scout' : 'attack';
+    }
+    return 'defense';
+  }
+
+  /**
+   * Rozparsuje otevřený report
+   */
+  async parseReport() {
+    return await this.page.evaluate(() => {
+      const number = (text) => parseInt(String(text).replace(/\D/g, '')) || 0;
+
+      // Jednotky z řádku tabulky (buňky s třídou unit-item-<jednotka>)
+      const unitRow = (row) => {
+        const units = {};
+        row?.querySelectorAll('td[class*="unit-item-"]').forEach(cell => {
+          const unit = (cell.className.match(/unit-item-(\w+)/) || [])[1];
+          if (unit) units[unit] = number(cell.textContent);
+        });
+        return units;
+      };
+
+      // Suroviny - ikona suroviny a číslo za ní
+      const resources = (container) => {
+        const result = { wood: 0, stone: 0, iron: 0 };
+        container?.querySelectorAll('.nowrap').forEach(item => {
+          const icon = item.querySelector('.icon.header');
+          const res = ['wood', 'stone', 'iron'].find(name => icon?.classList.contains(name));
+          if (res) result[res] = number(item.textContent);
+        });
+        return result;
+      };
+
+      // Strana bitvy - hráč, vesnice, jednotky a ztráty
+      const side = (prefix) => {
+        const info = document.querySelector(`#attack_info_${prefix}`);
+        if (!info) return null;
+
+        const anchor = info.querySelector('.village_anchor');
+        const coords = anchor?.textContent.match(/(\d+)\|(\d+)/);
+        const playerLink = info.querySelector('a[href*="info_player"]');
+        const rows = document.querySelectorAll(`#attack_info_${prefix}_units tr`);
+
+        return {
+          player: playerLink ? playerLink.textContent.trim() : null,
+          playerId: playerLink ? parseInt(new URL(playerLink.href, location.href).searchParams.get('id')) || null : null,
+          villageId: anchor?.dataset.id ? parseInt(anchor.dataset.id) : null,
+          x: coords ? parseInt(coords[1]) : null,
+          y: coords ? parseInt(coords[2]) : null,
+          units: unitRow(rows[1]),
+          losses: unitRow(rows[2])
+        };
+      };
+
+      // Kořist - "X/Y" = nasbíráno / nosnost
+      const haul = document.querySelector('#attack_results');
+      const capacity = haul?.textContent.match(/([\d.]+)\s*\/\s*([\d.]+)/);
+
+      // Zvědové - suroviny, budovy (JSON v hidden inputu, jinak tabulka s obrázky) a jednotky mimo vesnici
+      let spy = null;
+      const spyResources = document.querySelector('#attack_spy_resources');
+      const spyBuildingData = document.querySelector('#attack_spy_building_data');
+      const spyBuildingTables = document.querySelectorAll('#attack_spy_buildings_left, #attack_spy_buildings_right');
+      const spyAway = document.querySelector('#attack_spy_away');
+
+      if (spyResources || spyBuildingData || spyBuildingTables.length > 0 || spyAway) {
+        const buildings = {};
+        if (spyBuildingData) {
+          try {
+            JSON.parse(spyBuildingData.value).forEach(building => {
+              buildings[building.id] = number(building.level);
+            });
+          } catch (e) {
+            // Neplatný JSON - zkusí se tabulka
+          }
+        }
+        if (Object.keys(buildings).length === 0) {
+          spyBuildingTables.forEach(table => {
+            table.querySelectorAll('tr').forEach(row => {
+              const img = row.querySelector('img[src*="/buildings/"]');
+              const building = img ? (img.getAttribute('src').match(/buildings\/(?:mid\/)?(\w+?)\d*\.(?:png|webp)/) || [])[1] : null;
+              const cells = row.querySelectorAll('td');
+              if (building && cells.length > 0) buildings[building] = number(cells[cells.length - 1].textContent);
+            });
+          });
+        }
+
+        spy = {
+          resources: spyResources ? resources(spyResources) : null,
+          buildings: Object.keys(buildings).length > 0 ? buildings : null,
+          away: spyAway ? unitRow(spyAway.querySelectorAll('tr')[1]) : null
+        };
+      }
+
+      // Barva výsledku (green / yellow / red / blue)
+      const dot = document.querySelector('img[src*="/dots/"]');
+      const result = dot ? (dot.getAttribute('src').match(/dots\/(\w+)\./) || [])[1] || null : null;
+
+      // Čas bitvy - první datum s časem v reportu
+      const time = document.querySelector('#content_value')?.textContent.match(/\d{1,2}\.\d{1,2}\.\d{2,4}\s+\d{1,2}:\d{2}:\d{2}/);
+
+      return {
+        result,
+        battleTime: time ? time[0] : null,
+        attacker: side('att'),
+        defender: side('def'),
+        loot: haul ? resources(haul) : null,
+        lootCapacity: capacity ? number(capacity[2]) : null,
+        full: capacity ? number(capacity[1]) >= number(capacity[2]) : false,
+        spy
+      };
+    });
+  }
+}
+
+export default ReportsModule;
@@ -4,18 +4,26 @@
  */
 
 import logger from '../logger.js';
+import { BUILDINGS } from '../buildingTemplates.js';
+import { getBuildingCost } from '../utils/buildingPlanner.js';
 
 class ResearchModule {
-  constructor(page, db, accountId) {
+  constructor(page, db, accountId, villageId = null) {
     this.page = page;
     this.db = db;
     this.accountId = accountId;
+    this.villageId = villageId; // 🆕 MULTI-VILLAGE: null = aktuální vesnice
     this.accountName = null;
 
     // Aktuální šablona
     this.activeTemplate = this.loadTemplate();
 
-    // Priorita výzkumu
+    // 🆕 Systém výzkumu zjištěný z kovárny ('level' | 'simple', null = zatím nezjištěno)
+    this.detectedTechSystem = null;
+
+    this.RESOURCES = ['wood', 'stone', 'iron'];
+
+    // Výchozí priorita výzkumu (šablona ji může přebít polem order)
     this.priority = [
       'spear', 'sword', 'axe', 'archer',
       'spy', 'light', 'marcher', 'heavy',
@@ -34,36 +42,38 @@ class ResearchModule {
     return this.accountName;
   }
 
+  /**
+   * 🆕 MULTI-VILLAGE: Parametr vesnice pro URL (prázdný = aktuální vesnice)
+   */
+  getVillageParam() {
+    return this.villageId ? `village=${this.villageId}&` : '';
+  }
+
   /**
    * Načte šablonu z databáze
    */
   loadTemplate() {
     try {
-      const account = this.db.getAccount(this.accountId);
+      // 🆕 MULTI-VILLAGE: Šablona vesnice, jinak šablona účtu
+      const settings = this.db.getResearchSettings(this.accountId, this.villageId);
 
-      if (account?.research_template) {
-        const templateName = typeof account.research_template === 'string'
-          ? account.research_template
+      if (settings?.template) {
+        const templateName = typeof settings.template === 'string'
+          ? settings.template
           : 'FARM';
 
         // Načteme šablonu z databáze
         const template = this.db.getTemplate('research', templateName);
 
         if (template) {
-          return {
-            name: template.name,
-            levels: template.levels
-          };
+          return this.toActiveTemplate(template);
         }
       }
 
       // Výchozí FARM - načteme z databáze
       const defaultTemplate = this.db.getTemplate('research', 'FARM');
       if (defaultTemplate) {
-        return {
-          name: defaultTemplate.name,
-          levels: defaultTemplate.levels
-        };
+        return this.toActiveTemplate(defaultTemplate);
       }
 
       // Fallback pokud databáze nemá šablony
@@ -86,6 +96,20 @@ class ResearchModule {
     }
   }
 
+  /**
+   * 🆕 Šablona z databáze → aktivní šablona modulu (včetně pořadí a pravidel pro suroviny)
+   */
+  toActiveTemplate(template) {
+    return {
+      name: template.name,
+      levels: template.levels,
+      mode: template.mode,
+      order: Array.isArray(template.order) ? template.order : [],
+      minResources: Number(template.min_resources) || 0,
+      protectBuilding: template.protect_building !== false
+    };
+  }
+
   /**
    * Uloží šablonu do databáze (JSON kompatibilní)
    */
@@ -112,10 +136,7 @@ class ResearchModule {
       logger.error(`Šablona ${templateName} neexistuje v databázi`, this.getAccountName());
       return false;
     }
-    return this.saveTemplate({
-      name: template.name,
-      levels: template.levels
-    });
+    return this.saveTemplate(this.toActiveTemplate(template));
   }
 
   /**
@@ -145,7 +166,7 @@ class ResearchModule {
   async goToSmith() {
     try {
       const worldUrl = this.getWorldUrl();
-      await this.page.goto(`${worldUrl}/game.php?screen=smith`, {
+      await this.page.goto(`${worldUrl}/game.php?${this.getVillageParam()}screen=smith`, {
         waitUntil: 'domcontentloaded'
       });
       await this.page.waitForTimeout(1500) // Sníženo z 2000ms;
@@ -191,14 +212,28 @@ class ResearchModule {
     }
   }
 
+  /**
+   * 🆕 Systém výzkumu světa - nastavení světa (techSystem), při 'auto' podle kovárny
+   * @returns {'level'|'simple'}
+   */
+  getTechSystem() {
+    const account = this.db.getAccount(this.accountId);
+    const techSystem = account?.world ? this.db.getWorldSettings(account.world).techSystem : 'auto';
+
+    if (techSystem === 'level' || techSystem === 'simple') return techSystem;
+    return this.detectedTechSystem || 'level';
+  }
+
   /**
    * Získá aktuální stav všech jednotek
+   * 🆕 Zjistí i systém výzkumu - bez úrovní u jednotek jde o jednoduchý výzkum (úroveň 0/1)
    */
   async getStatus() {
     try {
-      return await this.page.evaluate(() => {
+      const { units, hasLevels } = await this.page.evaluate(() => {
         const result = {};
         const unitLinks = document.querySelectorAll('a.unit_link[data-unit]');
+        let hasLevels = false;
 
         unitLinks.forEach(link => {
           const unitType = link.getAttribute('data-unit');
@@ -209,6 +244,7 @@ class ResearchModule {
           const linkText = link.textContent.trim();
           const levelMatch = linkText.match(/\((\d+)\)/);
           const currentLevel = levelMatch ? parseInt(levelMatch[1]) : 0;
+          if (levelMatch) hasLevels = true;
 
           // Detekce stavu
           const sprite = row.querySelector('.unit_sprite');
@@ -234,17 +270,43 @@ class ResearchModule {
             isResearching = true;
           }
 
+          // 🆕 Cena výzkumu (data-cost, jinak text buňky)
+          const cost = {};
+          ['wood', 'stone', 'iron'].forEach(res => {
+            const el = row.querySelector(`.cost_${res}`);
+            const value = el ? parseInt(el.getAttribute('data-cost') || el.textContent.replace(/\D/g, '')) : NaN;
+            if (!isNaN(value)) cost[res] = value;
+          });
+
           result[unitType] = {
             currentLevel: currentLevel,
+            cost: Object.keys(cost).length === 3 ? cost : null,
             canResearch: canResearch,
             isResearching: isResearching,
             maxReached: maxReached,
-            requirementsNotMet: hasCross
+            requirementsNotMet: hasCross,
+            // Jednoduchý výzkum: bez tlačítka, bez rušení a bez křížku = vyzkoumáno
+            researched: !hasResearchButton && !hasCancelButton && !hasCross && !isGrey
           };
         });
 
-        return result;
+        return { units: result, hasLevels };
       });
+
+      // Vyzkoumané jednotky bez úrovně → jednoduchý výzkum (bez vyzkoumaných jednotek nejde poznat)
+      if (hasLevels) {
+        this.detectedTechSystem = 'level';
+      } else if (Object.values(units).some(unit => unit.researched)) {
+        this.detectedTechSystem = 'simple';
+      }
+
+      if (this.getTechSystem() === 'simple') {
+        for (const unit of Object.values(units)) {
+          unit.currentLevel = unit.researched || unit.maxReached ? 1 : 0;
+        }
+      }
+
+      return units;
     } catch (error) {
       logger.error('Chyba při získávání stavu výzkumu', this.getAccountName(), error);
       return {};
@@ -272,7 +334,7 @@ class ResearchModule {
         await this.page.waitForTimeout(1500);
 
         // Zjistíme cílovou úroveň z šablony
-        const targetLevel = this.activeTemplate.levels[unitType] || 0;
+        const targetLevel = this.getTargetLevel(unitType);
 
         // LOGUJ AKCI
         logger.research(this.getAccountName(), unitType, targetLevel);
@@ -286,28 +348,153 @@ class ResearchModule {
     }
   }
 
+  /**
+   * 🆕 Cílová úroveň jednotky - v jednoduchém výzkumu je každá nenulová úroveň šablony "vyzkoumat" (1)
+   */
+  getTargetLevel(unitType) {
+    const level = Number(this.activeTemplate.levels[unitType]) || 0;
+    return this.getTechSystem() === 'simple' ? Math.min(level, 1) : level;
+  }
+
+  /**
+   * 🆕 Pořadí výzkumu - nejdřív jednotky z pole order šablony, pak zbytek ve výchozím pořadí
+   */
+  getPriority() {
+    const order = (this.activeTemplate.order || []).filter(unitType => this.priority.includes(unitType));
+    return [...order, ...this.priority.filter(unitType => !order.includes(unitType))];
+  }
+
+  /**
+   * 🆕 Suroviny ve vesnici (hlavička hry)
+   */
+  async getResources() {
+    try {
+      return await this.page.evaluate(() => {
+        const parse = (id) => parseInt(document.getElementById(id)?.textContent.replace(/\./g, '')) || 0;
+        return { wood: parse('wood'), stone: parse('stone'), iron: parse('iron') };
+      });
+    } catch (error) {
+      logger.error('Chyba při čtení surovin', this.getAccountName(), error);
+      return null;
+    }
+  }
+
+  /**
+   * 🆕 Další krok šablony výstavby vesnice a jeho cena
+   * Jen když má vesnice zapnutou výstavbu a BuildingModule už uložil úrovně budov (villages.buildings)
+   * @returns {{building: string, level: number, cost: object}|null}
+   */
+  getNextBuildingStep() {
+    if (!this.villageId) return null;
+
+    const settings = this.db.getBuildingSettings(this.accountId, this.villageId);
+    if (!settings?.enabled) return null;
+
+    const template = this.db.getTemplate('building', settings.template);
+    const levels = this.db.getVillage(this.accountId, this.villageId)?.buildings;
+    if (!template || !levels) return null;
+
+    const step = (template.steps || []).find(step =>
+      BUILDINGS[step.building] &&
+      (levels[step.building] || 0) < Math.min(Number(step.level), BUILDINGS[step.building].maxLevel)
+    );
+    if (!step) return null;
+
+    const level = (levels[step.building] || 0) + 1;
+    return { building: step.building, level, cost: getBuildingCost(step.building, level) };
+  }
+
+  /**
+   * 🆕 Kolik surovin musí po výzkumu zůstat - minimum šablony, případně cena dalšího kroku výstavby
+   * @returns {{amounts: object, building: object|null}}
+   */
+  getProtectedResources() {
+    const minResources = Number(this.activeTemplate.minResources) || 0;
+    const building = this.activeTemplate.protectBuilding !== false ? this.getNextBuildingStep() : null;
+
+    const amounts = {};
+    this.RESOURCES.forEach(res => {
+      amounts[res] = Math.max(minResources, building?.cost[res] || 0);
+    });
+    return { amounts, building };
+  }
+
   /**
    * Najde jednotku k výzkumu podle priority a šablony
+   * 🆕 Výzkum, který by snížil suroviny pod minimum šablony nebo pod cenu dalšího kroku výstavby, přeskočí.
+   * Vrací i seznam jednotek, které nejdou zkoumat, a proč
+   * (requirements | max | resources | reserve | building | unavailable)
+   * @returns {{next: object|null, blocked: Array<object>}}
    */
-  findNextToResearch(status) {
-    const targetLevels = this.activeTemplate.levels;
+  findNextToResearch(status, resources = null) {
+    const blocked = [];
+    const protect = resources ? this.getProtectedResources() : null;
 
-    for (const unitType of this.priority) {
-      const targetLevel = targetLevels[unitType] || 0;
+    for (const unitType of this.getPriority()) {
+      const targetLevel = this.getTargetLevel(unitType);
       const unit = status[unitType];
 
       if (!unit || targetLevel === 0) continue;
+      if (unit.currentLevel >= targetLevel || unit.isResearching) continue;
 
-      // Pokud jsme nedosáhli cíle a můžeme zkoumat
-      if (unit.currentLevel < targetLevel && unit.canResearch && !unit.isResearching) {
-        return {
+      const entry = { unit: unitType, level: unit.currentLevel + 1 };
+
+      if (unit.requirementsNotMet) {
+        blocked.push({ ...entry, reason: 'requirements' });
+        continue;
+      }
+      if (unit.maxReached) {
+        blocked.push({ ...entry, reason: 'max' });
+        continue;
+      }
+
+      const missing = resources && unit.cost
+        ? this.RESOURCES.filter(res => resources[res] < unit.cost[res])
+        : [];
+
+      if (!unit.canResearch) {
+        blocked.push({ ...entry, reason: missing.length > 0 ? 'resources' : 'unavailable', resources: missing });
+        continue;
+      }
+
+      // Pravidla šablony - cenu známe jen z kovárny
+      if (protect && unit.cost) {
+        const below = this.RESOURCES.filter(res => resources[res] - unit.cost[res] < protect.amounts[res]);
+        if (below.length > 0) {
+          const byBuilding = protect.building &&
+            below.some(res => protect.building.cost[res] > (Number(this.activeTemplate.minResources) || 0));
+
+          blocked.push({
+            ...entry,
+            reason: byBuilding ? 'building' : 'reserve',
+            resources: below,
+            ...(byBuilding && { building: protect.building.building, buildingLevel: protect.building.level })
+          });
+          continue;
+        }
+      }
+
+      return {
+        next: {
           unitType: unitType,
           currentLevel: unit.currentLevel,
           targetLevel: targetLevel
-        };
-      }
+        },
+        blocked
+      };
+    }
+    return { next: null, blocked };
+  }
+
+  /**
+   * 🆕 Uloží přehled blokovaného výzkumu (control panel - řádek účtu)
+   */
+  saveBlocked(report) {
+    try {
+      this.db.updateResearchBlocked(this.accountId, this.villageId, report);
+    } catch (error) {
+      logger.error('Chyba při ukládání blokovaného výzkumu', this.getAccountName(), error);
     }
-    return null;
   }
 
   /**
@@ -350,6 +537,7 @@ class ResearchModule {
       // Zkontroluj frontu
       const queue = await this.checkQueue();
       if (queue.isResearching) {
+        this.saveBlocked({ researching: queue.units, next: null, blocked: [] });
         return {
           success: true,
           message: `Probíhá: ${queue.units.join(', ')}`,
@@ -363,13 +551,19 @@ class ResearchModule {
       this.saveStatus(status);
 
       // Najdi, co zkoumat
-      const next = this.findNextToResearch(status);
+      const resources = await this.getResources();
+      const { next, blocked } = this.findNextToResearch(status, resources);
+      this.saveBlocked({ researching: [], next: next?.unitType || null, blocked });
+
+      if (blocked.length > 0) {
+        console.log(`🔬 [${this.getAccountName()}] Výzkum blokován: ${blocked.map(b => `${b.unit} ${b.level} (${b.reason})`).join(', ')}`);
+      }
 
       if (!next) {
         return {
           success: true,
-          message: 'Vše hotovo',
-          status: 'completed',
+          message: blocked.length > 0 ? `Blokováno: ${blocked.map(b => b.unit).join(', ')}` : 'Vše hotovo',
+          status: blocked.length > 0 ? 'blocked' : 'completed',
           data: status,
           waitTime: 30 * 60 * 1000 // 30 minut
         };
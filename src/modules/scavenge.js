@@ -1,19 +1,51 @@
 /**
  * Modul pro automatický sběr surovin (Scavenge)
  *
- * Běží každých 5 minut a automaticky odesílá kopijníky na sběr.
- * Logika je založena na UserScriptu - rozdělení jednotek podle počtu možností.
+ * Běží každých 5 minut a automaticky odesílá jednotky na sběr.
+ * 🆕 Jednotky, rezervu doma a cílovou dobu sběru (počet hodin nebo čas návratu) určuje nastavení
+ * účtu (scavenge_config). Jednotky se rozdělí podle nosnosti tak, aby se všechny možnosti vrátily
+ * zároveň - nejpozději v cílový čas. Další kontrola je naplánovaná na skutečný návrat.
+ * 🆕 Zamčené možnosti odemyká jen podle pravidel světa / účtu (krok výstavby, rezerva surovin, nejvyšší možnost).
  * LANGUAGE-INDEPENDENT - používá pouze CSS třídy, ne text.
  */
 
 import { humanDelay } from '../utils/randomize.js';
 import { simulateReading } from '../utils/humanBehavior.js';
+import { BUILDINGS } from '../buildingTemplates.js';
 
 class ScavengeModule {
-  constructor(page, db, accountId) {
+  constructor(page, db, accountId, villageId = null) {
     this.page = page;
     this.db = db;
     this.accountId = accountId;
+    this.villageId = villageId; // 🆕 MULTI-VILLAGE: null = aktuální vesnice
+
+    // 🆕 Nosnost jednotek
+    this.CARRY = { spear: 25, sword: 15, axe: 10, archer: 10, light: 80, heavy: 50 };
+
+    // 🆕 Podíl nosnosti, který se vrátí jako suroviny (možnosti 1-4)
+    this.LOOT_FACTORS = [0.10, 0.25, 0.50, 0.75];
+
+    // Méně jednotek než tolik se na možnost neposílá
+    this.MIN_UNITS = 10;
+
+    // 🆕 Rezerva po návratu ze sběru, než se znovu zkontroluje
+    this.RETURN_BUFFER = 30 * 1000;
+
+    // 🆕 Cena odemčení možností 2-4 (možnost 1 je odemčená vždy)
+    this.UNLOCK_COSTS = [
+      null,
+      { wood: 250, stone: 300, iron: 250 },
+      { wood: 1000, stone: 1200, iron: 1000 },
+      { wood: 10000, stone: 12000, iron: 10000 }
+    ];
+  }
+
+  /**
+   * 🆕 MULTI-VILLAGE: Parametr vesnice pro URL (prázdný = aktuální vesnice)
+   */
+  getVillageParam() {
+    return this.villageId ? `village=${this.villageId}&` : '';
   }
 
   /**
@@ -43,7 +75,7 @@ class ScavengeModule {
       // Human delay před navigací (1-3s)
       await humanDelay(1000, 3000);
 
-      await this.page.goto(`${worldUrl}/game.php?screen=place&mode=scavenge`, {
+      await this.page.goto(`${worldUrl}/game.php?${this.getVillageParam()}screen=place&mode=scavenge`, {
         waitUntil: 'networkidle', // Čeká na kompletní načtení
         timeout: 30000
       });
@@ -112,7 +144,7 @@ class ScavengeModule {
   }
 
   /**
-   * Hlavní logika sběru - převzato z UserScriptu
+   * Hlavní logika sběru
    */
   async runScavengeLogic() {
     try {
@@ -122,11 +154,11 @@ class ScavengeModule {
 
       // Počkat na načtení elementů
       while (waited < maxWaitTime) {
-        const spearLinkExists = await this.page.evaluate(() => {
-          return document.querySelector('a.units-entry-all[data-unit="spear"]') !== null;
+        const unitLinkExists = await this.page.evaluate(() => {
+          return document.querySelector('a.units-entry-all[data-unit]') !== null;
         });
 
-        if (spearLinkExists) {
+        if (unitLinkExists) {
           break;
         }
 
@@ -134,28 +166,18 @@ class ScavengeModule {
         waited += checkInterval;
       }
 
-      // Získat počet dostupných kopijníků
-      const spearCount = await this.page.evaluate(() => {
-        const spearLink = document.querySelector('a.units-entry-all[data-unit="spear"]');
-        if (!spearLink) return 0;
-
-        // Link má strukturu: <a class="units-entry-all" data-unit="spear">(3681)</a>
-        const text = spearLink.textContent || '';
-        const match = text.match(/\((\d+)\)/);
-
-        if (match) {
-          let count = parseInt(match[1], 10);
-          // Maximum 1000 kopijníků
-          return count > 1000 ? 1000 : count;
-        }
+      const config = this.db.getScavengeSettings(this.accountId, this.villageId).config;
+      const account = this.db.getAccount(this.accountId);
+      const worldSettings = this.db.getWorldSettings(account.world);
 
-        return 0;
-      });
+      // 🆕 Jednotky k dispozici po odečtení rezervy
+      const units = await this.getAvailableUnits(config);
+      const totalUnits = Object.values(units).reduce((sum, count) => sum + count, 0);
 
-      console.log(`🪖 Dostupné kopijníky: ${spearCount}`);
+      console.log(`🪖 Dostupné jednotky:`, units);
 
-      if (spearCount === 0) {
-        console.log(`⏭️  Žádné kopijníky k dispozici`);
+      if (totalUnits === 0) {
+        console.log(`⏭️  Žádné jednotky k dispozici`);
         return { success: true, message: 'Žádné jednotky k dispozici', waitTime: 5 * 60 * 1000 };
       }
 
@@ -166,31 +188,49 @@ class ScavengeModule {
 
       // Pokud něco běží nebo nic není dostupné
       if (scavengeAnalysis.running > 0 || scavengeAnalysis.availableForSend.length === 0) {
-        // Pokud jsou zamčené možnosti, zkus je odemknout
+        // Pokud jsou zamčené možnosti, zkus je odemknout (🆕 jen když to pravidla dovolí)
         if (scavengeAnalysis.locked.length > 0) {
-          console.log(`🔓 Pokus o odemknutí možnosti...`);
-          await this.unlockOption(scavengeAnalysis.locked[0]);
-          return { success: true, message: 'Odemykání možnosti', waitTime: 5 * 60 * 1000 };
+          const optionIndex = scavengeAnalysis.locked[0];
+          const unlock = await this.checkUnlockPolicy(optionIndex, this.getUnlockPolicy(config, worldSettings));
+
+          if (unlock.allowed) {
+            console.log(`🔓 Pokus o odemknutí možnosti ${optionIndex + 1}...`);
+            await this.unlockOption(optionIndex);
+            return { success: true, message: 'Odemykání možnosti', waitTime: 5 * 60 * 1000 };
+          }
+
+          console.log(`🔒 Možnost ${optionIndex + 1} se neodemyká: ${unlock.reason}`);
         }
 
-        console.log(`⏳ Sběr běží, čekání...`);
-        return { success: true, message: 'Sběr již běží', waitTime: 5 * 60 * 1000 };
+        // 🆕 Probudit se při návratu posledního běžícího sběru
+        const returnSeconds = Math.max(0, ...scavengeAnalysis.returnSeconds);
+        console.log(`⏳ Sběr běží, návrat za ${Math.ceil(returnSeconds / 60)} min`);
+        return {
+          success: true,
+          message: 'Sběr již běží',
+          waitTime: returnSeconds > 0 ? returnSeconds * 1000 + this.RETURN_BUFFER : 5 * 60 * 1000
+        };
       }
 
-      // Rozdělit jednotky podle počtu možností
-      const allocation = this.calculateAllocation(spearCount, scavengeAnalysis.availableForSend.length);
+      // 🆕 Rozdělit jednotky podle nosnosti, aby se všechny možnosti vrátily zároveň
+      const targetSeconds = this.getTargetSeconds(config, worldSettings.speed);
+      const allocation = this.calculateAllocation(units, scavengeAnalysis.availableForSend, targetSeconds, worldSettings.speed);
 
-      console.log(`📦 Rozdělení jednotek:`, allocation);
+      const loot = allocation.reduce((sum, run) => sum + run.loot, 0);
+      const duration = Math.max(0, ...allocation.map(run => run.duration));
+      console.log(`📦 Rozdělení jednotek (cíl ${Math.round(targetSeconds / 60)} min, návrat za ${Math.round(duration / 60)} min, ~${Math.round(loot / Math.max(duration, 1) * 3600)} surovin/h):`,
+        allocation.map(run => ({ option: run.optionIndex + 1, ...run.units })));
 
       // Odeslat na všechny dostupné možnosti
-      const sent = await this.sendToAllOptions(scavengeAnalysis.availableForSend, allocation);
+      const sent = await this.sendToAllOptions(allocation);
 
       console.log(`✅ Odesláno na ${sent} možností`);
 
       return {
         success: true,
         message: `Odesláno ${sent} scavenge možností`,
-        waitTime: 2 * 60 * 1000 // 2 minuty po odeslání
+        returnAt: sent > 0 ? new Date(Date.now() + duration * 1000).toISOString() : null,
+        waitTime: sent > 0 ? duration * 1000 + this.RETURN_BUFFER : 2 * 60 * 1000
       };
 
     } catch (error) {
@@ -199,6 +239,130 @@ class ScavengeModule {
     }
   }
 
+  /**
+   * 🆕 Počty jednotek na stránce sběru po odečtení rezervy (jen jednotky z nastavení)
+   * Odkaz má strukturu: <a class="units-entry-all" data-unit="spear">(3681)</a>
+   * @returns {Promise<object>} { spear: 1200, light: 300, ... }
+   */
+  async getAvailableUnits(config) {
+    const counts = await this.page.evaluate((unitTypes) => {
+      const result = {};
+      unitTypes.forEach(unitType => {
+        const link = document.querySelector(`a.units-entry-all[data-unit="${unitType}"]`);
+        const match = (link?.textContent || '').match(/\((\d+)\)/);
+        result[unitType] = match ? parseInt(match[1], 10) : 0;
+      });
+      return result;
+    }, config.units.filter(unitType => this.CARRY[unitType]));
+
+    const units = {};
+    for (const [unitType, count] of Object.entries(counts)) {
+      const available = count - (Number(config.reserve[unitType]) || 0);
+      if (available > 0) units[unitType] = available;
+    }
+    return units;
+  }
+
+  /**
+   * 🆕 Doba sběru v sekundách podle herního vzorce
+   * @param {number} capacity - Nosnost poslaných jednotek
+   */
+  getRunDuration(capacity, optionIndex, worldSpeed = 1) {
+    const loot = capacity * this.LOOT_FACTORS[optionIndex];
+    return (Math.pow(Math.pow(loot, 2) * 100, 0.45) + 1800) * Math.pow(worldSpeed, -0.55);
+  }
+
+  /**
+   * 🆕 Nosnost, se kterou se možnost vrátí přesně za danou dobu (inverze getRunDuration)
+   */
+  getCapacityForDuration(seconds, optionIndex, worldSpeed = 1) {
+    const base = seconds / Math.pow(worldSpeed, -0.55) - 1800;
+    if (base <= 0) return 0;
+
+    const loot = Math.sqrt(Math.pow(base, 1 / 0.45) / 100);
+    return loot / this.LOOT_FACTORS[optionIndex];
+  }
+
+  /**
+   * 🆕 Cílová doba sběru v sekundách - run_hours, nebo čas do return_at (HH:MM, místní čas počítače s botem - ne čas herního serveru)
+   * Když se do return_at dnes nestihne ani nejkratší sběr, platí return_at dalšího dne
+   */
+  getTargetSeconds(config, worldSpeed = 1) {
+    if (config.run_mode !== 'return_at' || !config.return_at) {
+      return config.run_hours * 3600;
+    }
+
+    const [hours, minutes] = config.return_at.split(':').map(Number);
+    const returnAt = new Date();
+    returnAt.setHours(hours, minutes, 0, 0);
+
+    const minimum = this.getRunDuration(0, 0, worldSpeed) + 5 * 60;
+    if ((returnAt.getTime() - Date.now()) / 1000 < minimum) {
+      returnAt.setDate(returnAt.getDate() + 1);
+    }
+
+    return Math.floor((returnAt.getTime() - Date.now()) / 1000);
+  }
+
+  /**
+   * 🆕 Rozdělit jednotky mezi možnosti tak, aby se všechny vrátily zároveň
+   * Doba sběru závisí jen na surovinách, vyšší možnost na ně ale potřebuje menší nosnost.
+   * Když jednotek stačí na cílovou dobu, dostane každá možnost nosnost právě na ni a zbytek zůstane doma,
+   * jinak se půlením hledá kratší společná doba, na kterou nosnost přesně stačí.
+   * Poměr typů jednotek je ve všech možnostech stejný.
+   * @param {object} units - Dostupné jednotky { spear: 1200, ... }
+   * @param {Array<number>} optionIndexes - Volné možnosti (0-3)
+   * @param {number} targetSeconds - Cílová doba sběru
+   * @returns {Array<object>} [{ optionIndex, units, capacity, loot, duration }]
+   */
+  calculateAllocation(units, optionIndexes, targetSeconds, worldSpeed = 1) {
+    const totalCapacity = Object.entries(units)
+      .reduce((sum, [unitType, count]) => sum + count * this.CARRY[unitType], 0);
+    if (totalCapacity === 0) return [];
+
+    const neededCapacity = (seconds) => optionIndexes
+      .reduce((sum, optionIndex) => sum + this.getCapacityForDuration(seconds, optionIndex, worldSpeed), 0);
+
+    let duration = targetSeconds;
+    if (neededCapacity(targetSeconds) > totalCapacity) {
+      let low = this.getRunDuration(0, 0, worldSpeed);
+      let high = targetSeconds;
+      for (let i = 0; i < 50; i++) {
+        const middle = (low + high) / 2;
+        if (neededCapacity(middle) > totalCapacity) high = middle;
+        else low = middle;
+      }
+      duration = low;
+    }
+
+    const allocation = [];
+
+    for (const optionIndex of [...optionIndexes].sort((a, b) => b - a)) {
+      const capacity = this.getCapacityForDuration(duration, optionIndex, worldSpeed);
+      if (capacity <= 0) continue;
+
+      const share = capacity / totalCapacity;
+      const optionUnits = {};
+      for (const [unitType, count] of Object.entries(units)) {
+        const unitCount = Math.floor(count * share);
+        if (unitCount > 0) optionUnits[unitType] = unitCount;
+      }
+
+      const sentCapacity = Object.entries(optionUnits)
+        .reduce((sum, [unitType, count]) => sum + count * this.CARRY[unitType], 0);
+
+      allocation.push({
+        optionIndex,
+        units: optionUnits,
+        capacity: sentCapacity,
+        loot: Math.floor(sentCapacity * this.LOOT_FACTORS[optionIndex]),
+        duration: Math.round(this.getRunDuration(sentCapacity, optionIndex, worldSpeed))
+      });
+    }
+
+    return allocation;
+  }
+
   /**
    * Analyzovat scavenge možnosti
    */
@@ -208,6 +372,7 @@ class ScavengeModule {
 
       const availableForSend = [];
       const locked = [];
+      const returnSeconds = [];
       let running = 0;
 
       options.forEach((opt, index) => {
@@ -227,47 +392,37 @@ class ScavengeModule {
         } else if (countdown && countdown.textContent.trim() !== '') {
           // Běžící sběr
           running++;
+
+          // 🆕 Zbývající doba (H:MM:SS)
+          const match = countdown.textContent.match(/(\d+):(\d{2}):(\d{2})/);
+          if (match) {
+            returnSeconds.push(parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseInt(match[3]));
+          }
         }
       });
 
-      return { availableForSend, locked, running };
+      return { availableForSend, locked, running, returnSeconds };
     });
   }
 
-  /**
-   * Vypočítat rozdělení jednotek podle počtu možností
-   * Podle UserScriptu
-   */
-  calculateAllocation(totalSpears, optionsCount) {
-    const allocationPercentages = {
-      4: [57.63, 23.03, 11.51, 7.64],
-      3: [62.48, 24.99, 12.49],
-      2: [71.42, 28.57],
-      1: [100]
-    };
-
-    const percentages = allocationPercentages[optionsCount] || [100];
-    return percentages.map(pct => Math.floor((pct / 100) * totalSpears));
-  }
-
   /**
    * Odeslat jednotky na všechny dostupné možnosti
+   * @param {Array<object>} allocation - Výsledek calculateAllocation()
    */
-  async sendToAllOptions(optionIndexes, allocation) {
+  async sendToAllOptions(allocation) {
     let sent = 0;
 
-    for (let i = 0; i < optionIndexes.length; i++) {
-      const optionIndex = optionIndexes[i];
-      const unitsToSend = allocation[i];
+    for (const run of allocation) {
+      const unitsCount = Object.values(run.units).reduce((sum, count) => sum + count, 0);
 
-      if (unitsToSend < 10) {
-        console.log(`⏭️  Přeskakuji možnost ${optionIndex + 1} (méně než 10 jednotek)`);
+      if (unitsCount < this.MIN_UNITS) {
+        console.log(`⏭️  Přeskakuji možnost ${run.optionIndex + 1} (méně než ${this.MIN_UNITS} jednotek)`);
         continue;
       }
 
-      console.log(`📤 Odesílám ${unitsToSend} jednotek na možnost ${optionIndex + 1}...`);
+      console.log(`📤 Odesílám ${unitsCount} jednotek na možnost ${run.optionIndex + 1} (návrat za ${Math.round(run.duration / 60)} min)...`);
 
-      const success = await this.sendToOption(optionIndex, unitsToSend);
+      const success = await this.sendToOption(run.optionIndex, run.units);
 
       if (success) {
         sent++;
@@ -281,21 +436,26 @@ class ScavengeModule {
 
   /**
    * Odeslat jednotky na konkrétní možnost
+   * @param {object} units - { spear: 500, light: 100, ... } (ostatní jednotky se vynulují)
    */
-  async sendToOption(optionIndex, unitsCount) {
+  async sendToOption(optionIndex, units) {
     try {
-      const success = await this.page.evaluate(({ optionIndex, unitsCount }) => {
-        // Najdi input pro spear
-        const spearInput = document.querySelector('input[name="spear"]');
-        if (!spearInput) return false;
+      const success = await this.page.evaluate(({ optionIndex, units, unitTypes }) => {
+        // Vyplň inputy všech jednotek sběru
+        for (const unitType of unitTypes) {
+          const input = document.querySelector(`input[name="${unitType}"]`);
+          if (!input) {
+            if (units[unitType]) return false;
+            continue;
+          }
 
-        // Nastav hodnotu
-        spearInput.value = unitsCount.toString();
+          input.value = (units[unitType] || 0).toString();
 
-        // Trigger events
-        ['input', 'change', 'keyup', 'keydown', 'blur'].forEach(eventType => {
-          spearInput.dispatchEvent(new Event(eventType, { bubbles: true }));
-        });
+          // Trigger events
+          ['input', 'change', 'keyup', 'keydown', 'blur'].forEach(eventType => {
+            input.dispatchEvent(new Event(eventType, { bubbles: true }));
+          });
+        }
 
         // Najdi konkrétní scavenge option
         const options = Array.from(document.querySelectorAll('.scavenge-option'));
@@ -311,7 +471,7 @@ class ScavengeModule {
         sendButton.click();
 
         return true;
-      }, { optionIndex, unitsCount });
+      }, { optionIndex, units, unitTypes: Object.keys(this.CARRY) });
 
       return success;
     } catch (error) {
@@ -320,6 +480,70 @@ class ScavengeModule {
     }
   }
 
+  /**
+   * 🆕 Pravidla odemykání - nastavení světa, hodnoty z nastavení účtu (config.unlock) je přebíjí
+   */
+  getUnlockPolicy(config, worldSettings) {
+    const policy = { ...worldSettings.scavengeUnlock };
+    for (const [key, value] of Object.entries(config.unlock || {})) {
+      if (value !== null && value !== undefined) policy[key] = Number(value);
+    }
+    return policy;
+  }
+
+  /**
+   * 🆕 Smí se možnost odemknout?
+   * @returns {Promise<{allowed: boolean, reason: string|null}>}
+   */
+  async checkUnlockPolicy(optionIndex, policy) {
+    if (optionIndex + 1 > policy.max_option) {
+      return { allowed: false, reason: `odemykání do možnosti ${policy.max_option}` };
+    }
+
+    if (policy.after_step > 0 && !this.isBuildingStepDone(policy.after_step)) {
+      return { allowed: false, reason: `čeká na ${policy.after_step}. krok šablony výstavby` };
+    }
+
+    const cost = this.UNLOCK_COSTS[optionIndex];
+    if (cost) {
+      const resources = await this.getResources();
+      const short = Object.keys(cost).filter(res => resources[res] - cost[res] < policy.min_resources);
+      if (short.length > 0) {
+        return { allowed: false, reason: `po odemčení by ${short.join(', ')} kleslo pod ${policy.min_resources}` };
+      }
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * 🆕 Je hotových prvních N kroků šablony výstavby vesnice?
+   * Úrovně budov ukládá BuildingModule (villages.buildings) - bez nich se čeká
+   */
+  isBuildingStepDone(stepCount) {
+    if (!this.villageId) return false;
+
+    const settings = this.db.getBuildingSettings(this.accountId, this.villageId);
+    const template = settings ? this.db.getTemplate('building', settings.template) : null;
+    const levels = this.db.getVillage(this.accountId, this.villageId)?.buildings;
+    if (!template || !levels) return false;
+
+    return (template.steps || []).slice(0, stepCount).every(step =>
+      !BUILDINGS[step.building] ||
+      (levels[step.building] || 0) >= Math.min(Number(step.level), BUILDINGS[step.building].maxLevel)
+    );
+  }
+
+  /**
+   * 🆕 Suroviny ve vesnici (hlavička hry)
+   */
+  async getResources() {
+    return await this.page.evaluate(() => {
+      const parse = (id) => parseInt(document.getElementById(id)?.textContent.replace(/\./g, '')) || 0;
+      return { wood: parse('wood'), stone: parse('stone'), iron: parse('iron') };
+    });
+  }
+
   /**
    * Pokus o odemknutí zamčené možnosti (premium)
    */
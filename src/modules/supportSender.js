@@ -387,7 +387,7 @@ class SupportSender {
    * Odeslat nejrychlejší dostupnou jednotku na podporu
    * @param {number} targetX - Cílová X souřadnice
    * @param {number} targetY - Cílová Y souřadnice
-   * @param {Object} worldSettings - Nastavení světa (speed)
+   * @param {Object} worldSettings - Nastavení světa (speed, unitSpeedModifier, unitSpeeds)
    * @param {Date} arrivalTime - Požadovaný čas dopadu
    */
   async sendFastestSupport(targetX, targetY, worldSettings, arrivalTime) {
@@ -407,8 +407,8 @@ class SupportSender {
       const now = new Date();
       const availableTime = (arrivalTime - now) / 1000 / 60; // minuty
 
-      // Rychlosti jednotek (minuty/pole)
-      const UNIT_SPEEDS = {
+      // Rychlosti jednotek (minuty/pole) - výchozí, pokud svět nemá zjištěné unitSpeeds
+      const DEFAULT_UNIT_SPEEDS = {
         spy: 9,
         knight: 10,
         light: 10,
@@ -423,6 +423,8 @@ class SupportSender {
         snob: 35
       };
 
+      const UNIT_SPEEDS = { ...DEFAULT_UNIT_SPEEDS, ...(worldSettings.unitSpeeds || {}) };
+
       const UNIT_ORDER = ['spy', 'knight', 'light', 'marcher', 'heavy', 'spear', 'axe', 'archer', 'sword', 'ram', 'catapult', 'snob'];
 
       // Získat informace o jednotkách
@@ -436,11 +438,12 @@ class SupportSender {
       }
 
       const worldSpeed = worldSettings.speed || 1;
+      const unitSpeedModifier = worldSettings.unitSpeedModifier || 1;
 
       // Najít nejrychlejší dostupnou jednotku
       for (const unit of UNIT_ORDER) {
         const unitSpeed = UNIT_SPEEDS[unit];
-        const requiredTime = (distance * unitSpeed) / worldSpeed;
+        const requiredTime = (distance * unitSpeed) / (worldSpeed * unitSpeedModifier);
         const unitCount = unitsInfo[unit]?.inVillages || 0;
 
         if (requiredTime <= availableTime && unitCount > 0) {
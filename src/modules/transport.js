@@ -0,0 +1,276 @@
+/**
+ * 🆕 Modul pro přesun surovin mezi vlastními vesnicemi
+ *
+ * BuildingModule ukládá suroviny chybějící na další krok šablony výstavby (villages.building_needs).
+ * Tento modul běží ve vesnici odesílatele a posílá přebytek vesnicím stejného účtu,
+ * kterým suroviny chybí. S povoleným transport_cross_account i vesnicím ostatních
+ * vlastních účtů na stejném světě (které mají přesun mezi účty také povolený).
+ *
+ * Obchodníky a příchozí suroviny čte přes BalancModule (getMerchantsCount, getIncomingOutgoingResources).
+ */
+
+import { randomDelay } from '../utils/randomize.js';
+import BalancModule from './balanc.js';
+
+class TransportModule {
+  constructor(page, db, accountId, villageId = null) {
+    this.page = page;
+    this.db = db;
+    this.accountId = accountId;
+    this.villageId = villageId; // 🆕 MULTI-VILLAGE: null = aktuální vesnice
+    this.market = new BalancModule(page, db, accountId, villageId);
+
+    this.RESOURCES = ['wood', 'stone', 'iron'];
+    this.MIN_RESERVE = 2000; // Kolik z každé suroviny si odesílatel vždy nechá
+    this.NEEDS_MAX_AGE = 6 * 60 * 60 * 1000; // Starší požadavky se ignorují (vesnice mezitím stavěla)
+    this.SENT_VALID_FOR = 3 * 60 * 60 * 1000; // Jak dlouho se počítá s odeslanými surovinami (jiný účet)
+    this.WAIT_TIME = 30 * 60 * 1000;
+  }
+
+  /**
+   * 🆕 MULTI-VILLAGE: Parametr vesnice pro URL (prázdný = aktuální vesnice)
+   */
+  getVillageParam(villageId = this.villageId) {
+    return villageId ? `village=${villageId}&` : '';
+  }
+
+  /**
+   * Hlavní metoda modulu
+   */
+  async execute() {
+    try {
+      console.log(`\n🚚 === TRANSPORT - Účet ${this.accountId}, vesnice ${this.villageId || 'aktuální'} ===`);
+
+      const settings = this.db.getTransportSettings(this.accountId, this.villageId);
+      if (!settings) {
+        throw new Error(`Účet s ID ${this.accountId} nebyl nalezen`);
+      }
+
+      // Vesnice, která sama na něco čeká, nic neposílá
+      const ownVillage = this.villageId ? this.db.getVillage(this.accountId, this.villageId) : null;
+      if (ownVillage && this.isNeedFresh(ownVillage.building_needs)) {
+        console.log(`⏭️  Vesnici chybí suroviny na vlastní stavbu, nic neposílám`);
+        return { success: true, sent: 0, waitTime: this.WAIT_TIME };
+      }
+
+      const targets = this.db.getTransportTargets(this.accountId, settings.crossAccount)
+        .filter(target => !(target.account_id === this.accountId && target.village_id === this.villageId))
+        .filter(target => this.isNeedFresh(target.building_needs));
+
+      if (targets.length === 0) {
+        console.log(`✅ Žádná vesnice nepotřebuje suroviny`);
+        return { success: true, sent: 0, waitTime: this.WAIT_TIME };
+      }
+
+      const worldUrl = this.market.getWorldUrl();
+
+      // 1. Suroviny a obchodníci odesílatele (tržiště - own_offer)
+      await randomDelay(400, 300);
+      await this.page.goto(`${worldUrl}/game.php?${this.getVillageParam()}screen=market&mode=own_offer`, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000
+      });
+      await randomDelay(1500, 700);
+
+      const resources = await this.market.getResourceStates();
+      const merchants = await this.market.getMerchantsCount();
+      console.log(`📦 Suroviny:`, resources);
+      console.log(`🚚 Obchodníci: ${merchants.available}/${merchants.total}`);
+
+      let availableMerchants = merchants.available;
+      let sentCount = 0;
+
+      for (const target of targets) {
+        if (availableMerchants <= 0) {
+          console.log(`⏭️  Žádní další dostupní obchodníci`);
+          break;
+        }
+
+        const label = `${target.username} | ${target.name || target.village_id}`;
+
+        // 2. Co ještě chybí (bez surovin, které už jsou na cestě)
+        const onTheWay = await this.getResourcesOnTheWay(worldUrl, target);
+        const missing = this.calculateMissing(target.building_needs, onTheWay);
+
+        if (this.sum(missing) === 0) {
+          console.log(`  ✅ [${label}] Suroviny na ${target.building_needs.building} ${target.building_needs.level} už jsou na cestě`);
+          continue;
+        }
+
+        // 3. Kolik můžeme poslat (rezerva + kapacita obchodníků)
+        const amounts = this.calculateAmounts(missing, resources, availableMerchants);
+        if (this.sum(amounts) === 0) {
+          console.log(`  ⏭️  [${label}] Nemám čím pomoct (rezerva ${this.MIN_RESERVE})`);
+          continue;
+        }
+
+        console.log(`  📤 [${label}] Posílám na ${target.building_needs.building} ${target.building_needs.level}:`, amounts);
+
+        const success = await this.sendResources(worldUrl, target, amounts);
+        if (!success) continue;
+
+        this.db.recordVillageTransport(target.account_id, target.village_id, amounts);
+        this.RESOURCES.forEach(res => { resources[res] -= amounts[res]; });
+        availableMerchants -= this.market.merchantsFor(this.sum(amounts));
+        sentCount++;
+      }
+
+      return {
+        success: true,
+        sent: sentCount,
+        message: `Přesun surovin dokončen - odesláno ${sentCount} transportů`,
+        waitTime: this.WAIT_TIME
+      };
+
+    } catch (error) {
+      console.error(`❌ Chyba při přesunu surovin:`, error.message);
+      return {
+        success: false,
+        error: error.message,
+        waitTime: this.WAIT_TIME
+      };
+    }
+  }
+
+  /**
+   * Je požadavek na suroviny aktuální?
+   */
+  isNeedFresh(needs) {
+    if (!needs || !needs.updated_at) return false;
+    return Date.now() - new Date(needs.updated_at).getTime() < this.NEEDS_MAX_AGE;
+  }
+
+  /**
+   * Suroviny, které už cílové vesnici jedou
+   * Vlastní vesnice - příchozí suroviny z jejího tržiště (vidíme všechny transporty)
+   * Vesnice jiného účtu - co jsme jí sami nedávno poslali (jeho tržiště nevidíme)
+   */
+  async getResourcesOnTheWay(worldUrl, target) {
+    const needs = target.building_needs;
+
+    if (target.account_id !== this.accountId) {
+      const sentAt = needs.sent_at ? new Date(needs.sent_at).getTime() : 0;
+      const valid = needs.sent && Date.now() - sentAt < this.SENT_VALID_FOR;
+      return valid ? needs.sent : { wood: 0, stone: 0, iron: 0 };
+    }
+
+    await randomDelay(400, 300);
+    await this.page.goto(`${worldUrl}/game.php?${this.getVillageParam(target.village_id)}screen=market&mode=own_offer`, {
+      waitUntil: 'domcontentloaded',
+      timeout: 30000
+    });
+    await randomDelay(1000, 500);
+
+    const { incoming } = await this.market.getIncomingOutgoingResources();
+    return incoming;
+  }
+
+  /**
+   * Chybějící suroviny po odečtení surovin na cestě (zaokrouhleno nahoru na stovky)
+   */
+  calculateMissing(needs, onTheWay) {
+    const missing = {};
+    this.RESOURCES.forEach(res => {
+      const value = Math.max(0, (needs[res] || 0) - (onTheWay[res] || 0));
+      missing[res] = Math.ceil(value / 100) * 100;
+    });
+    return missing;
+  }
+
+  /**
+   * Kolik poslat - chybějící suroviny omezené rezervou odesílatele a nosností obchodníků
+   */
+  calculateAmounts(missing, resources, availableMerchants) {
+    const amounts = {};
+    this.RESOURCES.forEach(res => {
+      const spare = Math.max(0, (resources[res] || 0) - this.MIN_RESERVE);
+      amounts[res] = Math.min(missing[res], spare);
+    });
+
+    // Víc, než obchodníci unesou - zmenšit poměrně
+    const capacity = availableMerchants * this.market.MERCHANT_CAPACITY;
+    const total = this.sum(amounts);
+    if (total > capacity) {
+      const factor = capacity / total;
+      this.RESOURCES.forEach(res => {
+        amounts[res] = Math.floor(amounts[res] * factor / 100) * 100;
+      });
+    }
+
+    return amounts;
+  }
+
+  sum(resources) {
+    return this.RESOURCES.reduce((total, res) => total + (resources[res] || 0), 0);
+  }
+
+  /**
+   * Odeslat suroviny na souřadnice cílové vesnice (tržiště - send + potvrzení)
+   * LANGUAGE-INDEPENDENT - používá pouze názvy inputů a formulářů
+   */
+  async sendResources(worldUrl, target, amounts) {
+    try {
+      await randomDelay(400, 300);
+      await this.page.goto(`${worldUrl}/game.php?${this.getVillageParam()}screen=market&mode=send`, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000
+      });
+      await randomDelay(1200, 500);
+
+      const filled = await this.page.evaluate(({ amounts, x, y }) => {
+        for (const [res, amount] of Object.entries(amounts)) {
+          const input = document.querySelector(`input[name="${res}"]`);
+          if (!input) return false;
+          input.value = amount > 0 ? amount : '';
+        }
+
+        // Nové rozhraní má jedno pole "x|y", starší dvě pole x a y
+        const targetInput = document.querySelector('input.target-input-field');
+        if (targetInput) {
+          targetInput.value = `${x}|${y}`;
+          targetInput.dispatchEvent(new Event('change', { bubbles: true }));
+          return true;
+        }
+
+        const inputX = document.querySelector('input[name="x"]');
+        const inputY = document.querySelector('input[name="y"]');
+        if (!inputX || !inputY) return false;
+
+        inputX.value = x;
+        inputY.value = y;
+        return true;
+      }, { amounts, x: target.coord_x, y: target.coord_y });
+
+      if (!filled) {
+        console.log(`  ⚠️  Formulář pro odeslání surovin nenalezen`);
+        return false;
+      }
+
+      await randomDelay(600, 300);
+      await this.page.click('form[name="market"] input[type="submit"], #market_send_form input[type="submit"]');
+
+      // Potvrzovací stránka
+      await this.page.waitForSelector('#market-confirm-form input[type="submit"], form[action*="action=send"] input[type="submit"]', { timeout: 10000 });
+      await randomDelay(800, 400);
+      await this.page.click('#market-confirm-form input[type="submit"], form[action*="action=send"] input[type="submit"]');
+      await this.page.waitForTimeout(2000);
+
+      const error = await this.page.evaluate(() => {
+        const errorBox = document.querySelector('.error_box, .autoHideBox.error');
+        return errorBox ? errorBox.textContent.trim() : null;
+      });
+
+      if (error) {
+        console.log(`  ❌ Odeslání selhalo: ${error}`);
+        return false;
+      }
+
+      return true;
+    } catch (error) {
+      console.error(`Chyba při odesílání surovin:`, error.message);
+      return false;
+    }
+  }
+}
+
+export default TransportModule;
@@ -0,0 +1,47 @@
+import 'dotenv/config';
+import DatabaseManager from './database.js';
+
+/**
+ * Skript pro změnu hlavního hesla šifrování (VAULT_KEY)
+ *
+ * Použití:
+ * 1. Zastav automatizaci i control panel
+ * 2. Spusť: NEW_VAULT_KEY=nove_heslo npm run rotate-key
+ *    (současné heslo se načte z VAULT_KEY v .env)
+ * 3. Ulož nové heslo do VAULT_KEY v .env
+ *
+ * Prázdné NEW_VAULT_KEY šifrování vypne (údaje se uloží nešifrovaně).
+ * První zapnutí šifrování nepotřebuje tento skript - stačí nastavit VAULT_KEY.
+ */
+
+function rotateVaultKey() {
+  console.log('='.repeat(60));
+  console.log('🔐 Změna hlavního hesla šifrování');
+  console.log('='.repeat(60));
+
+  const newKey = process.env.NEW_VAULT_KEY;
+  if (newKey === undefined) {
+    console.error('❌ Chybí NEW_VAULT_KEY (nové heslo, prázdné = vypnout šifrování)');
+    process.exit(1);
+  }
+
+  // DatabaseManager ověří současný VAULT_KEY (při špatném hesle vyhodí chybu)
+  const db = new DatabaseManager();
+
+  const changed = db.rotateVaultKey(newKey || null);
+  db.close();
+
+  console.log(`✅ Přešifrováno ${changed} údajů`);
+  if (newKey) {
+    console.log('⚠️  Nastav v .env: VAULT_KEY=<nové heslo> a teprve pak spusť automatizaci');
+  } else {
+    console.log('⚠️  Šifrování vypnuto - odstraň VAULT_KEY z .env');
+  }
+}
+
+try {
+  rotateVaultKey();
+} catch (error) {
+  console.error('❌ Chyba při změně hesla:', error.message);
+  process.exit(1);
+}
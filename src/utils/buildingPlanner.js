@@ -0,0 +1,241 @@
+/**
+ * Simulátor šablony výstavby - odhad, kdy se dokončí jednotlivé kroky
+ *
+ * Počítá s produkcí dolů, kapacitou skladu, populací selského dvora a zrychlením
+ * výstavby hlavní budovou. Chová se jako BuildingModule: staví první nehotový krok,
+ * při plném selském dvoře (< 10 % volné populace) nejdřív selský dvůr a pokud se
+ * cena nevejde do skladu, nejdřív skladiště. Jedna stavba najednou.
+ * Vzorce jsou herní (rychlost světa 1x = základ), výsledek je odhad.
+ */
+
+import { BUILDINGS, BUILD_TIME_FACTOR } from '../buildingTemplates.js';
+
+const RESOURCES = ['wood', 'stone', 'iron'];
+
+// Důl: produkce za hodinu na úrovni 0 a 1, dál × 1.163118 za úroveň
+const BASE_PRODUCTION = 5;
+const MINE_PRODUCTION = 30;
+const MINE_FACTOR = 1.163118;
+
+// Sklad a selský dvůr: kapacita 1. úrovně a násobek za úroveň
+const STORAGE_BASE = 1000;
+const STORAGE_FACTOR = 1.2294934;
+const FARM_BASE = 240;
+const FARM_FACTOR = 1.172103;
+
+// Hlavní budova zkracuje výstavbu o ~5 % za úroveň
+const MAIN_TIME_FACTOR = 1.05;
+
+// Ochrana proti nekonečné simulaci
+const MAX_BUILDS = 2000;
+
+/**
+ * Cena úrovně budovy
+ * @returns {{wood: number, stone: number, iron: number}}
+ */
+export function getBuildingCost(building, level) {
+  const data = BUILDINGS[building];
+  const cost = {};
+  RESOURCES.forEach(res => {
+    cost[res] = Math.round(data.cost[res] * Math.pow(data.factor[res], level - 1));
+  });
+  return cost;
+}
+
+/**
+ * Celková populace budovy na dané úrovni
+ */
+export function getBuildingPopulation(building, level) {
+  const data = BUILDINGS[building];
+  if (level <= 0 || data.pop === 0) return 0;
+  return Math.round(data.pop * Math.pow(data.popFactor, level - 1));
+}
+
+/**
+ * Čas výstavby úrovně budovy v sekundách
+ * @param {number} mainLevel - Aktuální úroveň hlavní budovy
+ * @param {number} worldSpeed - Rychlost světa
+ */
+export function getBuildTime(building, level, mainLevel, worldSpeed = 1) {
+  const data = BUILDINGS[building];
+  const time = data.buildTime * Math.pow(BUILD_TIME_FACTOR, level - 1) * Math.pow(MAIN_TIME_FACTOR, -mainLevel);
+  return Math.max(1, Math.round(time / worldSpeed));
+}
+
+/**
+ * Produkce dolu za hodinu
+ */
+export function getProduction(level, worldSpeed = 1) {
+  const base = level > 0 ? MINE_PRODUCTION * Math.pow(MINE_FACTOR, level - 1) : BASE_PRODUCTION;
+  return base * worldSpeed;
+}
+
+export function getStorageCapacity(level) {
+  return Math.round(STORAGE_BASE * Math.pow(STORAGE_FACTOR, Math.max(1, level) - 1));
+}
+
+export function getFarmCapacity(level) {
+  return Math.round(FARM_BASE * Math.pow(FARM_FACTOR, Math.max(1, level) - 1));
+}
+
+/**
+ * Nasimuluje šablonu výstavby
+ * @param {object} params
+ * @param {Array<{building: string, level: number}>} params.steps - Kroky šablony (interní názvy budov)
+ * @param {object} params.levels - Aktuální úrovně budov { main: 5, wood: 10, ... }
+ * @param {object} params.resources - Suroviny ve skladu { wood, stone, iron }
+ * @param {number|null} params.population - Obsazená populace (null = jen budovy)
+ * @param {number} params.worldSpeed - Rychlost světa
+ * @param {number} params.now - Začátek simulace (ms)
+ * @returns {object} { timeline, stalls, blocked, totalSeconds, finishAt, levels }
+ */
+export function simulateBuildingPlan({ steps, levels = {}, resources = {}, population = null, worldSpeed = 1, now = Date.now() }) {
+  const state = { ...levels };
+  const level = building => state[building] || 0;
+
+  // Obsazená populace - jednotky se nesimulují, zůstávají jak jsou
+  const buildingsPopulation = () => Object.keys(BUILDINGS)
+    .reduce((sum, building) => sum + getBuildingPopulation(building, level(building)), 0);
+  const unitsPopulation = Math.max(0, (population ?? 0) - buildingsPopulation());
+
+  const stock = {};
+  RESOURCES.forEach(res => { stock[res] = Math.max(0, resources[res] || 0); });
+
+  const timeline = [];
+  const stalls = [];
+  let seconds = 0;
+  let blocked = null;
+
+  // Posunout čas - suroviny přibývají podle produkce, maximálně do kapacity skladu
+  const advance = (duration) => {
+    const capacity = getStorageCapacity(level('storage'));
+    RESOURCES.forEach(res => {
+      stock[res] = Math.min(capacity, stock[res] + getProduction(level(res), worldSpeed) / 3600 * duration);
+    });
+    seconds += duration;
+  };
+
+  // Postavit jednu úroveň budovy (reason = proč se staví mimo šablonu)
+  const build = (building, reason = null) => {
+    const nextLevel = level(building) + 1;
+    const cost = getBuildingCost(building, nextLevel);
+    const capacity = getStorageCapacity(level('storage'));
+
+    // Čekání na suroviny
+    let wait = 0;
+    let limitedBy = null;
+    RESOURCES.forEach(res => {
+      const missing = cost[res] - stock[res];
+      if (missing <= 0) return;
+
+      const perSecond = getProduction(level(res), worldSpeed) / 3600;
+      const resourceWait = missing / perSecond;
+      if (resourceWait > wait) {
+        wait = resourceWait;
+        limitedBy = res;
+      }
+    });
+
+    wait = Math.ceil(wait);
+    if (wait > 0) {
+      stalls.push({ at: seconds, seconds: wait, resource: limitedBy, building, level: nextLevel });
+      advance(wait);
+    }
+
+    const startedAt = seconds;
+    RESOURCES.forEach(res => { stock[res] = Math.max(0, stock[res] - cost[res]); });
+
+    const buildTime = getBuildTime(building, nextLevel, level('main'), worldSpeed);
+    advance(buildTime);
+    state[building] = nextLevel;
+
+    timeline.push({
+      building,
+      name: BUILDINGS[building].name,
+      level: nextLevel,
+      reason,
+      cost,
+      waitSeconds: wait,
+      limitedBy,
+      buildSeconds: buildTime,
+      startSeconds: startedAt,
+      finishSeconds: seconds,
+      finishAt: new Date(now + seconds * 1000).toISOString(),
+      storageCapacity: capacity
+    });
+  };
+
+  // Co je potřeba postavit dřív (selský dvůr / skladiště), null = nic
+  const prerequisite = (building) => {
+    const nextLevel = level(building) + 1;
+    const farmCapacity = getFarmCapacity(level('farm'));
+    const used = unitsPopulation + buildingsPopulation();
+    const extraPopulation = getBuildingPopulation(building, nextLevel) - getBuildingPopulation(building, level(building));
+
+    if (building !== 'farm' && (farmCapacity - used < farmCapacity * 0.1 || used + extraPopulation > farmCapacity)) {
+      return 'farm';
+    }
+
+    const cost = getBuildingCost(building, nextLevel);
+    if (building !== 'storage' && RESOURCES.some(res => cost[res] > getStorageCapacity(level('storage')))) {
+      return 'storage';
+    }
+
+    return null;
+  };
+
+  let builds = 0;
+  let skipped = 0;
+
+  for (const step of steps) {
+    if (!BUILDINGS[step.building]) continue;
+    const target = Math.min(Number(step.level), BUILDINGS[step.building].maxLevel);
+
+    if (level(step.building) >= target) {
+      skipped++;
+      continue;
+    }
+
+    while (level(step.building) < target) {
+      if (++builds > MAX_BUILDS) {
+        blocked = { reason: 'limit', building: step.building, level: level(step.building) + 1 };
+        break;
+      }
+
+      const required = prerequisite(step.building);
+      if (required) {
+        if (level(required) >= BUILDINGS[required].maxLevel) {
+          blocked = { reason: required, building: step.building, level: level(step.building) + 1 };
+          break;
+        }
+        build(required, required === 'farm' ? 'population' : 'storage');
+        continue;
+      }
+
+      build(step.building);
+    }
+
+    if (blocked) break;
+  }
+
+  return {
+    timeline,
+    stalls,
+    blocked,
+    skippedSteps: skipped,
+    totalSeconds: seconds,
+    finishAt: new Date(now + seconds * 1000).toISOString(),
+    waitSeconds: stalls.reduce((sum, stall) => sum + stall.seconds, 0),
+    levels: state
+  };
+}
+
+export default {
+  getBuildingCost,
+  getBuildingPopulation,
+  getBuildTime,
+  getProduction,
+  getStorageCapacity,
+  getFarmCapacity,
+  simulateBuildingPlan
+};
@@ -0,0 +1,178 @@
+/**
+ * 🆕 Nastavení světa z konfigurace hry
+ *
+ * Každý svět zveřejňuje svou konfiguraci jako XML: interface.php?func=get_config (rychlost, paladin,
+ * lučištníci, kostel, systém výzkumu a šlechty), get_unit_info (jednotky a jejich rychlosti)
+ * a get_building_info (budovy). Import je stáhne ze světa, jiné URL nebo z lokální složky
+ * (get_config.xml, get_unit_info.xml, get_building_info.xml) a zjištěné hodnoty uloží do nastavení
+ * světa - kromě těch, které uživatel nastavil ručně (DatabaseManager.applyDetectedWorldSettings).
+ */
+
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+
+// Konfigurace a její soubor / funkce interface.php
+export const WORLD_CONFIG_FILES = {
+  config: 'get_config',
+  unitInfo: 'get_unit_info',
+  buildingInfo: 'get_building_info'
+};
+
+// Hodnota listu XML - číslo, jinak text
+function parseValue(text) {
+  const value = text.trim();
+  return value !== '' && !isNaN(value) ? Number(value) : value;
+}
+
+/**
+ * Jednoduchý parser XML konfigurace (jen elementy a text, bez atributů)
+ * <config><speed>1</speed><game><archer>1</archer></game></config> → { speed: 1, game: { archer: 1 } }
+ */
+export function parseXml(text) {
+  const root = { children: {}, text: '' };
+  const stack = [root];
+  const source = String(text).replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>/gi, '');
+
+  for (const [, closing, name, selfClosing, content] of source.matchAll(/<(\/?)([\w.:-]+)[^>]*?(\/?)>|([^<]+)/g)) {
+    const node = stack[stack.length - 1];
+
+    if (content !== undefined) {
+      node.text += content;
+    } else if (selfClosing) {
+      node.children[name] = '';
+    } else if (!closing) {
+      stack.push({ name, children: {}, text: '' });
+    } else if (stack.length > 1 && node.name === name) {
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      parent.children[name] = Object.keys(node.children).length > 0 ? node.children : parseValue(node.text);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error('Neplatné XML konfigurace světa');
+  }
+
+  // Kořenový element (config) vynechat
+  const [first] = Object.values(root.children);
+  return first && typeof first === 'object' ? first : root.children;
+}
+
+/**
+ * Zjistí nastavení světa z rozparsované konfigurace
+ * Vrací jen hodnoty, které v konfiguraci opravdu jsou (klíče jako v getWorldSettings)
+ * @param {object} xml - { config, unitInfo, buildingInfo } z parseXml (unitInfo a buildingInfo volitelné)
+ */
+export function detectWorldSettings({ config, unitInfo = null, buildingInfo = null }) {
+  const detected = {};
+  const game = config.game || {};
+  const flag = (value) => value !== undefined && value !== '' ? Number(value) > 0 : undefined;
+
+  if (Number(config.speed) > 0) detected.speed = Number(config.speed);
+  if (Number(config.unit_speed) > 0) detected.unitSpeedModifier = Number(config.unit_speed);
+
+  // Paladin (knight) a lučištníci (archer) - podle konfigurace, jinak podle seznamu jednotek
+  detected.paladin = flag(game.knight) ?? (unitInfo ? 'knight' in unitInfo : undefined);
+  detected.archers = flag(game.archer) ?? (unitInfo ? 'archer' in unitInfo : undefined);
+  detected.church = flag(game.church) ?? (buildingInfo ? 'church' in buildingInfo : undefined);
+  detected.scavengeEnabled = flag(game.scavenging);
+
+  // Výzkum: 0 = 10 úrovní, 1 = 3 úrovně, 2 = jednoduchý
+  if (game.tech !== undefined && game.tech !== '') {
+    detected.techSystem = Number(game.tech) === 2 ? 'simple' : 'level';
+  }
+
+  // Šlechta: gold 1 = zlaté mince, 0 = balíčky surovin
+  if (config.snob?.gold !== undefined && config.snob.gold !== '') {
+    detected.snobSystem = Number(config.snob.gold) > 0 ? 'coin' : 'pack';
+  }
+
+  // Rychlosti v get_unit_info už jsou vydělené rychlostí světa a jednotek - ukládá se základní rychlost
+  if (unitInfo) {
+    const factor = (detected.speed || 1) * (detected.unitSpeedModifier || 1);
+    const unitSpeeds = {};
+    for (const [unit, info] of Object.entries(unitInfo)) {
+      if (Number(info?.speed) > 0) {
+        unitSpeeds[unit] = Math.round(Number(info.speed) * factor * 100) / 100;
+      }
+    }
+    if (Object.keys(unitSpeeds).length > 0) detected.unitSpeeds = unitSpeeds;
+  }
+
+  return Object.fromEntries(Object.entries(detected).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * URL světa (sk97 = SK, ostatní CZ)
+ */
+export function getWorldConfigUrl(world) {
+  const domain = world.toLowerCase().startsWith('sk') ? 'divoke-kmene.sk' : 'divokekmeny.cz';
+  return `https://${world}.${domain}`;
+}
+
+// Přečte XML ze světa / URL (interface.php?func=...) nebo z lokální složky (<func>.xml)
+// Lokálně je povinný jen get_config.xml
+async function readConfigSource(source, func, required) {
+  if (/^https?:\/\//i.test(source)) {
+    const response = await fetch(`${source.replace(/\/+$/, '')}/interface.php?func=${func}`);
+    if (!response.ok) {
+      throw new Error(`${func}: HTTP ${response.status}`);
+    }
+    return await response.text();
+  }
+
+  try {
+    return await readFile(join(source, `${func}.xml`), 'utf8');
+  } catch (error) {
+    if (!required && error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Zjistí nastavení světa z konfigurace hry a uloží je (ručně nastavené hodnoty zůstanou)
+ * @param {DatabaseManager} db
+ * @param {string} world - Svět (např. cs107)
+ * @param {string|object|null} source - URL světa, cesta k lokální složce, přímo texty XML
+ *   ({ config, unitInfo, buildingInfo }) nebo null = svět
+ * @returns {object} Zjištěné hodnoty
+ */
+export async function importWorldConfig(db, world, source = null) {
+  let texts;
+  let from;
+
+  if (source && typeof source === 'object') {
+    if (!source.config) {
+      throw new Error('Chybí XML konfigurace světa (get_config)');
+    }
+    texts = source;
+    from = 'soubor';
+  } else {
+    from = source || getWorldConfigUrl(world);
+    const [config, unitInfo, buildingInfo] = await Promise.all(
+      Object.entries(WORLD_CONFIG_FILES).map(([key, func]) => readConfigSource(from, func, key === 'config'))
+    );
+    texts = { config, unitInfo, buildingInfo };
+  }
+
+  const detected = detectWorldSettings({
+    config: parseXml(texts.config),
+    unitInfo: texts.unitInfo ? parseXml(texts.unitInfo) : null,
+    buildingInfo: texts.buildingInfo ? parseXml(texts.buildingInfo) : null
+  });
+
+  if (detected.speed === undefined) {
+    throw new Error('Konfigurace světa neobsahuje rychlost (speed)');
+  }
+
+  db.applyDetectedWorldSettings(world, detected, from);
+  return detected;
+}
+
+export default {
+  WORLD_CONFIG_FILES,
+  parseXml,
+  detectWorldSettings,
+  getWorldConfigUrl,
+  importWorldConfig
+};
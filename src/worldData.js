@@ -0,0 +1,155 @@
+/**
+ * 🆕 Data světa z mapových souborů
+ *
+ * Každý svět zveřejňuje /map/village.txt, /map/player.txt a /map/ally.txt (CSV, jména URL-encoded,
+ * hra je přegenerovává jednou za hodinu). Import je stáhne z URL světa, jiné URL nebo z lokální složky
+ * (offline) a uloží do tabulek world_villages, world_players a world_allies (DatabaseManager, sekce DATA SVĚTA).
+ */
+
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+
+// Soubory mapy a jejich klíč v importu
+export const WORLD_DATA_FILES = {
+  villages: 'village.txt',
+  players: 'player.txt',
+  allies: 'ally.txt'
+};
+
+// Jména v souborech jsou URL-encoded, mezera = +
+function decodeName(value) {
+  try {
+    return decodeURIComponent(String(value).replace(/\+/g, ' '));
+  } catch (e) {
+    return String(value);
+  }
+}
+
+// Řádky CSV se správným počtem sloupců
+function parseLines(text, columns) {
+  return String(text)
+    .split('\n')
+    .map(line => line.trim().split(','))
+    .filter(parts => parts.length >= columns);
+}
+
+/**
+ * village.txt: id,jméno,x,y,id_hráče,body,bonus (id_hráče 0 = barbarská vesnice)
+ */
+export function parseVillages(text) {
+  return parseLines(text, 6)
+    .map(([id, name, x, y, playerId, points, bonus]) => ({
+      id: parseInt(id),
+      name: decodeName(name),
+      x: parseInt(x),
+      y: parseInt(y),
+      playerId: parseInt(playerId) || 0,
+      points: parseInt(points) || 0,
+      bonus: parseInt(bonus) || 0
+    }))
+    .filter(village => Number.isInteger(village.id) && Number.isInteger(village.x) && Number.isInteger(village.y));
+}
+
+/**
+ * player.txt: id,jméno,id_kmene,vesnice,body,pořadí (id_kmene 0 = bez kmene)
+ */
+export function parsePlayers(text) {
+  return parseLines(text, 5)
+    .map(([id, name, allyId, villages, points, rank]) => ({
+      id: parseInt(id),
+      name: decodeName(name),
+      allyId: parseInt(allyId) || 0,
+      villages: parseInt(villages) || 0,
+      points: parseInt(points) || 0,
+      rank: parseInt(rank) || 0
+    }))
+    .filter(player => Number.isInteger(player.id));
+}
+
+/**
+ * ally.txt: id,jméno,tag,členové,vesnice,body,body_všech_vesnic,pořadí
+ */
+export function parseAllies(text) {
+  return parseLines(text, 7)
+    .map(([id, name, tag, members, villages, points, allPoints, rank]) => ({
+      id: parseInt(id),
+      name: decodeName(name),
+      tag: decodeName(tag),
+      members: parseInt(members) || 0,
+      villages: parseInt(villages) || 0,
+      points: parseInt(points) || 0,
+      allPoints: parseInt(allPoints) || 0,
+      rank: parseInt(rank) || 0
+    }))
+    .filter(ally => Number.isInteger(ally.id));
+}
+
+/**
+ * URL složky s mapovými soubory světa (sk97 = SK, ostatní CZ)
+ */
+export function getWorldDataUrl(world) {
+  const domain = world.toLowerCase().startsWith('sk') ? 'divoke-kmene.sk' : 'divokekmeny.cz';
+  return `https://${world}.${domain}/map`;
+}
+
+// Přečte soubor z URL nebo z lokální složky
+async function readSource(source, file) {
+  if (/^https?:\/\//i.test(source)) {
+    const response = await fetch(`${source.replace(/\/+$/, '')}/${file}`);
+    if (!response.ok) {
+      throw new Error(`${file}: HTTP ${response.status}`);
+    }
+    return await response.text();
+  }
+
+  return await readFile(join(source, file), 'utf8');
+}
+
+/**
+ * Importuje data světa a nahradí jimi předchozí import
+ * Při chybě zůstanou data z minulého importu a chyba se zapíše do world_data.error
+ * @param {DatabaseManager} db
+ * @param {string} world - Svět (např. cs107)
+ * @param {string|null} source - URL složky se soubory nebo cesta k lokální složce (null = mapa světa)
+ * @returns {object} { villages, players, allies } - Počty importovaných záznamů
+ */
+export async function importWorldData(db, world, source = null) {
+  const from = source || getWorldDataUrl(world);
+
+  try {
+    const [villages, players, allies] = await Promise.all([
+      readSource(from, WORLD_DATA_FILES.villages).then(parseVillages),
+      readSource(from, WORLD_DATA_FILES.players).then(parsePlayers),
+      readSource(from, WORLD_DATA_FILES.allies).then(parseAllies)
+    ]);
+
+    if (villages.length === 0) {
+      throw new Error(`${WORLD_DATA_FILES.villages}: žádné vesnice`);
+    }
+
+    db.replaceWorldData(world, { villages, players, allies }, from);
+    return { villages: villages.length, players: players.length, allies: allies.length };
+
+  } catch (error) {
+    db.setWorldDataError(world, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Jsou data světa starší než maxAge (nebo svět ještě nebyl importován)?
+ */
+export function isWorldDataStale(db, world, maxAge) {
+  const status = db.getWorldDataStatus(world);
+  return !status?.imported_at || Date.now() - new Date(status.imported_at).getTime() >= maxAge;
+}
+
+export default {
+  WORLD_DATA_FILES,
+  parseVillages,
+  parsePlayers,
+  parseAllies,
+  getWorldDataUrl,
+  importWorldData,
+  isWorldDataStale
+};